@@ -4,12 +4,48 @@ import _ from 'lodash';
 import * as THREE from 'three';
 
 import Surface from './Surface';
+import PatchNetwork, { fromJSON } from './PatchNetwork';
+import Timeline, { matches } from './Timeline';
 import Coordinates from './Coordinates';
+import Instructions from './Instructions';
 import Tutorial from './Tutorial';
-import tutorialManager from './tutorial/tutorialManager';
+import KeymapEditor from './KeymapEditor';
+import SeedEntry from './SeedEntry';
+import tutorialSteps from './tutorial/steps.json';
+import attractFile from './attract.json';
+import localeBundles from './locales';
 
 import { axisX, axisY, axisZ } from './utils/canvas-helpers';
-import easing from './utils/easing';
+import { downloadURL, downloadBlob } from './utils/download';
+import { toOBJ, toASCIISTL, toBinarySTL } from './utils/mesh-export';
+import { toSVG } from './utils/vector-export';
+import { toHPGL, toGCode } from './utils/plotter-export';
+import { encodeGIF } from './utils/gif';
+import { parseSeeds } from './utils/random';
+import { encodeState, decodeState } from './utils/url-state';
+import { animate } from './utils/animation';
+import { dragPoint } from './utils/drag';
+import { keyLabel, loadKeymap, validateBindings, toKeys, loadRemapped, saveRemapped } from './utils/keymap';
+import { loadSteps, condition } from './utils/tutorial';
+import { DEFAULT_LOCALE, loadLocales, message, actionLabel, localizeStep, nextLocale } from './utils/locale';
+import { DEFAULT_IDLE_AFTER, loadAttract, AttractMode } from './utils/attract';
+
+import { KNOB, validateMapping } from './input/mapping';
+import MidiInput from './input/MidiInput';
+import GamepadInput from './input/GamepadInput';
+
+import keymapFile from './keymap.json';
+import inputMappings from './input/mappings.json';
+
+// how far the cameras are from the origin: the orthographic one
+// is further back, since it shows the same from any distance and
+// should not cut off anything in front
+const CAMERA_DISTANCE = 2;
+const ORTHOGRAPHIC_DISTANCE = 10;
+
+// how long (in ms) a tutorial step stays once its task is done,
+// to see what came of it before going on
+const TUTORIAL_ADVANCE_DELAY = 1500;
 
 /**
  * Responsible for maintaining app state, including the Surface,
@@ -31,7 +67,12 @@ export default class CanvasView extends Component {
 		lastInteraction: new Date(),
 		tutorial: -1, // stage of tutorial (-1 for not active),
 		lastTutorial: -1,
-		idles: 0,
+		remapping: false, // whether the key remapping screen is open
+		enteringSeed: false, // whether the seed box is open
+		enteringCoordinates: false, // whether the active control point's coordinates are being typed in
+		help: false, // whether the help screen is open
+		locale: DEFAULT_LOCALE, // the language of the text shown (see .loadLocales())
+		seeds: "" // seeds of the surface, as shown (see .morph())
 	};
 
 	surface = new Surface();
@@ -51,25 +92,158 @@ export default class CanvasView extends Component {
 		MORPH: "MORPH",
 		ZOOMTOFIT: "ZOOMTOFIT",
 		DOWNLOAD_SVG: "DOWNLOAD_SVG",
-		DOWNLOAD_PNG: "DOWNLOAD_PNG"
+		DOWNLOAD_PNG: "DOWNLOAD_PNG",
+		SAVE: "SAVE",
+		OPEN: "OPEN",
+		UNDO: "UNDO",
+		REDO: "REDO",
+		EXPORT_OBJ: "EXPORT_OBJ",
+		EXPORT_STL: "EXPORT_STL",
+		EXPORT_HPGL: "EXPORT_HPGL",
+		EXPORT_GCODE: "EXPORT_GCODE",
+		BLEND: "BLEND",
+		NETWORK: "NETWORK",
+		CONTINUITY: "CONTINUITY",
+		ELEVATE: "ELEVATE",
+		REMAP: "REMAP",
+		RECORD: "RECORD",
+		PLAY: "PLAY",
+		EXPORT_FRAMES: "EXPORT_FRAMES",
+		SEED: "SEED",
+		QUALITY: "Isoline Quality",
+		TESSELLATION: "TESSELLATION",
+		PROJECTION: "PROJECTION",
+		VIEW_TOP: "VIEW_TOP",
+		VIEW_FRONT: "VIEW_FRONT",
+		VIEW_SIDE: "VIEW_SIDE",
+		VIEW_ISO: "VIEW_ISO",
+		NUMERIC: "NUMERIC",
+		HELP: "HELP",
+		LANGUAGE: "LANGUAGE"
 	};
 
-	keys = { 
-		85: this.actionNames.CAMERA_XY,
-		86: this.actionNames.CAMERA_Z,
-		73: this.actionNames.SELECT,
-		87: this.actionNames.ZOOM,
-		69: this.actionNames.DISPLAY,
-		74: this.actionNames.MOVE_X,
-		75: this.actionNames.MOVE_Y,
-		76: this.actionNames.MOVE_Z,
-		66: this.actionNames.RESTORE,
-		72: this.actionNames.EXIT,
-		68: this.actionNames.TUTORIAL,
-		65: this.actionNames.MORPH,
-		88: this.actionNames.ZOOMTOFIT,
-		192: this.actionNames.DOWNLOAD_SVG,
-		189: this.actionNames.DOWNLOAD_PNG
+	/**
+	 * Text in each language (see utils/locale.js), and the language
+	 * to go back to when the installation is left idle
+	 */
+	locales = {};
+	defaultLocale = DEFAULT_LOCALE;
+
+	/**
+	 * keyCode -> action, from the key bindings in use (see .loadKeymap())
+	 */
+	keys = {};
+
+	/**
+	 * Layouts cycled through by the NETWORK action:
+	 * a single patch, then square networks of patches.
+	 */
+	networkSizes = [1, 2, 3];
+
+	/**
+	 * Options for mesh (OBJ/STL) export. `resolution` is the number of
+	 * grid cells along each of u and v, independent of the surface's
+	 * display stepSize.
+	 */
+	meshExport = {
+		resolution: 64,
+		binarySTL: true
+	};
+
+	/**
+	 * How vertices are placed along the isolines of every surface shown
+	 * (see Surface.setTessellation()). The QUALITY knob turns `quality`
+	 * up and down, and TESSELLATION switches `mode` between "adaptive"
+	 * and "fixed".
+	 */
+	tessellation = {
+		mode: "adaptive",
+		quality: 0.5,
+		maxVertices: 4000
+	};
+
+	/**
+	 * Options for vector (SVG) export, see utils/vector-export.js.
+	 * Lines behind the surface are left out, or dashed with
+	 * `hiddenLines: "dashed"`.
+	 */
+	vectorExport = {
+		hiddenLines: "remove",
+		axes: true
+	};
+
+	/**
+	 * Options for pen-plotter (HPGL/G-code) export, see
+	 * utils/plotter-export.js. Paper sizes and margins are in mm.
+	 */
+	plotterExport = {
+		paper: "A4",
+		landscape: true,
+		margin: 15,
+		separatePens: true
+	};
+
+	/**
+	 * The range of coordinates that can be typed in for a control
+	 * point (see .enterCoordinates()), so that none is put far out
+	 * of sight by a slip of the finger.
+	 */
+	coordinateRange = { min: -5, max: 5 };
+
+	/**
+	 * How far MORPH moves control points, along each axis (and
+	 * scaled for each of x, y and z by `axes`; 0 keeps points from
+	 * moving along an axis). See Surface.randomize().
+	 */
+	morphOptions = {
+		amplitude: 0.5,
+		axes: { x: 1, y: 1, z: 1 }
+	};
+
+	/**
+	 * How long (in ms) the surface takes to animate, and with which
+	 * easing (see utils/easing.js): when morphing, on undo and redo,
+	 * when restored and in the attract mode.
+	 */
+	animations = {
+		morph: { duration: 1000, easing: "ease" },
+		history: { duration: 500, easing: "quad" },
+		restore: { duration: 1000, easing: "spring" },
+		idle: { duration: 8000, easing: "ease" },
+		view: { duration: 750, easing: "quad" }
+	};
+
+	/**
+	 * The seeds of the MORPHs since `surface` was new, when it was
+	 * at `revision`. They make the surface again from a new one, unless
+	 * it has been edited some other way since (see .morph()).
+	 */
+	seedHistory = { surface: null, revision: 0, seeds: [] };
+
+	/**
+	 * The code for the surface and camera last put in (or read from)
+	 * the URL hash, as #patch=... (see utils/url-state.js)
+	 */
+	hashCode = null;
+
+	/**
+	 * Keyframes of the surface and camera, recorded while `recording`
+	 * (see .toggleRecording()). `playback` is the animation's
+	 * handle while the timeline plays.
+	 */
+	timeline = new Timeline();
+	recording = false;
+	playback = null;
+
+	/**
+	 * Options for exporting the timeline: `format` is "png" or "svg"
+	 * for a numbered sequence of frames, or "gif" for one animated GIF
+	 * at most `gifWidth` pixels wide.
+	 */
+	timelineExport = {
+		format: "gif",
+		fps: 15,
+		gifWidth: 480
 	};
 
 	/**
@@ -80,13 +254,69 @@ export default class CanvasView extends Component {
 	azimuth = Math.PI / 8;
 	altitude = Math.PI / 4;
 
+	/**
+	 * The standard views, as the camera's azimuth and altitude: from
+	 * above (just short of straight down, so that +y is up the screen),
+	 * from the front (-y), from the side (+x) and isometric, from
+	 * (1, -1, 1), each named in the locales' messages by its id.
+	 * `viewTransition` is the animation's handle while the camera
+	 * moves to one.
+	 */
+	views = {
+		VIEW_TOP: { azimuth: -Math.PI / 2, altitude: Math.PI / 2 - 1e-4 },
+		VIEW_FRONT: { azimuth: -Math.PI / 2, altitude: 0 },
+		VIEW_SIDE: { azimuth: 0, altitude: 0 },
+		VIEW_ISO: { azimuth: -Math.PI / 4, altitude: Math.atan(Math.SQRT1_2) }
+	};
+	viewTransition = null;
+
+	/**
+	 * The tutorial's steps (see utils/tutorial.js). While on a step,
+	 * `tutorialActions` are the ids of actions taken since it started,
+	 * and `tutorialCondition` tells whether its task is done.
+	 */
+	tutorialSteps = [];
+	tutorialActions = [];
+	tutorialCondition = null;
 	preventKeysExceptTutorial = false;
+
+	/**
+	 * What happens by itself once the installation is left idle for
+	 * `idleAfter` ms, as set up in attract.json (see utils/attract.js
+	 * and .startAttract())
+	 */
+	attractMode = null;
+	idleAfter = DEFAULT_IDLE_AFTER;
+
+	/**
+	 * Mouse picking and dragging of control points. `dragging` is true
+	 * while the mouse button is held down on a control point, and
+	 * `suppressClick` stops the click at the end of it from morphing.
+	 */
+	raycaster = new THREE.Raycaster();
+	dragging = false;
+	suppressClick = false;
 	
 	constructor() {
 
 		super();
 
-		tutorialManager.cv = this;
+		this.keymapErrors = this.loadKeymap();
+
+		const tutorial = loadSteps(tutorialSteps, _.keys(this.actionNames));
+		this.tutorialSteps = tutorial.steps;
+		this.tutorialErrors = tutorial.errors;
+
+		this.localeErrors = this.loadLocales();
+		this.state.locale = this.defaultLocale;
+
+		const attract = loadAttract(attractFile, {
+			views: _.keys(this.views),
+			messages: _.keys(_.get(this.locales, [DEFAULT_LOCALE, "messages"]))
+		});
+		this.idleAfter = attract.idleAfter;
+		this.attractMode = new AttractMode(attract.sequences, this.attractStep);
+		this.attractErrors = attract.errors;
 
 		this.actions = {
 			[this.actionNames.SELECT]: _.throttle(this.toggle, 250),
@@ -95,41 +325,248 @@ export default class CanvasView extends Component {
 			[this.actionNames.ZOOM]: this.zoom,
 			[this.actionNames.MOVE_X]: this.updateControlPoint.bind(this, "x"),
 			[this.actionNames.MOVE_Y]: this.updateControlPoint.bind(this, "y"),
-			[this.actionNames.MOVE_Z]: this.updateControlPoint.bind(this, "z")
+			[this.actionNames.MOVE_Z]: this.updateControlPoint.bind(this, "z"),
+			[this.actionNames.QUALITY]: this.turnQuality
 		};
 	}
 
+	/**
+	 * Key bindings come from a profile in keymap.json: the one named by
+	 * the `keymap` URL parameter (e.g. ?keymap=keyboard), or else the one
+	 * last chosen in the remapping screen, or else the file's default.
+	 * Bindings changed in the remapping screen are kept in localStorage.
+	 * Returns messages for anything in the keymap that was rejected.
+	 */
+	loadKeymap = () => {
+
+		const actions = _.keys(this.actionNames);
+		const keymap = loadKeymap(keymapFile, actions);
+		const remapped = loadRemapped();
+		const errors = keymap.errors.slice();
+
+		const bindings = _.mapValues(keymap.profiles, (profile, id) => {
+			if (!(id in remapped.bindings)) return profile.bindings;
+			const result = validateBindings(remapped.bindings[id], actions, id);
+			errors.push(...result.errors);
+			return result.bindings;
+		});
+
+		const match = /[?&]keymap=([^&]*)/.exec(window.location.search);
+		const requested = match ? decodeURIComponent(match[1]) : null;
+
+		if (requested && !(requested in bindings)) errors.push(`Unknown keymap profile "${requested}".`);
+
+		const profile = _.find([requested, remapped.profile], id => id in bindings) || keymap.default;
+
+		this.keymap = keymap;
+		this.keymapBindings = bindings;
+		this.keymapProfile = profile;
+		this.keys = toKeys(bindings[profile], this.actionNames);
+
+		return errors;
+	}
+
+	/**
+	 * The languages come from the bundles in src/locales. The one shown
+	 * to start with, and after a while idle, is the one named by the
+	 * `lang` URL parameter (e.g. ?lang=es), or else the default.
+	 * Returns messages for anything in the bundles that was rejected.
+	 */
+	loadLocales = () => {
+
+		const { locales, errors } = loadLocales(localeBundles, _.keys(this.actionNames), this.tutorialSteps.map(step => step.id));
+
+		const match = /[?&]lang=([^&]*)/.exec(window.location.search);
+		const requested = match ? decodeURIComponent(match[1]) : null;
+
+		if (requested && !(requested in locales)) errors.push(`Unknown language "${requested}".`);
+
+		this.locales = locales;
+		this.defaultLocale = requested in locales ? requested : DEFAULT_LOCALE;
+
+		return errors;
+	}
+
+	// a message (see src/locales) in the language shown, with the keys
+	// for the actions filled in as {ACTION_ID}, e.g. {TUTORIAL}
+	text = (key, values) => message(this.locales, this.state.locale, key, Object.assign(this.keyNames(), values))
+
+	// the key for each action, by its id, as named in the profile in use
+	keyNames = () => {
+		const keys = _.get(this.keymap.profiles, [this.keymapProfile, "keys"]);
+		return _.mapValues(this.keymapBindings[this.keymapProfile], code => keyLabel(code, keys));
+	}
+
+	// what the action (by its name in .actionNames) is called in the language shown
+	labelOf = (action) => {
+		const id = _.findKey(this.actionNames, name => name === action);
+		return actionLabel(this.locales, this.state.locale, id) || action;
+	}
+
+	setLocale = (locale) => {
+
+		this.setState({ locale }, () => {
+
+			const step = this.tutorialStep();
+
+			// the tutorial's helper text, now in this language
+			if (step && _.isString(step.helperText)) this.setState({ helperText: step.helperText });
+			else this.showMessage(this.locales[locale].name);
+		});
+	}
+
+	// called by the remapping screen when it is closed
+	remapKeys = (profile, bindings) => {
+
+		this.keymapBindings = bindings;
+		this.keymapProfile = profile;
+		this.keys = toKeys(bindings[profile], this.actionNames);
+
+		// only keep what differs from keymap.json, so that later
+		// changes to the file still apply to the other profiles
+		const changed = _.pickBy(bindings, (b, id) => !_.isEqual(b, this.keymap.profiles[id].bindings));
+		const saved = saveRemapped({ profile, bindings: changed });
+
+		this.setState({ remapping: false });
+		this.showMessage(saved ?
+			`Keys: ${_.escape(this.keymap.profiles[profile].name)}` :
+			"The new keys are in use, but could not be saved on this computer.");
+	}
+
+	/**
+	 * Start the attract mode once nothing has happened for a while (unless
+	 * the tutorial or a timeline is playing, or keys are being remapped),
+	 * checking again when it next might be time.
+	 */
 	checkLastInteraction = () => {
 
-		const timeout = 25 * 1000; // 25 seconds
+		const idle = new Date() - this.state.lastInteraction;
+		// keys typed into the overlays don't count as interaction, so don't
+		// take over while one is open, or while the help is being read
+		const busy = this.state.tutorial >= 0 || !_.isNil(this.playback) || this.overlayOpen() || this.state.help;
 
-		const t = new Date();
+		if (idle >= this.idleAfter && !busy) this.startAttract();
 
-		if (t - this.state.lastInteraction > timeout && this.state.tutorial < 0) {
+		window.setTimeout(this.checkLastInteraction, idle >= this.idleAfter ? this.idleAfter : this.idleAfter - idle);
+	}
 
-			// if 10 or more idles, to prevent slowing down, reload everything
-			if (this.state.idles > 9) window.location.reload(true);
+	/**
+	 * The visitor has gone: start over, freeing what they left behind,
+	 * and play the attract mode's sequences until there is any input.
+	 */
+	startAttract = () => {
 
-			this.setState({ idles: this.state.idles + 1 });
+		if (this.attractMode.running) return;
 
-			this.surface.stop();
+		this.startOver();
+		this.attractMode.start();
+	}
+
+	stopAttract = () => {
+		this.attractMode.stop();
+	}
+
+	/**
+	 * As the page was when first opened, without reloading it: a new
+	 * surface (the old one's geometries freed, and its undo history
+	 * with it), nothing recorded, no seeds or screens open, the
+	 * perspective camera and the usual language.
+	 */
+	startOver = () => {
+
+		this.stopPlayback();
+		this.stopViewTransition();
+		this.scheduleKeyframe.cancel();
+		this.recording = false;
+		this.timeline.clear();
+
+		if (this.state.enteringCoordinates) this.cancelCoordinates();
+		if (this.camera.isOrthographicCamera) this.toggleProjection();
+
+		this.surface.stop();
+		this.replaceSurface(new Surface());
+		this.resetSeeds();
+
+		// nor the surface in the URL hash
+		this.scheduleHashUpdate.cancel();
+		this.hashCode = null;
+		window.history.replaceState(null, "", window.location.pathname + window.location.search);
+
+		this.setState({ help: false, enteringSeed: false, locale: this.defaultLocale });
+		this.showMessage("");
+	}
+
+	/**
+	 * Do a step of the attract mode (see utils/attract.js), calling
+	 * done() once it is over. Returns a function that stops it part way.
+	 */
+	attractStep = (step, done) => {
+
+		if ("morph" in step) {
 
-			this.surface.randomizeCloseToOriginal(500, (t) => {
-				this.rotateCameraXY(0.25 * easing.dEase(t));
+			// turn the camera with the surface's easing
+			const { duration = this.animations.idle.duration, spin = 0 } = step.morph;
+			const { easing } = this.animations.idle;
+			let turned = 0;
+
+			this.surface.stop();
+			this.surface.randomizeCloseToOriginal(duration, (value) => {
+				this.azimuth += (value - turned) * spin * Math.PI / 180;
+				turned = value;
 				this.draw();
 			}, () => {
 				this.zoomToFit(0.01);
-			});
+				done();
+			}, { easing });
+
+			return () => this.surface.stop();
 		}
 
-		window.setTimeout(this.checkLastInteraction, timeout);
+		if ("view" in step) {
+			this.showView(step.view);
+			this.viewTransition.then(done);
+			return this.stopViewTransition;
+		}
+
+		if ("orbit" in step) {
+
+			const { duration, degrees } = step.orbit;
+			const from = this.azimuth;
+
+			this.stopViewTransition();
+			this.viewTransition = animate({
+				duration,
+				easing: "linear",
+				update: (value) => {
+					this.azimuth = from + value * degrees * Math.PI / 180;
+					this.draw();
+				}
+			}).then(() => {
+				this.viewTransition = null;
+			}).then(done);
+
+			return this.stopViewTransition;
+		}
+
+		let text = null;
+
+		if ("message" in step) {
+			text = this.text(step.message);
+			this.showMessage(text, step.duration);
+		}
+
+		const timer = window.setTimeout(done, "wait" in step ? step.wait : step.duration);
+
+		return () => {
+			window.clearTimeout(timer);
+			if (!_.isNull(text) && this.state.helperText === text) this.setState({ helperText: "" });
+		};
 	}
 
+	// any input stops the attract mode
 	updateLastInteraction = (cb) => {
-		this.setState({
-			lastInteraction: new Date(),
-			idles: 0
-		}, cb);
+		this.stopAttract();
+		this.setState({ lastInteraction: new Date() }, cb);
 	}
 
 	onResize = _.debounce(() => {
@@ -141,8 +578,7 @@ export default class CanvasView extends Component {
 		canvas.width = window.innerWidth;
 		canvas.height = window.innerHeight;
 
-		this.camera.aspect = canvas.width / canvas.height;
-		this.camera.updateProjectionMatrix();
+		this.updateProjection();
 		this.renderer.setSize( canvas.width, canvas.height );
 		this.renderer.render(this.scene, this.camera);
 
@@ -150,35 +586,184 @@ export default class CanvasView extends Component {
 	}, 250)
 
 	onClick = (e) => {
+
+		// the end of a press on a control point, not a click
+		if (e && this.suppressClick) {
+			this.suppressClick = false;
+			return;
+		}
+
+		// the surface stays put while its coordinates are typed in
+		if (this.state.enteringCoordinates) return;
+
+		// as good as MORPH, for the tutorial
+		if (e) this.tutorialActions.push("MORPH");
+
 		this.updateLastInteraction();
+		this.stopPlayback();
 		this.surface.stop();
-		this.surface.randomize(60, this.draw, () => {
-			this.zoomToFit(0.1);
-		});
+		this.morph(undefined, () => this.zoomToFit(0.1));
+	}
+
+	// whether a screen is open that takes the keyboard for itself
+	overlayOpen = () => this.state.remapping || this.state.enteringSeed || this.state.enteringCoordinates;
+
+	/**
+	 * Morph randomly with `seed` (a new one if undefined), showing
+	 * the seeds that would make the resulting surface again.
+	 */
+	morph = (seed, done) => {
+
+		const { surface, revision, seeds } = this.seedHistory;
+		const unchanged = surface === this.surface && revision === this.surface.revision && !_.isNil(seeds);
+
+		const { duration, easing } = this.animations.morph;
+		const used = this.surface.randomize(duration, this.draw, done, Object.assign({ seed, easing }, this.morphOptions));
+
+		const chain = unchanged ? seeds.concat(used) : null;
+		this.seedHistory = { surface: this.surface, revision: this.surface.revision, seeds: chain };
+
+		this.setState({ seeds: chain ? this.text("seed", { seeds: chain.join(", ") }) : this.text("lastSeed", { seed: used }) });
+	}
+
+	// start counting seeds again, from a new surface
+	resetSeeds = () => {
+		this.seedHistory = { surface: this.surface, revision: this.surface.revision, seeds: [] };
+		this.setState({ seeds: "" });
+	}
+
+	/**
+	 * Make a surface from seeds (as shown after MORPH): start from a new
+	 * surface of the same kind and morph with each seed in turn.
+	 */
+	morphFromSeeds = (seeds) => {
+
+		this.setState({ enteringSeed: false });
+		this.stopPlayback();
+		this.surface.stop();
+
+		const fresh = this.surface instanceof PatchNetwork ? new PatchNetwork(this.surface.cols, this.surface.rows) : new Surface();
+		fresh.display = this.surface.display;
+
+		this.replaceSurface(fresh, false);
+		this.resetSeeds();
+
+		const next = (i) => {
+			if (i < seeds.length) this.morph(seeds[i], () => next(i + 1));
+			else this.zoomToFit(0.1);
+		};
+
+		next(0);
+	}
+
+	// the raycaster, set to the ray under the mouse
+	mouseRay = (e) => {
+
+		const rect = this.canvas.getBoundingClientRect();
+		const mouse = new THREE.Vector2(
+			 2 * (e.clientX - rect.left) / rect.width - 1,
+			-2 * (e.clientY - rect.top) / rect.height + 1
+		);
+
+		this.raycaster.setFromCamera(mouse, this.camera);
+		return this.raycaster;
+	}
+
+	onMouseDown = (e) => {
+
+		this.suppressClick = false;
+
+		if (e.button !== 0 || this.preventKeysExceptTutorial || this.state.enteringCoordinates) return;
+
+		const hits = this.mouseRay(e).intersectObjects(this.surface.pickable());
+		if (hits.length === 0) return;
+
+		const i = this.surface.indexOfPicked(hits[0].object);
+		if (i === -1) return;
+
+		this.updateLastInteraction();
+
+		this.surface.stop();
+		this.surface.selectControlPoint(i);
+
+		this.dragging = true;
+		this.suppressClick = true;
+
+		this.setState({ coordinates: true });
+		this.draw();
+	}
+
+	// drag in the plane facing the camera, or along the axis if one is set
+	onMouseMove = (e) => {
+
+		// even just moving the mouse is a visitor
+		if (this.attractMode.running) this.updateLastInteraction();
+
+		if (!this.dragging) return;
+
+		const pt = this.surface.getActiveControlPoint();
+		if (_.isNil(pt)) return;
+
+		const { axis } = this.surface;
+		const view = this.camera.getWorldDirection(new THREE.Vector3());
+
+		const target = dragPoint(this.mouseRay(e).ray, pt, axis, view);
+		if (_.isNil(target)) return;
+
+		this.updateLastInteraction();
+
+		this.surface.setActiveControlPoint(target, axis);
+		this.surface.update();
+		this.draw();
+	}
+
+	onMouseUp = () => {
+		this.dragging = false;
 	}
 
 	onKeyDown = (e) => {
 
 		this.updateLastInteraction();
 
-		const code = e.keyCode;
+		// the remapping screen and seed and coordinate boxes have the keyboard to themselves
+		if (this.overlayOpen()) return;
+
+		if (e.keyCode in this.keys) this.performAction(this.keys[e.keyCode]);
+	}
+
+	/**
+	 * Whatever a key bound to `action` does -- the same for MIDI pads
+	 * and gamepad buttons (see .connectInputs())
+	 */
+	performAction = (action) => {
+
 		const { actionNames } = this;
 
-		if (!(code in this.keys)) return;
+		if (action === actionNames.EXIT) this.reload();
 
-		let action = this.keys[code];
+		// any time, even in the tutorial, without leaving it
+		if (action === actionNames.LANGUAGE) {
+			this.setLocale(nextLocale(this.locales, this.state.locale));
+			return;
+		}
 
-		if (action === actionNames.EXIT) window.location.reload(true);
+		// anything else stops the timeline playing
+		if (action !== actionNames.PLAY) this.stopPlayback();
 
 		if (action === this.state.action && action !== actionNames.TUTORIAL) action = null;
 		if (this.preventKeysExceptTutorial && action !== actionNames.TUTORIAL) return;
 
-		if (action !== actionNames.TUTORIAL) {
+		const id = _.findKey(actionNames, name => name === action);
+		if (!_.isUndefined(id)) this.tutorialActions.push(id);
+
+		// a step with a task keeps going while it is tried;
+		// any other is left, to come back to with TUTORIAL
+		if (action !== actionNames.TUTORIAL && _.isNil(this.tutorialCondition)) {
 			this.setState({ 
 				lastTutorial: this.state.tutorial >= 0 ? this.state.tutorial : this.state.lastTutorial,
 				tutorial: -1
 			});
-		} else {
+		} else if (action === actionNames.TUTORIAL) {
 			let step = this.state.tutorial;
 			if (this.state.lastTutorial >= 0 && this.state.tutorial === -1) step = this.state.lastTutorial;
 			step++;
@@ -206,6 +791,52 @@ export default class CanvasView extends Component {
 			
 			this.downloadPNG();
 
+		} else if (action === actionNames.EXPORT_OBJ) {
+
+			this.downloadOBJ();
+
+		} else if (action === actionNames.EXPORT_STL) {
+
+			this.downloadSTL();
+
+		} else if (action === actionNames.EXPORT_HPGL) {
+
+			this.downloadHPGL();
+
+		} else if (action === actionNames.EXPORT_GCODE) {
+
+			this.downloadGCode();
+
+		} else if (action === actionNames.RECORD) {
+
+			this.toggleRecording();
+
+		} else if (action === actionNames.PLAY) {
+
+			this.togglePlayback();
+
+		} else if (action === actionNames.EXPORT_FRAMES) {
+
+			this.exportFrames();
+
+		} else if (action === actionNames.SAVE) {
+
+			this.saveSurface();
+
+		} else if (action === actionNames.OPEN) {
+
+			this.openSurface();
+
+		} else if (action === actionNames.UNDO) {
+
+			this.surface.stop();
+			this.surface.undo(this.animations.history.duration, this.draw, this.positionCoordinates, this.animations.history);
+
+		} else if (action === actionNames.REDO) {
+
+			this.surface.stop();
+			this.surface.redo(this.animations.history.duration, this.draw, this.positionCoordinates, this.animations.history);
+
 		} else if (action === actionNames.SELECT) {
 
 			if (!this.surface.controls) {
@@ -240,6 +871,36 @@ export default class CanvasView extends Component {
 			this.restoreSurface();
 		} else if (action === actionNames.DISPLAY) {
 			this.surface.nextDisplay();
+		} else if (action === actionNames.NETWORK) {
+			this.nextNetwork();
+		} else if (action === actionNames.CONTINUITY) {
+			if (this.surface instanceof PatchNetwork) {
+				this.surface.toggleContinuity();
+				this.showMessage(this.text("continuity", { continuity: this.surface.continuity }));
+			}
+		} else if (action === actionNames.REMAP) {
+			this.setState({ remapping: true });
+		} else if (action === actionNames.SEED) {
+			this.setState({ enteringSeed: true });
+		} else if (action === actionNames.NUMERIC) {
+			this.enterCoordinates();
+		} else if (action === actionNames.HELP) {
+			this.toggleHelp();
+		} else if (action === actionNames.ELEVATE) {
+			this.surface.stop();
+			const elevated = this.surface.elevate();
+			const degree = _.max(_.values(this.surface.degrees()));
+			this.showMessage(this.text(elevated ? "elevated" : "highestDegree", { degree }));
+			if (this.state.coordinates) this.positionCoordinates();
+		} else if (action === actionNames.TESSELLATION) {
+			this.toggleTessellation();
+		} else if (action === actionNames.PROJECTION) {
+			this.toggleProjection();
+		} else if (_.some(this.views, (view, id) => actionNames[id] === action)) {
+			this.showView(_.findKey(actionNames, name => name === action));
+		} else if (action === actionNames.BLEND) {
+			this.surface.toggleBlending();
+			this.showMessage(this.text(this.surface.blending));
 		} else {
 			this.setState({ coordinates: false });
 			this.surface.deactivateControls();
@@ -249,18 +910,61 @@ export default class CanvasView extends Component {
 	}
 
 	onWheel = (e) => {
-
 		e.preventDefault();
+		if (this.state.enteringCoordinates) this.nextCoordinates(-e.deltaY);
+		else this.turnKnob(-e.deltaY);
+	}
+
+	/**
+	 * Turn the knob by `delta`, applying the current action, or `action`
+	 * for inputs that are always bound to the same one
+	 */
+	turnKnob = (delta, action = this.state.action) => {
 
 		this.updateLastInteraction();
 
-		const action = this.state.action;
+		if (this.overlayOpen() || !(action in this.actions)) return;
+
+		this.stopViewTransition();
+		this.actions[action](delta);
+
+		this.draw();
+	}
+
+	toggleHelp = () => {
+		this.setState({ help: !this.state.help });
+	}
+
+	// ids of the actions that set what the knob does (the others happen at once)
+	knobActions = () => _.keys(this.actionNames).filter(id => this.actionNames[id] in this.actions);
+
+	/**
+	 * MIDI controllers and gamepads, mapped to actions by input/mappings.json.
+	 * They turn the knob and press keys just like the kiosk's own knob and
+	 * keypad. Returns messages for anything in the mapping that was rejected.
+	 */
+	connectInputs = () => {
+
+		const { midi, gamepad, errors } = validateMapping(inputMappings, _.keys(this.actionNames), this.knobActions());
+
+		const handlers = {
+			onTurn: (id, delta) => this.turnKnob(delta, id === KNOB ? this.state.action : this.actionNames[id]),
+			onPress: (id) => {
+				this.updateLastInteraction();
+				if (!this.overlayOpen()) this.performAction(this.actionNames[id]);
+			}
+		};
+
+		this.midi = new MidiInput(midi, handlers);
+		this.midi.request();
 
-		if (!(action in this.actions)) return;
+		this.gamepad = new GamepadInput(gamepad, handlers);
+		if (this.gamepad.gamepads().length > 0) this.gamepad.start();
 
-		this.actions[action](-e.deltaY);
+		window.addEventListener('gamepadconnected', this.gamepad.start);
+		window.addEventListener('gamepaddisconnected', this.gamepad.onDisconnected);
 
-		this.draw();
+		return errors;
 	}
 
 	draw = () => {
@@ -277,6 +981,94 @@ export default class CanvasView extends Component {
 		this.positionCoordinates();
 
 		this.renderer.render(this.scene, this.camera);
+
+		if (this.recording) this.scheduleKeyframe();
+
+		// the attract mode's changes are no visitor's, and would pile up in the history
+		if (!this.attractMode.running) this.scheduleHashUpdate();
+
+		this.checkTutorial();
+	}
+
+	// start over, without the surface in the URL hash
+	reload = () => {
+		window.history.replaceState(null, "", window.location.pathname + window.location.search);
+		window.location.reload(true);
+	}
+
+	/**
+	 * Put the surface and camera in the URL hash, once they settle after
+	 * a change. Each change is a new history entry, so the browser's back
+	 * and forward buttons move through them.
+	 */
+	scheduleHashUpdate = _.debounce(() => {
+
+		const camera = { azimuth: this.azimuth, altitude: this.altitude, zoom: this.camera.zoom };
+		const code = encodeState(this.surface, camera);
+
+		if (code === this.hashCode) return;
+
+		// no entry for the page as first opened, with nothing in the hash
+		const replace = _.isNull(this.hashCode) && !/patch=/.test(window.location.hash);
+
+		this.hashCode = code;
+		window.history[replace ? "replaceState" : "pushState"](null, "", `#patch=${code}`);
+	}, 1000);
+
+	/**
+	 * Show the surface and camera in the URL hash, if they are not the
+	 * ones already shown. Returns false if there are none there.
+	 */
+	readHash = () => {
+
+		const match = /patch=([\w-]+)/.exec(window.location.hash);
+		if (!match) return false;
+		if (match[1] === this.hashCode) return true;
+
+		let state;
+		let surface;
+
+		try {
+			state = decodeState(match[1]);
+			surface = fromJSON(state.surface);
+		} catch (e) {
+			this.showMessage(this.text("linkInvalid", { error: _.escape(e.message) }));
+			return false;
+		}
+
+		this.hashCode = match[1];
+		this.scheduleHashUpdate.cancel();
+		this.stopPlayback();
+
+		this.azimuth = state.camera.azimuth;
+		this.altitude = state.camera.altitude;
+		this.camera.zoom = state.camera.zoom;
+		this.camera.updateProjectionMatrix();
+
+		this.replaceSurface(surface, false);
+
+		return true;
+	}
+
+	/**
+	 * Apply tessellation options to the surface (and those shown later),
+	 * showing `message`
+	 */
+	setTessellation = (options, message) => {
+		this.tessellation = Object.assign({}, this.tessellation, options);
+		this.surface.setTessellation(this.tessellation);
+		this.surface.update();
+		this.showMessage(message);
+	}
+
+	turnQuality = (delta) => {
+		const quality = _.clamp(this.tessellation.quality + 0.05 * Math.sign(delta), 0, 1);
+		this.setTessellation({ quality }, this.text("quality", { percent: Math.round(100 * quality) }));
+	}
+
+	toggleTessellation = () => {
+		const mode = this.tessellation.mode === "adaptive" ? "fixed" : "adaptive";
+		this.setTessellation({ mode }, this.text(mode));
 	}
 
 	rotateCameraXY = (delta) => {
@@ -295,7 +1087,10 @@ export default class CanvasView extends Component {
 	}
 
 	restoreSurface = () => {
-		this.surface.restore(60, this.draw, () => this.zoomToFit(0.3));
+		this.surface.restore(this.animations.restore.duration, this.draw, () => {
+			this.resetSeeds();
+			this.zoomToFit(0.3);
+		}, this.animations.restore);
 	}
 
 	toggle = (delta) => {
@@ -342,6 +1137,64 @@ export default class CanvasView extends Component {
 		});
 	}
 
+	/**
+	 * Type in the coordinates of the active control point (the first,
+	 * if none is). The point moves with them as they are typed, but
+	 * only keeps (and records for undo) those that are set with ENTER.
+	 */
+	enterCoordinates = () => {
+
+		this.surface.stop();
+
+		if (!this.surface.controls) this.surface.activateControls();
+		if (_.isNil(this.surface.getActiveControlPoint())) return;
+
+		this.coordinatesSnapshot = this.surface.snapshot();
+		this.setState({ coordinates: true, enteringCoordinates: true }, this.positionCoordinates);
+	}
+
+	previewCoordinates = (pt) => {
+		this.surface.moveActiveControlPoint(pt);
+		this.positionCoordinates();
+		this.draw();
+	}
+
+	// move the active control point to `pt` from where it was before the preview, if anywhere else
+	setCoordinates = (pt) => {
+		const moved = !_.isEqual(this.surface.snapshot(), this.coordinatesSnapshot);
+		this.surface.revert(this.coordinatesSnapshot);
+		if (moved) this.surface.setActiveControlPoint(pt, this.surface.axis);
+	}
+
+	commitCoordinates = (pt) => {
+		this.setCoordinates(pt);
+		this.closeCoordinates();
+	}
+
+	cancelCoordinates = () => {
+		this.surface.revert(this.coordinatesSnapshot);
+		this.closeCoordinates();
+	}
+
+	closeCoordinates = () => {
+		this.coordinatesSnapshot = null;
+		this.setState({ enteringCoordinates: false }, this.positionCoordinates);
+		this.draw();
+	}
+
+	// keep what has been typed so far and go on to the next or previous control point
+	nextCoordinates = (delta) => {
+
+		if (Math.abs(delta) < 1.8) return;
+
+		this.setCoordinates(this.surface.getActiveControlPoint().clone());
+		this.surface.setActiveControlPointIndex(delta > 0 ? 1 : -1);
+
+		this.coordinatesSnapshot = this.surface.snapshot();
+		this.positionCoordinates();
+		this.draw();
+	}
+
 	updateControlPoint = (axis, delta) => {
 
 		const p = this.surface.getActiveControlPoint();
@@ -358,9 +1211,11 @@ export default class CanvasView extends Component {
 
 	positionCamera = () => {
 
-		let x = 2 * Math.cos(this.azimuth) * Math.cos(this.altitude);
-		let y = 2 * Math.sin(this.azimuth) * Math.cos(this.altitude);
-		let z = 2 * Math.sin(this.altitude);
+		const r = this.camera.isOrthographicCamera ? ORTHOGRAPHIC_DISTANCE : CAMERA_DISTANCE;
+
+		let x = r * Math.cos(this.azimuth) * Math.cos(this.altitude);
+		let y = r * Math.sin(this.azimuth) * Math.cos(this.altitude);
+		let z = r * Math.sin(this.altitude);
 
 		this.camera.position.set(x, y, z);
 		this.camera.lookAt(new THREE.Vector3(0, 0, 0));
@@ -370,6 +1225,74 @@ export default class CanvasView extends Component {
 		this.camera.updateProjectionMatrix();
 	}
 
+	/**
+	 * Fit both cameras' projections to the canvas. The orthographic
+	 * camera shows as much as the perspective one does at the origin,
+	 * so the surface stays the same size when switching between them.
+	 */
+	updateProjection = () => {
+
+		const aspect = this.canvas.width / this.canvas.height;
+		const { perspectiveCamera, orthographicCamera } = this;
+
+		perspectiveCamera.aspect = aspect;
+		perspectiveCamera.updateProjectionMatrix();
+
+		const h = CAMERA_DISTANCE * Math.tan(perspectiveCamera.fov / 2 * Math.PI / 180);
+		Object.assign(orthographicCamera, { left: -h * aspect, right: h * aspect, top: h, bottom: -h });
+		orthographicCamera.updateProjectionMatrix();
+	}
+
+	// switch between the perspective and orthographic cameras
+	toggleProjection = () => {
+
+		const next = this.camera.isOrthographicCamera ? this.perspectiveCamera : this.orthographicCamera;
+
+		next.zoom = this.camera.zoom;
+		next.add(this.light);
+		this.camera = next;
+
+		this.positionCamera();
+		if (this.state.coordinates) this.positionCoordinates();
+
+		this.showMessage(this.text(next.isOrthographicCamera ? "orthographic" : "perspective"));
+	}
+
+	/**
+	 * Turn the camera to one of .views (by its action id, e.g. "VIEW_TOP"),
+	 * the shorter way around
+	 */
+	showView = (id) => {
+
+		const { azimuth, altitude } = this.views[id];
+		const { duration, easing } = this.animations.view;
+
+		const from = { azimuth: this.azimuth, altitude: this.altitude };
+		const turn = azimuth - from.azimuth;
+		const shorter = turn - 2 * Math.PI * Math.round(turn / (2 * Math.PI));
+
+		this.stopViewTransition();
+		this.showMessage(this.text(id));
+
+		this.viewTransition = animate({
+			duration,
+			easing,
+			update: (value) => {
+				this.azimuth = from.azimuth + value * shorter;
+				this.altitude = _.clamp(from.altitude + value * (altitude - from.altitude), -Math.PI / 2, Math.PI / 2);
+				this.draw();
+				if (this.state.coordinates) this.positionCoordinates();
+			}
+		}).then(() => {
+			this.viewTransition = null;
+		});
+	}
+
+	stopViewTransition = () => {
+		if (!_.isNil(this.viewTransition)) this.viewTransition.cancel();
+		this.viewTransition = null;
+	}
+
 	zoom = (delta) => {
 		const zoomOut = delta > 0;     // boolean
 		const factor = zoomOut ? 1.1 : 0.9; // number
@@ -453,86 +1376,308 @@ export default class CanvasView extends Component {
 	}
 
 	downloadSVG = () => {
-		
-		const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-		const { canvas } = this;
-		const { width, height } = canvas;
-		
-		svg.setAttribute('viewBox', `-${width} -${height} ${2 * width} ${2 * height}`);
-		svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-
-		// background
-		const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-		rect.setAttribute('x', -width);
-		rect.setAttribute('y', -height);
-		rect.setAttribute('width', 2 * width);
-		rect.setAttribute('height', 2 * height);
-		rect.setAttribute('fill', 'black');
-		svg.appendChild(rect);
-
-		const renderAxis = (x, y, z) => {
-			const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-			const max = (new THREE.Vector3(x, y, z)).multiplyScalar(0.01).project(this.camera);
-			const min = (new THREE.Vector3(-x, -y, -z)).multiplyScalar(0.01).project(this.camera);
-			do {
-				max.multiplyScalar(1.1);
-			} while (Math.abs(max.x) < 1 && Math.abs(max.y) < 1);
-			do {
-				min.multiplyScalar(1.1);
-			} while (Math.abs(min.x) < 1 && Math.abs(min.y) < 1);
-
-			line.setAttribute('x1', z === 0 ? width * max.x : 0);
-			line.setAttribute('y1', z === 0 ? -height * max.y : height);
-			line.setAttribute('x2', z === 0 ? width * min.x : 0);
-			line.setAttribute('y2', z === 0 ? -height * min.y : -height);
-			line.setAttribute('stroke', '#fff');
-			line.setAttribute('stroke-width', window.devicePixelRatio / 2);
-			svg.appendChild(line);
-		};
+		const { width, height } = this.canvas;
+		const options = Object.assign({ width, height, strokeWidth: window.devicePixelRatio }, this.vectorExport);
+		downloadBlob(toSVG(this.surface, this.camera, options), 'patch.svg', 'image/svg+xml;charset=utf-8');
+	}
 
-		renderAxis(1, 0, 0);
-		renderAxis(0, 1, 0);
-		renderAxis(0, 0, 1);
-		
-		const { u_crvs, v_crvs } = this.surface;
-
-		const renderCurve = curve => {
-			const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-			let pathString = '';
-			curve.geometry.vertices.forEach((v, i) => {
-				let { x, y } = v.clone().project(this.camera);
-				x = width * Math.round(x * 1000) / 1000;
-				y = -height * Math.round(y * 1000) / 1000;
-				if (i === 0) {
-					pathString += `M ${x} ${y}`;
-				} else {
-					pathString += ` L ${x} ${y}`;
-				}
+	downloadPNG = () => {
+		this.draw();
+		downloadURL(this.canvas.toDataURL(), 'patch.png');
+	}
+
+	downloadOBJ = () => {
+		const obj = toOBJ(this.surface, this.meshExport);
+		downloadBlob(obj, 'patch.obj');
+	}
+
+	downloadSTL = () => {
+		if (this.meshExport.binarySTL) {
+			downloadBlob(toBinarySTL(this.surface, this.meshExport), 'patch.stl', 'model/stl');
+		} else {
+			downloadBlob(toASCIISTL(this.surface, this.meshExport), 'patch.stl');
+		}
+	}
+
+	downloadHPGL = () => {
+		downloadBlob(toHPGL(this.surface, this.camera, this.plotterExport), 'patch.hpgl');
+	}
+
+	downloadGCode = () => {
+		downloadBlob(toGCode(this.surface, this.camera, this.plotterExport), 'patch.gcode');
+	}
+
+	recordKeyframe = () => {
+		const camera = { azimuth: this.azimuth, altitude: this.altitude, zoom: this.camera.zoom };
+		this.timeline.record(this.surface, camera);
+	}
+
+	// once the surface or camera settles after a change
+	scheduleKeyframe = _.debounce(this.recordKeyframe, 500);
+
+	/**
+	 * Start recording a new timeline, with the current surface and camera
+	 * as its first keyframe, or stop recording with them as its last.
+	 */
+	toggleRecording = () => {
+
+		this.stopPlayback();
+		this.scheduleKeyframe.cancel();
+
+		this.recording = !this.recording;
+
+		if (this.recording) {
+			this.timeline.clear();
+			this.recordKeyframe();
+			this.showMessage(this.text("recording"));
+			return;
+		}
+
+		this.recordKeyframe();
+
+		const seconds = (this.timeline.duration() / 1000).toFixed(1);
+		this.showMessage(this.text("recorded", { keyframes: this.timeline.keyframes.length, seconds }));
+	}
+
+	// false, with a message, if there is nothing recorded to play or export
+	hasTimeline = () => {
+
+		if (this.recording) this.toggleRecording();
+
+		if (this.timeline.keyframes.length < 2) {
+			this.showMessage(this.text("nothingRecorded"));
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Show the surface and camera as they were at `time` (ms) in the
+	 * timeline, moving the control points of the current surface
+	 * if possible or else swapping in the recorded one.
+	 */
+	showTimeline = (time) => {
+
+		const { azimuth, altitude, zoom } = this.timeline.cameraAt(time);
+		this.azimuth = azimuth;
+		this.altitude = altitude;
+		this.camera.zoom = zoom;
+
+		const recorded = this.timeline.surfaceAt(time);
+
+		if (matches(recorded, this.surface)) {
+
+			const degrees = _.mergeWith(recorded.degrees(), this.surface.degrees(), (x, y) => Math.max(x, y));
+			recorded.raiseDegrees(degrees);
+			this.surface.raiseDegrees(degrees);
+
+			const vectors = recorded.vectors();
+			this.surface.vectors().forEach((v, i) => v.copy(vectors[i]));
+			this.surface.update();
+			this.draw();
+
+		} else {
+			this.replaceSurface(recorded, false);
+		}
+	}
+
+	togglePlayback = () => {
+
+		if (!_.isNil(this.playback)) {
+			this.stopPlayback();
+			return;
+		}
+
+		if (!this.hasTimeline()) return;
+
+		this.surface.stop();
+
+		const duration = this.timeline.duration();
+
+		// the timeline eases between keyframes itself
+		this.showTimeline(0);
+		this.playback = animate({
+			duration,
+			easing: "linear",
+			update: value => this.showTimeline(value * duration)
+		}).then(() => {
+			this.playback = null;
+		});
+	}
+
+	stopPlayback = () => {
+		if (!_.isNil(this.playback)) this.playback.cancel();
+		this.playback = null;
+	}
+
+	/**
+	 * Save the timeline, frame by frame, as set by .timelineExport
+	 */
+	exportFrames = () => {
+
+		const { format, fps, gifWidth } = this.timelineExport;
+
+		if (["png", "svg", "gif"].indexOf(format) === -1) {
+			this.showMessage(`Can't export frames as "${_.escape(format)}" (use png, svg or gif).`);
+			return;
+		}
+
+		if (!this.hasTimeline()) return;
+
+		this.stopPlayback();
+		this.surface.stop();
+
+		const times = this.timeline.frames(fps);
+
+		if (format === "gif") {
+
+			const scale = Math.min(1, gifWidth / this.canvas.width);
+			const width = Math.round(scale * this.canvas.width);
+			const height = Math.round(scale * this.canvas.height);
+
+			const frame = document.createElement('canvas');
+			frame.width = width;
+			frame.height = height;
+			const ctx = frame.getContext('2d');
+
+			// copied straight after rendering, while the WebGL canvas still has the frame
+			const pixels = times.map((time) => {
+				this.showTimeline(time);
+				ctx.drawImage(this.canvas, 0, 0, width, height);
+				return ctx.getImageData(0, 0, width, height).data;
 			});
-			path.setAttribute('d', pathString);
-			path.setAttribute('fill', 'none');
-			path.setAttribute('stroke', '#fff');
-			path.setAttribute('stroke-width', window.devicePixelRatio);
-			svg.appendChild(path);
+
+			const gif = encodeGIF(pixels, width, height, { delay: 1000 / fps });
+			downloadBlob(new Blob([gif], { type: 'image/gif' }), 'patch.gif');
+			return;
 		}
-		
-		for (let u of u_crvs) renderCurve(u);
-		for (let v of v_crvs) renderCurve(v);
 
-		const svgBlob = new Blob([svg.outerHTML], {type:"image/svg+xml;charset=utf-8"});
-		const svgUrl = URL.createObjectURL(svgBlob);
-		const a = document.createElement('a');
-		a.href = svgUrl;
-		a.download = 'patch.svg';
-		a.click();
+		const name = i => `frame-${_.padStart(i + 1, 4, '0')}.${format}`;
+
+		// one at a time, so the browser keeps up with the downloads
+		const save = (i) => {
+
+			if (i >= times.length) return;
+
+			this.showTimeline(times[i]);
+
+			if (format === "png") {
+				downloadURL(this.canvas.toDataURL(), name(i));
+			} else {
+				const { width, height } = this.canvas;
+				const options = Object.assign({ width, height, strokeWidth: window.devicePixelRatio }, this.vectorExport);
+				downloadBlob(toSVG(this.surface, this.camera, options), name(i), 'image/svg+xml;charset=utf-8');
+			}
+
+			window.setTimeout(() => save(i + 1), 200);
+		};
+
+		this.showMessage(this.text("savingFrames", { frames: times.length }));
+		save(0);
 	}
 
-	downloadPNG = () => {
+	saveSurface = () => {
+		const json = JSON.stringify(this.surface, null, 2);
+		downloadBlob(json, 'patch.json', 'application/json;charset=utf-8');
+	}
+
+	openSurface = () => {
+		// like the download links, the input is never attached to the document
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,application/json';
+		input.addEventListener('change', () => {
+			if (input.files.length > 0) this.readSurfaceFile(input.files[0]);
+		});
+		input.click();
+	}
+
+	readSurfaceFile = (file) => {
+		const reader = new FileReader();
+		reader.onload = () => this.loadSurface(reader.result);
+		reader.onerror = () => this.showMessage(this.text("fileUnreadable", { file: _.escape(file.name) }));
+		reader.readAsText(file);
+	}
+
+	/**
+	 * Replace the current surface with one parsed from a JSON string.
+	 * If the data is invalid, the current surface is left alone and
+	 * the error is shown in the helper text.
+	 */
+	loadSurface = (json) => {
+
+		let surface;
+
+		try {
+			surface = fromJSON(json);
+		} catch (e) {
+			this.showMessage(this.text("fileInvalid", { error: _.escape(e.message) }));
+			return;
+		}
+
+		this.replaceSurface(surface);
+		this.showMessage("");
+	}
+
+	/**
+	 * Swap in a new Surface (or PatchNetwork), removing the old one
+	 * from the scene.
+	 */
+	replaceSurface = (surface, fit = true) => {
+
+		this.surface.dispose();
+
+		this.surface = surface;
+		this.surface.setTessellation(this.tessellation);
+		this.surface.setScene(this.scene);
+		this.surface.init();
+		this.surface.update();
+
+		// the seeds shown were for the old surface
+		this.setState({ action: null, coordinates: false, seeds: "" });
+
 		this.draw();
-		const a = document.createElement('a');
-		a.href = this.canvas.toDataURL();
-		a.download = 'patch.png';
-		a.click();
+		if (fit) this.zoomToFit(0.3);
+	}
+
+	nextNetwork = () => {
+
+		const size = this.surface instanceof PatchNetwork ? this.surface.cols : 1;
+		const i = (this.networkSizes.indexOf(size) + 1) % this.networkSizes.length;
+		const next = this.networkSizes[i];
+
+		const surface = next === 1 ? new Surface() : new PatchNetwork(next, next);
+		surface.display = this.surface.display;
+
+		this.replaceSurface(surface);
+		this.resetSeeds();
+		this.showMessage(next === 1 ? this.text("singlePatch") : this.text("network", { size: next }));
+	}
+
+	/**
+	 * Show a message in the helper text, clearing it after a few
+	 * seconds (unless something else has replaced it in the meantime).
+	 */
+	showMessage = (text, duration = 5000) => {
+		this.setState({ helperText: text });
+		if (text === "") return;
+		window.setTimeout(() => {
+			if (this.state.helperText === text) this.setState({ helperText: "" });
+		}, duration);
+	}
+
+	onDragOver = (e) => {
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'copy';
+	}
+
+	onDrop = (e) => {
+		e.preventDefault();
+		this.updateLastInteraction();
+		const files = e.dataTransfer.files;
+		if (files.length === 0) return;
+		this.readSurfaceFile(files[0]);
 	}
 
 	componentDidMount() {
@@ -544,7 +1689,19 @@ export default class CanvasView extends Component {
 		// set up scene, camera, renderer
 		this.scene = new THREE.Scene();
 		
-		this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.01, 1000);
+		// the orthographic camera's frustum is set by .updateProjection()
+		this.perspectiveCamera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.01, 1000);
+		this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 1000);
+		this.camera = this.perspectiveCamera;
+
+		// lights for the shaded display modes -- the directional light
+		// is attached to the camera so that the side facing the viewer is lit
+		this.light = new THREE.DirectionalLight(0xffffff, 0.7);
+		this.light.position.set(0.5, 1, 1);
+		this.camera.add(this.light);
+		this.scene.add(this.perspectiveCamera);
+		this.scene.add(this.orthographicCamera);
+		this.scene.add(new THREE.AmbientLight(0xffffff, 0.35));
 
 		this.renderer = new THREE.WebGLRenderer({
 			canvas: this.refs.canvas,
@@ -556,6 +1713,7 @@ export default class CanvasView extends Component {
 		
 		this.onResize();
 
+		this.surface.setTessellation(this.tessellation);
 		this.surface.setScene(this.scene);
 		this.surface.init();
 		this.surface.update();
@@ -569,32 +1727,97 @@ export default class CanvasView extends Component {
 
 		this.checkLastInteraction();
 
+		const errors = this.keymapErrors.concat(this.tutorialErrors, this.localeErrors, this.attractErrors, this.connectInputs());
+
+		this.resetSeeds();
+
+		// #patch=... opens the surface (and camera) shared by a link,
+		// or else ?seed=... makes the surface from those seeds
+		const opened = this.readHash();
+		const match = /[?&]seed=([^&]*)/.exec(window.location.search);
+
+		if (!opened && match) {
+			const { seeds, error } = parseSeeds(decodeURIComponent(match[1]));
+			if (error) errors.push(this.text(error.key, error.values));
+			else this.morphFromSeeds(seeds);
+		}
+
+		if (errors.length > 0) {
+			this.showMessage(errors.map(_.escape).join("<br>"), 10000);
+		}
+
 		// add event listeners
 		window.addEventListener('resize', this.onResize);
 		window.addEventListener('click', this.onClick);
+		window.addEventListener('mousedown', this.onMouseDown);
+		window.addEventListener('mousemove', this.onMouseMove);
+		window.addEventListener('mouseup', this.onMouseUp);
 		window.addEventListener('wheel', this.onWheel);
 		window.addEventListener('keydown', this.onKeyDown);
+		window.addEventListener('dragover', this.onDragOver);
+		window.addEventListener('drop', this.onDrop);
+		window.addEventListener('popstate', this.readHash);
+		window.addEventListener('hashchange', this.readHash);
 	}
 
 	tutorial = (stage) => {
 
+		const step = this.tutorialStep(stage);
+
+		this.tutorialActions = [];
+		this.tutorialCondition = null;
+		this.preventKeysExceptTutorial = false;
+
 		// if we're past the final step of the tutorial,
 		// exit
-		if (tutorialManager.steps > 0 && stage >= tutorialManager.steps) {
+		if (_.isUndefined(step)) {
 			
 			this.setState({ 
 				lastTutorial: -1,
 				tutorial: -1 
 			});
 
+			return;
+		}
+
 		// otherwise, progress
-		} else {
+		this.setState({ 
+			lastTutorial: this.state.tutorial,
+			tutorial: stage 
+		});
 
-			this.setState({ 
-				lastTutorial: this.state.tutorial,
-				tutorial: stage 
-			});
+		this.preventKeysExceptTutorial = step.lockKeys === true;
+
+		if (step.restore) {
+			this.surface.stop();
+			this.restoreSurface();
 		}
+
+		if (_.isString(step.helperText)) this.setState({ helperText: step.helperText });
+		if (!_.isNil(step.until)) this.tutorialCondition = condition(step.until, this.tutorialState());
+	}
+
+	// a step of the tutorial (the one on, if not given) in the language shown
+	tutorialStep = (stage = this.state.tutorial) => localizeStep(this.locales, this.state.locale, this.tutorialSteps[stage], this.keyNames())
+
+	// where things stand, for the tutorial's conditions (see utils/tutorial.js)
+	tutorialState = () => ({
+		actions: this.tutorialActions,
+		points: _.range(this.surface.controlPointsList.length).map(i => this.surface.controlPointFromIndex(i)),
+		camera: { azimuth: this.azimuth, altitude: this.altitude }
+	})
+
+	// go on to the next step once this one's task is done
+	checkTutorial = () => {
+
+		if (_.isNil(this.tutorialCondition) || !this.tutorialCondition(this.tutorialState())) return;
+
+		const stage = this.state.tutorial;
+		this.tutorialCondition = null;
+
+		window.setTimeout(() => {
+			if (this.state.tutorial === stage) this.tutorial(stage + 1);
+		}, TUTORIAL_ADVANCE_DELAY);
 	}
 
 	render() {
@@ -609,16 +1832,50 @@ export default class CanvasView extends Component {
 			return { __html: this.state.helperText };
 		};
 
+		const { locale } = this.state;
+		const labels = _.mapValues(this.actionNames, this.labelOf);
+
 		return (
-			<div>
+			<div dir={_.get(this.locales, [locale, "dir"], "ltr")} lang={locale}>
 				<canvas ref="canvas" />
 				<Coordinates 
 					ref="Coordinates"
 					surface={this.surface} 
 					style={coordinatesStyle}
-					active={this.state.coordinates} />
-				<div className="action">{this.state.action}</div>
-				<Tutorial step={this.state.tutorial} manager={tutorialManager} />
+					active={this.state.coordinates}
+					editing={this.state.enteringCoordinates}
+					range={this.coordinateRange}
+					onPreview={this.previewCoordinates}
+					onCommit={this.commitCoordinates}
+					onCancel={this.cancelCoordinates}
+					text={this.text} />
+				<div className="action">{this.state.action ? this.labelOf(this.state.action) : null}</div>
+				<Tutorial step={this.tutorialStep() || null} />
+				<Instructions
+					actionNames={labels}
+					bindings={this.keymapBindings[this.keymapProfile]}
+					keys={_.get(this.keymap.profiles, [this.keymapProfile, "keys"])}
+					knobActions={this.knobActions()}
+					action={this.state.action ? this.labelOf(this.state.action) : null}
+					text={{ mouse: this.text("helpMouse"), knob: this.text("helpKnob"), immediate: this.text("helpImmediate") }}
+					open={this.state.help}
+					onToggle={this.toggleHelp} />
+				{this.state.seeds ? <div className="seed">{this.state.seeds}</div> : null}
+				{this.state.enteringSeed ? (
+					<SeedEntry
+						seeds={_.isEmpty(this.seedHistory.seeds) ? "" : this.seedHistory.seeds.join(", ")}
+						onSubmit={this.morphFromSeeds}
+						onCancel={() => this.setState({ enteringSeed: false })}
+						text={this.text} />
+				) : null}
+				{this.state.remapping ? (
+					<KeymapEditor
+						actionNames={labels}
+						profiles={this.keymap.profiles}
+						bindings={this.keymapBindings}
+						profile={this.keymapProfile}
+						onDone={this.remapKeys} />
+				) : null}
 				<div className="helper-text" dangerouslySetInnerHTML={helperText()}></div>
 			</div>
 		)
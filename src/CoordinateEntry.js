@@ -0,0 +1,134 @@
+import React, { Component } from 'react';
+
+import { AXES, formatCoordinate, parseCoordinate } from './utils/coordinates';
+
+/**
+ *	Fields for typing in the x, y and z of the active control point,
+ *	shown in Coordinates. ↑↓ (or ←→ past the end of a field) choose the
+ *	field, ENTER sets the point, ESC puts it back.
+ *
+ *	props:
+ *	- point: where the control point is, as a THREE.Vector3
+ *	- range: { min, max } for each coordinate
+ *	- onPreview(point): called with the point as typed so far,
+ *	  keeping the coordinates that aren't valid as they were
+ *	- onCommit(point): called with a valid point on ENTER
+ *	- onCancel()
+ *	- text(key, values): a message from the locale bundles, for its words
+ */
+export default class CoordinateEntry extends Component {
+
+	constructor(props) {
+		super(props);
+		this.state = {
+			text: AXES.map(axis => formatCoordinate(props.point[axis])),
+			axis: 0,
+			error: null
+		};
+		this.fields = [];
+
+		// where the point was, as it moves with the preview
+		this.origin = props.point.clone();
+	}
+
+	componentDidUpdate(prevProps, prevState) {
+		if (prevState.axis !== this.state.axis) this.fields[this.state.axis].focus();
+	}
+
+	parse = (text) => {
+		const parsed = text.map(t => parseCoordinate(t, this.props.range));
+		const point = this.origin.clone();
+		parsed.forEach(({ value }, i) => {
+			if (value !== null) point[AXES[i]] = value;
+		});
+		return { point, parsed };
+	}
+
+	onChange = (i, value) => {
+
+		const text = this.state.text.slice();
+		text[i] = value;
+
+		const { point, parsed } = this.parse(text);
+		this.setState({ text, error: parsed[i].error });
+		this.props.onPreview(point);
+	}
+
+	select = (axis) => {
+		const { parsed } = this.parse(this.state.text);
+		this.setState({ axis, error: parsed[axis].error });
+	}
+
+	submit = () => {
+
+		const { point, parsed } = this.parse(this.state.text);
+		const invalid = parsed.findIndex(p => p.error);
+
+		if (invalid > -1) this.setState({ axis: invalid, error: parsed[invalid].error });
+		else this.props.onCommit(point);
+	}
+
+	onKeyDown = (e) => {
+
+		// keys typed here are not actions
+		e.stopPropagation();
+
+		const { axis } = this.state;
+		const { selectionStart, selectionEnd, value } = e.target;
+		const n = AXES.length;
+
+		// ← at the start of a field, or → at its end, goes to the next one
+		const atStart = selectionStart === 0 && selectionEnd === 0;
+		const atEnd = selectionStart === value.length;
+
+		if (e.keyCode === 27) this.props.onCancel();
+		if (e.keyCode === 13) this.submit();
+
+		let next = null;
+		if (e.keyCode === 38 || (e.keyCode === 37 && atStart) || (e.keyCode === 9 && e.shiftKey)) next = (axis + n - 1) % n;
+		if (e.keyCode === 40 || (e.keyCode === 39 && atEnd) || (e.keyCode === 9 && !e.shiftKey)) next = (axis + 1) % n;
+
+		if (next !== null) {
+			e.preventDefault();
+			this.select(next);
+		}
+	}
+
+	render() {
+
+		const { text } = this.props;
+		const { error } = this.state;
+
+		// clicks here are not for the canvas
+		const stop = e => e.stopPropagation();
+
+		return (
+			<div className="coordinate-entry" onClick={stop} onMouseDown={stop}>
+				({AXES.map((axis, i) => {
+
+					let className = "coordinate-entry__field";
+					if (i === this.state.axis) className += " coordinate-entry__field--selected";
+					if (parseCoordinate(this.state.text[i], this.props.range).error) className += " coordinate-entry__field--invalid";
+
+					return (
+						<input
+							key={axis}
+							ref={el => { this.fields[i] = el; }}
+							autoFocus={i === 0}
+							aria-label={axis}
+							className={className}
+							type="text"
+							inputMode="decimal"
+							value={this.state.text[i]}
+							onFocus={() => { if (i !== this.state.axis) this.select(i); }}
+							onChange={e => this.onChange(i, e.target.value)}
+							onKeyDown={this.onKeyDown} />
+					);
+				}).reduce((list, field) => list.length ? list.concat(", ", field) : [field], [])})
+				<p className="coordinate-entry__hint">
+					{error ? text(error.key, error.values) : text("coordinateHint")}
+				</p>
+			</div>
+		);
+	}
+};
@@ -2,25 +2,44 @@ import React, { Component } from 'react';
 
 import './Coordinates.css';
 
+import CoordinateEntry from './CoordinateEntry';
+import { formatCoordinate } from './utils/coordinates';
+
 export default class Coordinates extends Component {
 
 	format(v) {
-		let s = (Math.round(v * 1000) / 1000).toString();
-		if (s.split('.').length === 1) s += ".0";
-		return s;
+		return formatCoordinate(v);
 	}
 
 	render() {
 
-		const pt = this.props.surface.getActiveControlPoint() || { x: '---', y: '---', z: '---' };
+		const { surface } = this.props;
+		const active = surface.getActiveControlPoint();
+		const pt = active || { x: '---', y: '---', z: '---' };
 
 		let className = "coordinates";
 		if (this.props.active) className += " coordinates--active";
 
+		// numeric entry, started over for each control point
+		if (this.props.editing && active) {
+			return (
+				<div className={className + " coordinates--editing"} style={this.props.style}>
+					<CoordinateEntry
+						key={surface.activeControlPoint}
+						point={active}
+						range={this.props.range}
+						onPreview={this.props.onPreview}
+						onCommit={this.props.onCommit}
+						onCancel={this.props.onCancel}
+						text={this.props.text} />
+				</div>
+			);
+		}
+
 		return (
 			<div className={className} style={this.props.style}>
 				({this.format(pt.x)}, {this.format(pt.y)}, {this.format(pt.z)})
 			</div>
 		);
 	}
-};
\ No newline at end of file
+};
@@ -2,48 +2,71 @@ import React, { Component } from 'react';
 
 import './Instructions.css';
 
+import { describeBindings } from './utils/keymap';
+
+/**
+ *	Help screen, opened from the ? in the corner (or the HELP key),
+ *	listing what each key does in the keymap in use. The action the
+ *	knob is set to is marked.
+ *
+ *	props:
+ *	- open: whether it is shown, rather than just the ?
+ *	- onToggle(): called when the ? or the close button is clicked
+ *	- actionNames: action id -> label
+ *	- bindings: action id -> keyCode, for the profile in use
+ *	- keys: the profile's names for its keys (see utils/keymap.js)
+ *	- knobActions: ids of the actions the knob turns (the others happen at once)
+ *	- action: label of the action the knob is set to, or null
+ *	- text: { mouse, knob, immediate }, HTML to introduce the mouse and each list
+ */
 export default class Instructions extends Component {
 
-	constructor() {
-		super();
-		this.state = {
-			active: false
-		};
-		this.toggleActive = this.toggleActive.bind(this);
-	}
+	renderRows(rows) {
+		return rows.map(({ id, label, key }) => {
+
+			let className = "instructions__row";
+			if (label === this.props.action) className += " instructions__row--active";
+			if (key === null) className += " instructions__row--unbound";
 
-	toggleActive() {
-		this.setState({
-			active: !this.state.active
+			return (
+				<li key={id} className={className}>
+					<b className="instructions__key">{key === null ? "—" : key}</b> {label}
+				</li>
+			);
 		});
 	}
 
 	render() {
-		return this.state.active ? (
-			<div className="instructions">
+
+		// clicks here are not for the canvas
+		const stop = e => e.stopPropagation();
+
+		if (!this.props.open) {
+			return (
+				<div className="instructions instructions__marker" onClick={e => { stop(e); this.props.onToggle(); }} onMouseDown={stop}>
+					<span>?</span>
+				</div>
+			);
+		}
+
+		const { actionNames, bindings, keys, knobActions, text } = this.props;
+		const { knob, immediate } = describeBindings(actionNames, bindings || {}, knobActions, keys);
+
+		return (
+			<div className="instructions" onClick={stop} onMouseDown={stop}>
 				<div className="instructions__overlay">
-					<p><b>CLICK</b> anywhere to morph the surface.</p>
-					<p><b>ESC</b> to restore after any changes.</p>
-					<p><b>SPACE BAR</b> to toggle control points.</p>
-					<p><b>ENTER</b> to activate numeric controls.</p>
-					<p>...if numeric controls <b>are not</b> active:</p>
-					<ul>
-						<li><b>ARROW KEYS</b> to rotate the camera.</li>
-						<li><b>WHEEL</b> to zoom in and out.</li>
+					<p dangerouslySetInnerHTML={{ __html: text.mouse }}></p>
+					<p dangerouslySetInnerHTML={{ __html: text.knob }}></p>
+					<ul className="instructions__list">
+						{this.renderRows(knob)}
 					</ul>
-					<p>...if numeric controls <b>are</b> active:</p>
-					<ul>
-						<li><b>ARROW KEYS</b> to select dimension or move cursor within input.</li>
-						<li><b>WHEEL</b> to move to next/previous control point.</li>
-						<li><b>NUMBER KEYS</b> to change value.</li>
+					<p dangerouslySetInnerHTML={{ __html: text.immediate }}></p>
+					<ul className="instructions__list instructions__list--wide">
+						{this.renderRows(immediate)}
 					</ul>
 				</div>
-				<span className="instructions__marker instructions__marker--close" onClick={this.toggleActive}>&times;</span>
-			</div>
-		) : (
-			<div className="instructions instructions__marker" onClick={this.toggleActive}>
-				<span>?</span>
+				<span className="instructions__marker instructions__marker--close" onClick={this.props.onToggle}>&times;</span>
 			</div>
 		);
 	}
-}
\ No newline at end of file
+}
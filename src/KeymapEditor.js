@@ -0,0 +1,158 @@
+import React, { Component } from 'react';
+import _ from 'lodash';
+
+import './KeymapEditor.css';
+
+import { keyLabel, conflicts } from './utils/keymap';
+
+/**
+ *	Screen for choosing a keymap profile and remapping its keys.
+ *	Works with the keyboard (↑↓ to choose an action, ENTER then a key
+ *	to bind it, DELETE to unbind, ←→ to change profile, ESC when done)
+ *	or by clicking. It can't be closed while two actions share a key.
+ *
+ *	props:
+ *	- actionNames: action id -> label
+ *	- profiles: profile id -> { name, keys }
+ *	- bindings: profile id -> { action id -> keyCode }
+ *	- profile: id of the profile in use
+ *	- onDone(profile, bindings): called with the chosen profile and
+ *	  the bindings of every profile
+ */
+export default class KeymapEditor extends Component {
+
+	constructor(props) {
+		super(props);
+		this.state = {
+			profile: props.profile,
+			bindings: _.cloneDeep(props.bindings),
+			selected: 0,
+			listening: false,
+			error: null
+		};
+	}
+
+	componentDidMount() {
+		window.addEventListener('keydown', this.onKeyDown);
+	}
+
+	componentWillUnmount() {
+		window.removeEventListener('keydown', this.onKeyDown);
+	}
+
+	actions() { return _.keys(this.props.actionNames); }
+
+	current() { return this.state.bindings[this.state.profile] || {}; }
+
+	bind = (action, code) => {
+
+		const bindings = Object.assign({}, this.state.bindings);
+		bindings[this.state.profile] = _.omitBy(Object.assign({}, this.current(), { [action]: code }), _.isNil);
+
+		this.setState({ bindings, listening: false, error: null });
+	}
+
+	nextProfile = (delta) => {
+		const ids = _.keys(this.props.profiles);
+		const i = (ids.indexOf(this.state.profile) + delta + ids.length) % ids.length;
+		this.setState({ profile: ids[i], listening: false, error: null });
+	}
+
+	done = () => {
+
+		if (conflicts(this.current()).length > 0) {
+			this.setState({ error: "Give each action its own key (or unbind one) before closing." });
+			return;
+		}
+
+		this.props.onDone(this.state.profile, this.state.bindings);
+	}
+
+	onKeyDown = (e) => {
+
+		e.preventDefault();
+
+		const code = e.keyCode;
+		const action = this.actions()[this.state.selected];
+
+		if (this.state.listening) {
+			if (code === 27) this.setState({ listening: false });
+			else this.bind(action, code);
+			return;
+		}
+
+		const n = this.actions().length;
+
+		if (code === 38) this.setState({ selected: (this.state.selected - 1 + n) % n });
+		if (code === 40) this.setState({ selected: (this.state.selected + 1) % n });
+		if (code === 37) this.nextProfile(-1);
+		if (code === 39) this.nextProfile(1);
+		if (code === 13) this.setState({ listening: true });
+		if (code === 8 || code === 46) this.bind(action, null);
+		if (code === 27) this.done();
+	}
+
+	render() {
+
+		const { actionNames, profiles } = this.props;
+		const bindings = this.current();
+		const { keys } = profiles[this.state.profile];
+
+		const clashes = conflicts(bindings);
+		const clashing = _.flatMap(clashes, ([code, actions]) => actions);
+
+		// clicks here are not for the canvas
+		const stop = e => e.stopPropagation();
+
+		return (
+			<div className="keymap" onClick={stop} onMouseDown={stop}>
+				<div className="keymap__overlay">
+
+					<h1>Keys</h1>
+
+					<div className="keymap__profiles">
+						{_.map(profiles, (profile, id) => (
+							<button
+								key={id}
+								className={"keymap__profile" + (id === this.state.profile ? " keymap__profile--active" : "")}
+								onClick={() => this.setState({ profile: id, listening: false, error: null })}>
+								{profile.name}
+							</button>
+						))}
+					</div>
+
+					<ul className="keymap__list">
+						{this.actions().map((action, i) => {
+
+							let className = "keymap__row";
+							if (i === this.state.selected) className += " keymap__row--selected";
+							if (clashing.indexOf(action) > -1) className += " keymap__row--conflict";
+
+							const listening = this.state.listening && i === this.state.selected;
+
+							return (
+								<li key={action} className={className} onClick={() => this.setState({ selected: i, listening: true })}>
+									<span className="keymap__action">{actionNames[action]}</span>
+									<span className="keymap__key">
+										{listening ? "press a key…" : (action in bindings ? keyLabel(bindings[action], keys) : "—")}
+									</span>
+								</li>
+							);
+						})}
+					</ul>
+
+					<div className="keymap__messages">
+						{clashes.map(([code, actions]) => (
+							<p key={code}>
+								<b>{keyLabel(code, keys)}</b> is bound to both {actions.map(a => actionNames[a]).join(" and ")}.
+							</p>
+						))}
+						{this.state.error ? <p className="keymap__error">{this.state.error}</p> : null}
+					</div>
+
+					<button className="keymap__done" onClick={this.done}>Done</button>
+				</div>
+			</div>
+		);
+	}
+};
@@ -0,0 +1,620 @@
+import _ from 'lodash';
+import * as THREE from 'three';
+
+import Surface, { Curve, bezierPoints, elevateCurve, SCHEMA_VERSION, CORNER_TOLERANCE } from './Surface';
+import { bilinear, hermiteBasis } from './utils/coons';
+import { interpolate } from './utils/bezier';
+import { p } from './utils/surface-helpers';
+import { randomSeed, generator, checkRandomOptions, jitter } from './utils/random';
+
+// continuity across the seams, cycled through by .toggleContinuity()
+// G0 = patches meet; G1 = patches meet with matching tangent planes
+const CONTINUITIES = ["G0", "G1"];
+
+/*
+ * A grid of Coons patches that share their boundaries: neighbouring
+ * patches hold the very same boundary curve object, and every patch
+ * meeting at a grid vertex holds the very same corner point. Editing a
+ * shared control point therefore updates all of the patches at once.
+ *
+ * A PatchNetwork can stand in for a Surface: u and v run from 0 to 1
+ * across the whole network, and control point selection (.controlPointsList,
+ * .setActiveControlPointIndex) runs over the unique points of all patches.
+ *
+ * Every boundary curve in a network has the same degree.
+ */
+class PatchNetwork extends Surface {
+
+  constructor(cols = 2, rows = 2, degree = 3) {
+
+    super();
+
+    this.cols = cols;
+    this.rows = rows;
+
+    // about as many isolines in total as a single surface
+    this.stepSize = Math.min(0.04 * Math.max(cols, rows), 0.25);
+
+    /*
+     * Default network: the same square as the default Surface,
+     * divided into cols x rows patches
+     */
+    const V = []; // V[i][j] is the grid vertex at u = i / cols, v = j / rows
+    for (let i = 0; i <= cols; i++) {
+      V.push([]);
+      for (let j = 0; j <= rows; j++) V[i].push(p(i / cols, j / rows));
+    }
+
+    // a straight curve between two shared corners, with its inner control points evenly spaced
+    const between = (a, b) => Curve(a, ..._.range(1, degree).map(k => a.clone().lerp(b, k / degree)), b);
+
+    // uCurves[j][i] runs along u from V[i][j] to V[i + 1][j]
+    this.uCurves = _.range(rows + 1).map(j => _.range(cols).map(i => between(V[i][j], V[i + 1][j])));
+
+    // vCurves[i][j] runs along v from V[i][j] to V[i][j + 1]
+    this.vCurves = _.range(cols + 1).map(i => _.range(rows).map(j => between(V[i][j], V[i][j + 1])));
+
+    // patches[j][i] is the patch at column i, row j
+    this.patches = _.range(rows).map(j => _.range(cols).map(i => {
+      const s = new Surface();
+      s.u0 = this.uCurves[j][i];
+      s.u1 = this.uCurves[j + 1][i];
+      s.v0 = this.vCurves[i][j];
+      s.v1 = this.vCurves[i + 1][j];
+      s.controlPointsList = s.listControlPoints();
+      s.stepSize = this.stepSize;
+      s.tangentHandles = false;
+      return s;
+    }));
+
+    // share the vertex budget between the patches
+    this.setTessellation(this.tessellation);
+
+    this.controlPointsList = this.listControlPoints();
+    this.mirrors = this.listMirrors();
+
+    this.continuity = "G0";
+
+    // no tangent handles -- in G1 the tangents are set from the network
+    this.tangentHandles = false;
+  }
+
+  // all patches, row by row
+  surfaces() { return _.flatten(this.patches); }
+
+  /*
+   * Unique control points of the whole network, patch by patch, as
+   * [patch index (see .surfaces()), curve name, vertex name, size].
+   */
+  listControlPoints() {
+
+    const list = [];
+    const seen = new Set();
+
+    this.surfaces().forEach((s, n) => {
+      s.controlPointsList.forEach(([crv, vertex, size]) => {
+        const pt = s[crv].__bez[vertex];
+        if (seen.has(pt)) return;
+        seen.add(pt);
+        list.push([n, crv, vertex, size]);
+      });
+    });
+
+    return list;
+  }
+
+  /*
+   * Where two curves continue through a grid vertex: the vertex and
+   * the control points on either side of it, which G1 keeps in line.
+   * `a` leads and `b` follows, unless `b` is the point being edited.
+   */
+  listMirrors() {
+
+    const mirrors = [];
+
+    // curve `from` runs into the vertex and curve `to` away from it
+    const mirror = (from, to) => {
+      const a = bezierPoints(from.__bez);
+      const b = bezierPoints(to.__bez);
+      mirrors.push({ corner: b[0], a: a[a.length - 2], b: b[1] });
+    };
+
+    for (let i = 0; i <= this.cols; i++) {
+      for (let j = 0; j <= this.rows; j++) {
+        if (i > 0 && i < this.cols) mirror(this.uCurves[j][i - 1], this.uCurves[j][i]);
+        if (j > 0 && j < this.rows) mirror(this.vCurves[i][j - 1], this.vCurves[i][j]);
+      }
+    }
+
+    return mirrors;
+  }
+
+  degree() { return bezierPoints(this.uCurves[0][0].__bez).length - 1; }
+
+  degrees() {
+    const d = this.degree();
+    return { u0: d, u1: d, v0: d, v1: d };
+  }
+
+  // every curve is elevated to the highest of the given degrees
+  raiseDegrees(degrees) {
+
+    const degree = _.max(_.values(degrees));
+    if (this.degree() >= degree) return;
+
+    const selected = this.selected();
+
+    // each shared curve once
+    _.flattenDeep([this.uCurves, this.vCurves]).forEach((crv) => {
+      while (bezierPoints(crv.__bez).length - 1 < degree) elevateCurve(crv.__bez);
+    });
+
+    this.surfaces().forEach(s => s.refreshControls());
+    this.mirrors = this.listMirrors();
+    this.revision++;
+    this.refreshControls(selected);
+  }
+
+  controlPointFromIndex(i) {
+    const [n, crv, vertex] = this.controlPointsList[i];
+    return this.surfaces()[n][crv].__bez[vertex];
+  }
+
+  pickable() { return _.flatMap(this.surfaces(), s => s.pickable()); }
+
+  // a shared point has a sphere in each patch that holds it
+  indexOfPicked(obj) {
+
+    const s = _.find(this.surfaces(), s => s.controlPts.indexOf(obj) > -1);
+    if (_.isNil(s)) return -1;
+
+    const i = s.indexOfPicked(obj);
+    if (i === -1) return -1;
+
+    const pt = s.controlPointFromIndex(i);
+    return _.findIndex(this.controlPointsList, (c, n) => this.controlPointFromIndex(n) === pt);
+  }
+
+  setActiveControlPoint(pt, axis) {
+
+    this.setAxis(axis);
+
+    const index = this.activeControlPoint;
+    if (index === -1) return;
+
+    this.checkpoint("move-" + index + "-" + axis);
+    this.moveActiveControlPoint(pt);
+  }
+
+  moveActiveControlPoint(pt) {
+
+    const index = this.activeControlPoint;
+    if (index === -1) return;
+
+    // shared, so this sets it for every patch
+    const v = this.controlPointFromIndex(index);
+    v.set(pt.x, pt.y, pt.z);
+
+    if (this.continuity === "G1") this.alignControlPoints(v);
+
+    this.positionAxes(v);
+    this.update();
+  }
+
+  /*
+   * The patch containing network coordinates (u, v) and the
+   * coordinates within that patch.
+   */
+  locate(u, v) {
+    const i = _.clamp(Math.floor(u * this.cols), 0, this.cols - 1);
+    const j = _.clamp(Math.floor(v * this.rows), 0, this.rows - 1);
+    return {
+      surface: this.patches[j][i],
+      u: u * this.cols - i,
+      v: v * this.rows - j
+    };
+  }
+
+  patch(u: number, v: number, target: Point): Point {
+    const loc = this.locate(u, v);
+    return loc.surface.patch(loc.u, loc.v, target);
+  }
+
+  partial(u: number, v: number, a: number, b: number): Vector3 {
+    const loc = this.locate(u, v);
+    // chain rule: each patch covers 1 / cols of u and 1 / rows of v
+    const scale = Math.pow(this.cols, a) * Math.pow(this.rows, b);
+    return loc.surface.partial(loc.u, loc.v, a, b).multiplyScalar(scale);
+  }
+
+  /*
+   * Unique control points, then every patch's tangent offsets
+   */
+  vectors() {
+
+    const vectors = this.controlPointsList.map((pt, i) => this.controlPointFromIndex(i));
+
+    this.surfaces().forEach((s) => {
+      ["u0", "u1", "v0", "v1"].forEach((k) => {
+        s.tangents[k].forEach(t => vectors.push(t));
+      });
+    });
+
+    return vectors;
+  }
+
+  // corners are always shared, so there is nothing to resolve
+  resolve() {}
+
+  toggleBlending() {
+    super.toggleBlending();
+    // G1 is only possible with the bicubically blended patch
+    if (this.blending === "bilinear") this.continuity = "G0";
+    this.update();
+  }
+
+  toggleContinuity() {
+
+    const i = (CONTINUITIES.indexOf(this.continuity) + 1) % CONTINUITIES.length;
+    this.continuity = CONTINUITIES[i];
+
+    if (this.continuity === "G1") {
+      this.checkpoint();
+      this.blending = "hermite";
+    }
+
+    this.update();
+  }
+
+  /*
+   * Line up the control points on either side of every interior grid
+   * vertex, so that curves continuing through it are smooth there.
+   */
+  alignControlPoints(edited) {
+    this.mirrors.forEach(({ corner, a, b }) => {
+      if (b === edited) {
+        a.copy(corner).multiplyScalar(2).sub(b);
+      } else {
+        b.copy(corner).multiplyScalar(2).sub(a);
+      }
+    });
+  }
+
+  /*
+   * Set every patch's tangent offsets so that neighbouring patches share
+   * their cross-boundary derivatives. At each grid vertex, a single twist
+   * (the average of the bilinear twists of the patches there) is used by
+   * all of them; along each boundary, the cross-boundary derivative is the
+   * cubic Hermite curve through the boundary derivatives and twists at its
+   * ends. Both patches along a seam then compute the same curve, and each
+   * patch's twists agree, so the seams are smooth.
+   *
+   * The offset from the bilinear derivative is of the boundaries' degree,
+   * so each patch is given it exactly as .crossOffsets. Its cubic fit is
+   * kept as the patch's .tangents, which is exact for cubic boundaries
+   * and is what the patch keeps once the seams are let go of.
+   */
+  setG1Tangents() {
+
+    const { cols, rows } = this;
+    const degree = Math.max(3, this.degree());
+
+    // twists of every patch at grid vertex (i, j), to be averaged
+    const twists = _.range(cols + 1).map(() => _.range(rows + 1).map(() => []));
+
+    this.patches.forEach((row, j) => row.forEach((s, i) => {
+      const curves = s.curvePoints();
+      [0, 1].forEach(cu => [0, 1].forEach(cv => {
+        twists[i + cu][j + cv].push(bilinear(curves, cu, cv, 1, 1));
+      }));
+    }));
+
+    const W = twists.map(col => col.map((list) => {
+      return list.reduce((sum, t) => sum.add(t), new THREE.Vector3()).divideScalar(list.length);
+    }));
+
+    this.patches.forEach((row, j) => row.forEach((s, i) => {
+
+      const curves = s.curvePoints();
+      const crossOffsets = {};
+
+      // for each boundary: the bilinear cross-boundary derivative along it,
+      // and the twists at its start and end
+      const boundaries = {
+        u0: [t => bilinear(curves, t, 0, 0, 1), W[i][j], W[i + 1][j]],
+        u1: [t => bilinear(curves, t, 1, 0, 1), W[i][j + 1], W[i + 1][j + 1]],
+        v0: [t => bilinear(curves, 0, t, 1, 0), W[i][j], W[i][j + 1]],
+        v1: [t => bilinear(curves, 1, t, 1, 0), W[i + 1][j], W[i + 1][j + 1]]
+      };
+
+      _.forEach(boundaries, ([cross, w0, w1], k) => {
+
+        const e0 = cross(0);
+        const e1 = cross(1);
+
+        // offset from the bilinear cross-boundary derivative at t,
+        // which is zero at both ends
+        const offset = (t) => {
+          const h = hermiteBasis(t);
+          return e0.clone().multiplyScalar(h[0])
+            .add(e1.clone().multiplyScalar(h[1]))
+            .add(w0.clone().multiplyScalar(h[2]))
+            .add(w1.clone().multiplyScalar(h[3]))
+            .sub(cross(t));
+        };
+
+        // the Bezier [0, ..., 0] of that degree through the offset
+        const exact = interpolate(_.range(degree + 1).map(n => offset(n / degree)));
+        crossOffsets[k] = exact.slice(1, -1);
+
+        // the cubic Bezier [0, t0, t1, 0] through the offset at 1/3 and 2/3
+        const f1 = offset(1 / 3);
+        const f2 = offset(2 / 3);
+
+        s.tangents[k][0].copy(f1).multiplyScalar(3).sub(f2.clone().multiplyScalar(1.5));
+        s.tangents[k][1].copy(f2).multiplyScalar(3).sub(f1.multiplyScalar(1.5));
+      });
+
+      s.crossOffsets = crossOffsets;
+    }));
+  }
+
+  /*
+   * As for a single surface, but with maxVertices for the whole
+   * network, shared equally between its patches.
+   */
+  setTessellation(options) {
+    super.setTessellation(options);
+    const maxVertices = Math.max(1, Math.floor(this.tessellation.maxVertices / (this.cols * this.rows)));
+    this.surfaces().forEach(s => s.setTessellation(Object.assign({}, this.tessellation, { maxVertices })));
+  }
+
+  /*
+   * Copy the network's selection and display state into each patch
+   */
+  syncPatches() {
+
+    const active = this.getActiveControlPoint();
+
+    this.surfaces().forEach((s) => {
+
+      s.controls = this.controls;
+      s.axis = this.axis;
+      s.display = this.display;
+      s.blending = this.blending;
+
+      s.activeControlPoint = _.findIndex(s.controlPointsList, ([crv, vertex]) => {
+        return s[crv].__bez[vertex] === active;
+      });
+    });
+  }
+
+  init() {
+
+    this.surfaces().forEach((s) => {
+      s.setScene(this.scene);
+      s.init();
+    });
+
+    this.u_crvs = _.flatMap(this.surfaces(), s => s.u_crvs);
+    this.v_crvs = _.flatMap(this.surfaces(), s => s.v_crvs);
+  }
+
+  update() {
+
+    if (this.continuity === "G1") {
+      this.alignControlPoints(null);
+      this.setG1Tangents();
+    } else {
+      this.surfaces().forEach((s) => { s.crossOffsets = null; });
+    }
+
+    this.syncPatches();
+    this.surfaces().forEach(s => s.update());
+
+    // the last patch to update may not contain the active point
+    if (this.controls) this.positionAxes(this.getActiveControlPoint());
+  }
+
+  dispose() {
+    this.stop();
+    this.surfaces().forEach(s => s.dispose());
+    this.u_crvs = [];
+    this.v_crvs = [];
+  }
+
+  /*
+   * Morph toward a network of the same size with every control point
+   * of `base` moved randomly, as by Surface.randomize() -- but the
+   * amplitude is for a single patch, so smaller patches move less.
+   * Returns the seed.
+   */
+  randomizeFrom(base, duration, cb, done, { seed = randomSeed(), amplitude, axes, easing }) {
+
+    checkRandomOptions({ amplitude, axes });
+
+    const random = generator(seed);
+    const scaled = amplitude / Math.max(this.cols, this.rows);
+
+    const target = this.clone();
+    const vectors = target.vectors();
+
+    base.vectors().forEach((pt, i) => {
+      if (i < this.controlPointsList.length) vectors[i].copy(pt).add(jitter(random, scaled, axes));
+    });
+
+    this.morph(target, duration, cb, done, { easing });
+
+    return seed;
+  }
+
+  randomize(duration, cb, done, options = {}) {
+    return this.randomizeFrom(this, duration, cb, done, _.defaults({}, options, { amplitude: 0.5 }));
+  }
+
+  randomizeCloseToOriginal(duration, cb, done, options = {}) {
+    const original = new PatchNetwork(this.cols, this.rows, this.degree());
+    return this.randomizeFrom(original, duration, cb, done, _.defaults({}, options, { amplitude: 0.4 }));
+  }
+
+  restore(duration, cb, done, options) {
+    return this.morph(new PatchNetwork(this.cols, this.rows, this.degree()), duration, cb, done, options);
+  }
+
+  clone() {
+    const n = PatchNetwork.fromSnapshot(this.snapshot());
+    n.blending = this.blending;
+    n.continuity = this.continuity;
+    n.activeControlPoint = this.activeControlPoint;
+    return n;
+  }
+
+  snapshot() {
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      degree: this.degree(),
+      vectors: this.vectors().map(v => v.toArray())
+    };
+  }
+
+  static fromSnapshot({ cols, rows, degree, vectors }) {
+    const n = new PatchNetwork(cols, rows, degree);
+    n.vectors().forEach((v, i) => v.fromArray(vectors[i]));
+    return n;
+  }
+
+  /**
+   * Serialize the network: its size and settings, and each patch
+   * (row by row) in the same form as `Surface.toJSON()`.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      type: "network",
+      cols: this.cols,
+      rows: this.rows,
+      stepSize: this.stepSize,
+      display: this.display,
+      blending: this.blending,
+      continuity: this.continuity,
+      patches: this.surfaces().map(s => s.toJSON())
+    };
+  }
+
+  /**
+   * Create a new PatchNetwork from the output of `.toJSON()`. Each patch is
+   * checked as by `Surface.fromJSON()`, and neighbouring patches must agree
+   * on the boundaries they share.
+   * @param {Object} data
+   * @returns {PatchNetwork}
+   */
+  static fromJSON(data) {
+
+    const { cols, rows } = data;
+
+    // networks were added in version 2
+    if (!Number.isInteger(data.version) || data.version < 2 || data.version > SCHEMA_VERSION) {
+      throw new Error(`Unsupported patch network version: ${data.version} (expected 2 to ${SCHEMA_VERSION}).`);
+    }
+
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) {
+      throw new Error("A patch network needs a whole number of columns and rows.");
+    }
+
+    if (!_.isArray(data.patches) || data.patches.length !== cols * rows) {
+      throw new Error(`A ${cols} x ${rows} patch network must have ${cols * rows} patches.`);
+    }
+
+    // check each patch by itself, with the network's version and settings
+    const settings = _.pick(data, ["version", "stepSize", "display", "blending"]);
+
+    const patches = data.patches.map((json, i) => {
+      try {
+        return Surface.fromJSON(Object.assign({}, json, settings));
+      } catch (e) {
+        throw new Error(`Patch ${i + 1}: ${e.message}`);
+      }
+    });
+
+    const degree = patches[0].degrees().u0;
+
+    patches.forEach((s, i) => {
+      if (_.some(s.degrees(), d => d !== degree)) {
+        throw new Error(`Patch ${i + 1}: every boundary curve of a patch network must have the same degree.`);
+      }
+    });
+
+    const n = new PatchNetwork(cols, rows, degree);
+
+    const surfaces = n.surfaces();
+
+    // shared points are written by each patch in turn...
+    patches.forEach((s, i) => {
+      surfaces[i].vectors().forEach((v, k) => v.copy(s.vectors()[k]));
+    });
+
+    // ...so if the patches disagree, only the last one's points remain
+    patches.forEach((s, i) => {
+      ["u0", "u1", "v0", "v1"].forEach((k) => {
+        const shared = bezierPoints(surfaces[i][k].__bez);
+        bezierPoints(s[k].__bez).forEach((pt, m) => {
+          if (pt.distanceTo(shared[m]) > CORNER_TOLERANCE) {
+            throw new Error(`Patch ${i + 1} does not match its neighbour along ${k}.`);
+          }
+        });
+      });
+    });
+
+    n.stepSize = patches[0].stepSize;
+    surfaces.forEach(s => s.stepSize = n.stepSize);
+
+    n.display = patches[0].display;
+    n.blending = patches[0].blending;
+
+    if (!_.isUndefined(data.continuity)) {
+      if (CONTINUITIES.indexOf(data.continuity) === -1) {
+        throw new Error(`Unknown continuity: ${data.continuity}.`);
+      }
+      n.continuity = data.continuity;
+    }
+
+    // as with .toggleContinuity(), smooth seams need the bicubically
+    // blended patch, and the points either side of each vertex lined up
+    if (n.continuity === "G1") {
+      n.blending = "hermite";
+      surfaces.forEach(s => s.blending = n.blending);
+      n.alignControlPoints(null);
+    }
+
+    return n;
+  }
+}
+
+/**
+ * Read either a single surface or a patch network from JSON (as a string
+ * or already parsed), according to its `type`.
+ * @param {Object|String} json
+ * @returns {Surface|PatchNetwork}
+ */
+const fromJSON = (json) => {
+
+  let data = json;
+
+  if (_.isString(data)) {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      throw new Error("Not a valid surface file (could not parse JSON).");
+    }
+  }
+
+  if (_.isPlainObject(data) && data.type === "network") return PatchNetwork.fromJSON(data);
+
+  return Surface.fromJSON(data);
+};
+
+export { fromJSON };
+
+export default PatchNetwork;
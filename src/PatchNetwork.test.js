@@ -0,0 +1,242 @@
+import _ from 'lodash';
+import * as THREE from 'three';
+import PatchNetwork, { fromJSON } from './PatchNetwork';
+import Surface from './Surface';
+
+// a network added to a scene, so that it can .update()
+const attached = (cols = 2, rows = 2) => {
+  const n = new PatchNetwork(cols, rows);
+  n.setScene(new THREE.Scene());
+  n.init();
+  return n;
+};
+
+describe('PatchNetwork', () => {
+
+  it('shares boundary curves and corners between neighbours', () => {
+    const n = new PatchNetwork(2, 2);
+    const [[a, b], [c]] = n.patches;
+    expect(a.v1).toBe(b.v0);
+    expect(a.u1).toBe(c.u0);
+    expect(a.u1.__bez.v3).toBe(b.v0.__bez.v3);
+  });
+
+  it('lists every control point once, across the whole network', () => {
+    // 9 grid vertices, 2 inner points on each of 12 curves
+    expect(new PatchNetwork(2, 2).controlPointsList.length).toBe(9 + 24);
+
+    const n = attached();
+    n.activateControls();
+    const seen = new Set();
+    n.controlPointsList.forEach(() => {
+      seen.add(n.getActiveControlPoint());
+      n.setActiveControlPointIndex(1);
+    });
+    expect(seen.size).toBe(33);
+  });
+
+  it('updates every patch when a shared point moves', () => {
+    const n = attached();
+    n.activateControls();
+
+    // find the middle vertex, shared by all four patches
+    const middle = n.patches[0][0].u1.__bez.v3;
+    while (n.getActiveControlPoint() !== middle) n.setActiveControlPointIndex(1);
+
+    n.setActiveControlPoint(middle.clone().setZ(0.3), "z");
+    n.surfaces().forEach((s, i) => {
+      const u = i % 2 === 0 ? 1 : 0;
+      const v = i < 2 ? 1 : 0;
+      expect(s.patch(u, v).z).toBeCloseTo(0.3);
+    });
+    expect(n.patch(0.5, 0.5).z).toBeCloseTo(0.3);
+  });
+
+  it('keeps the seams smooth in G1', () => {
+    const n = attached();
+    n.toggleContinuity();
+    expect(n.blending).toBe("hermite");
+
+    n.activateControls();
+    for (let i = 0; i < 7; i++) {
+      n.setActiveControlPointIndex(3);
+      n.setActiveControlPoint(n.getActiveControlPoint().clone().setZ(0.1 * (i - 3)), "z");
+    }
+
+    // left/right and bottom/top seams
+    const [[a, b], [c]] = n.patches;
+    [0.2, 0.5, 0.9].forEach((t) => {
+      expect(a.partial(1, t, 1, 0).distanceTo(b.partial(0, t, 1, 0))).toBeLessThan(1e-9);
+      expect(a.partial(t, 1, 0, 1).distanceTo(c.partial(t, 0, 0, 1))).toBeLessThan(1e-9);
+    });
+  });
+
+  it('undoes edits', () => {
+    const n = attached();
+    n.activateControls();
+    const before = n.patch(0.3, 0.3);
+    n.setActiveControlPoint(n.getActiveControlPoint().clone().setZ(0.4), "z");
+    expect(n.patch(0.3, 0.3).distanceTo(before)).toBeGreaterThan(1e-3);
+    n.undo(10, null, () => {});
+    expect(n.patch(0.3, 0.3).distanceTo(before)).toBeLessThan(1e-9);
+  });
+
+  it('reverts a preview, along with the points aligned to it in G1', () => {
+    const n = attached();
+    n.toggleContinuity();
+    n.activateControls();
+    n.setActiveControlPointIndex(3);
+    const snapshot = n.snapshot();
+    const before = n.patch(0.6, 0.4);
+    const edits = n.undoStack.length;
+
+    n.moveActiveControlPoint(n.getActiveControlPoint().clone().setZ(0.4));
+    expect(n.patch(0.6, 0.4).distanceTo(before)).toBeGreaterThan(1e-3);
+    expect(n.undoStack.length).toBe(edits);
+
+    n.revert(snapshot);
+    expect(n.snapshot()).toEqual(snapshot);
+  });
+
+  it('round-trips through JSON', () => {
+    const n = new PatchNetwork(3, 2);
+    n.controlPointFromIndex(5).z = 0.25;
+    n.continuity = "G1";
+    n.blending = "hermite";
+    n.alignControlPoints(null);
+
+    const m = fromJSON(JSON.stringify(n));
+    expect(m).toBeInstanceOf(PatchNetwork);
+    expect([m.cols, m.rows, m.continuity]).toEqual([3, 2, "G1"]);
+    expect(m.patch(0.4, 0.7).distanceTo(n.patch(0.4, 0.7))).toBeLessThan(1e-9);
+
+    expect(fromJSON(new Surface().toJSON())).not.toBeInstanceOf(PatchNetwork);
+  });
+
+  it('reads G1 seams as smooth, whatever the file says', () => {
+    const m = new PatchNetwork(2, 2);
+    // the points either side of the middle vertex, out of line
+    m.mirrors.forEach(({ a }, i) => a.setZ(0.1 * (i + 1)));
+    const json = Object.assign(m.toJSON(), { continuity: "G1" });
+    expect(json.blending).toBe("bilinear");
+
+    const n = fromJSON(json);
+    expect([n.blending, n.continuity]).toEqual(["hermite", "G1"]);
+    expect(n.surfaces().every(s => s.blending === "hermite")).toBe(true);
+
+    n.mirrors.forEach(({ corner, a, b }) => {
+      expect(a.clone().add(b).multiplyScalar(0.5).distanceTo(corner)).toBeLessThan(1e-9);
+    });
+  });
+
+  it('rejects patches that do not meet', () => {
+    const json = new PatchNetwork(2, 1).toJSON();
+    json.patches[1].curves.v0[1] = [0, 0, 1];
+    expect(() => fromJSON(json)).toThrow(/Patch 1 does not match its neighbour along v1/);
+  });
+});
+
+describe('PatchNetwork isolines', () => {
+
+  it('shares the vertex budget between its patches', () => {
+    const n = attached(2, 2);
+    n.setTessellation({ quality: 1, maxVertices: 800 });
+    expect(n.surfaces().map(s => s.tessellation.maxVertices)).toEqual([200, 200, 200, 200]);
+    expect(n.surfaces().every(s => s.tessellation.quality === 1)).toBe(true);
+    expect(new PatchNetwork(2, 2).patches[1][1].tessellation.maxVertices).toBe(1000);
+  });
+
+  it('draws isolines from edge to edge of each patch', () => {
+    const n = attached(2, 2);
+    const s = n.patches[0][1];
+    const { position } = _.last(s.u_crvs).geometry.attributes;
+    const end = new THREE.Vector3().fromBufferAttribute(position, _.last(s.u_crvs).geometry.drawRange.count - 1);
+    expect(end.distanceTo(s.patch(1, 1))).toBeLessThan(1e-6);
+  });
+});
+
+describe('PatchNetwork degree', () => {
+
+  it('elevates shared curves once, keeping seams shared', () => {
+    const n = attached();
+    n.toggleContinuity();
+    const pt = n.patch(0.3, 0.6);
+
+    n.elevate();
+    expect(n.degree()).toBe(4);
+    // 9 grid vertices, 3 inner points on each of 12 curves
+    expect(n.controlPointsList.length).toBe(9 + 36);
+    expect(n.patches[0][0].v1).toBe(n.patches[0][1].v0);
+    expect(n.patch(0.3, 0.6).distanceTo(pt)).toBeLessThan(1e-9);
+  });
+
+  it('keeps the seams smooth in G1 past cubic boundaries', () => {
+    const n = attached();
+    n.toggleContinuity();
+    n.activateControls();
+
+    [4, 5].forEach((degree) => {
+      n.elevate();
+      expect(n.degree()).toBe(degree);
+
+      for (let i = 0; i < 7; i++) {
+        n.setActiveControlPointIndex(5);
+        n.setActiveControlPoint(n.getActiveControlPoint().clone().setZ(0.1 * (i - 3)), "z");
+      }
+
+      const [[a, b], [c]] = n.patches;
+      [0.2, 0.5, 0.9].forEach((t) => {
+        expect(a.partial(1, t, 1, 0).distanceTo(b.partial(0, t, 1, 0))).toBeLessThan(1e-9);
+        expect(a.partial(t, 1, 0, 1).distanceTo(c.partial(t, 0, 0, 1))).toBeLessThan(1e-9);
+      });
+    });
+  });
+
+  it('reads networks of any degree', () => {
+    const n = new PatchNetwork(2, 1, 5);
+    const json = JSON.parse(JSON.stringify(n));
+    expect(fromJSON(json).degree()).toBe(5);
+
+    json.patches[1].curves.u0 = json.patches[1].curves.u0.slice(0, 4);
+    json.patches[1].curves.u0.push(json.patches[1].curves.v1[0]);
+    expect(() => fromJSON(json)).toThrow(/same degree/);
+  });
+});
+
+describe('PatchNetwork picking', () => {
+
+  it('picks shared points from the sphere in any patch', () => {
+    const n = attached();
+    n.activateControls();
+    const middle = n.patches[1][1].u0.__bez.v0;
+
+    const spheres = n.pickable().filter(obj => obj.position.distanceTo(middle) < 1e-9);
+    expect(spheres.length).toBe(4); // one in each patch
+
+    spheres.forEach((obj) => {
+      n.selectControlPoint(n.indexOfPicked(obj));
+      expect(n.getActiveControlPoint()).toBe(middle);
+    });
+  });
+});
+
+describe('PatchNetwork randomize', () => {
+
+  it('makes the same network from the same seed', () => {
+    const a = attached();
+    const b = attached();
+    a.randomize(10, null, () => {}, { seed: 99 });
+    b.randomize(10, null, () => {}, { seed: 99 });
+    a.vectors().forEach((v, i) => expect(v.distanceTo(b.vectors()[i])).toBeLessThan(1e-12));
+  });
+
+  it('moves smaller patches less', () => {
+    const n = attached(2, 2);
+    const original = n.vectors().map(v => v.clone());
+    n.randomize(10, null, () => {}, { seed: 5, amplitude: 0.2, axes: { x: 0 } });
+    n.vectors().slice(0, n.controlPointsList.length).forEach((v, i) => {
+      expect(v.x).toBeCloseTo(original[i].x, 9);
+      expect(Math.abs(v.z - original[i].z)).toBeLessThanOrEqual(0.1);
+    });
+  });
+});
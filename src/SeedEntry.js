@@ -0,0 +1,68 @@
+import React, { Component } from 'react';
+
+import './SeedEntry.css';
+
+import { parseSeeds } from './utils/random';
+
+/**
+ *	Box for typing in the seeds of a surface (as shown after MORPH),
+ *	to make it again. ENTER to morph with them, ESC to cancel.
+ *
+ *	props:
+ *	- seeds: the seeds to start with, as text
+ *	- onSubmit(seeds): called with valid seeds, as numbers
+ *	- onCancel()
+ *	- text(key, values): a message from the locale bundles, for its words
+ */
+export default class SeedEntry extends Component {
+
+	constructor(props) {
+		super(props);
+		this.state = {
+			text: props.seeds || "",
+			error: null
+		};
+	}
+
+	onKeyDown = (e) => {
+
+		// keys typed here are not actions
+		e.stopPropagation();
+
+		if (e.keyCode === 27) this.props.onCancel();
+		if (e.keyCode === 13) this.submit();
+	}
+
+	submit = () => {
+		const { seeds, error } = parseSeeds(this.state.text);
+		if (error) this.setState({ error });
+		else this.props.onSubmit(seeds);
+	}
+
+	render() {
+
+		const { text } = this.props;
+		const { error } = this.state;
+
+		// clicks here are not for the canvas
+		const stop = e => e.stopPropagation();
+
+		return (
+			<div className="seed-entry" onClick={stop} onMouseDown={stop}>
+				<label>
+					{text("seedLabel")}
+					<input
+						autoFocus
+						type="text"
+						inputMode="numeric"
+						value={this.state.text}
+						onChange={e => this.setState({ text: e.target.value, error: null })}
+						onKeyDown={this.onKeyDown} />
+				</label>
+				<p className="seed-entry__hint">
+					{error ? text(error.key, error.values) : text("seedHint")}
+				</p>
+			</div>
+		);
+	}
+};
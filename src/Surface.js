@@ -1,7 +1,13 @@
 import _ from 'lodash';
 import * as THREE from 'three';
 
-import easing from './utils/easing';
+import { animate } from './utils/animation';
+import { evaluate, elevate } from './utils/bezier';
+import { bilinear, hermite, hermiteCorners, crossTangent, twist } from './utils/coons';
+import { diverging } from './utils/colormap';
+import { randomSeed, generator, checkRandomOptions, jitter } from './utils/random';
+import { toleranceFor, checkTessellation, tessellate } from './utils/tessellate';
+import { setAttribute, lineGeometry, lineGeometryFrom, setLine, setLinePoints } from './utils/line-geometry';
 import { 
   p,
   boundaryMaterial,
@@ -9,20 +15,110 @@ import {
   controlMaterial,
   controlPtMaterial,
   activeControlPointMaterial,
+  surfaceMaterial,
+  curvatureMaterial,
   axisX,
   axisY,
   axisZ
 } from './utils/surface-helpers';
 
 /*
- *	Returns a curve object to be added to a scene.
+ * Version of the JSON format written by Surface.toJSON().
+ * Bump this whenever the shape of the serialized object changes.
  */
-const Curve = (v0, v1, v2, v3) => {
+const SCHEMA_VERSION = 2;
 
-	const bez = new THREE.CubicBezierCurve3(v0, v1, v2, v3);
+// number of display modes cycled through by .nextDisplay()
+const DISPLAY_MODES = 6;
+
+// cross products shorter than this are treated as a degenerate normal
+const DEGENERATE = 1e-12;
+
+// the curvature colormap saturates at this percentile of |K|, so that
+// a few extreme values (e.g. near a pinched corner) don't wash it out
+const CURVATURE_PERCENTILE = 0.95;
+
+// names of the boundary curves
+const BOUNDARIES = ["u0", "u1", "v0", "v1"];
+
+// boundary curves can be of any degree in this range
+const MIN_DEGREE = 2;
+const MAX_DEGREE = 7;
+
+/*
+ * Control points of a boundary Bezier curve (v0, v1, ... vn), in order
+ */
+const bezierPoints = (bez) => {
+  const points = [];
+  for (let i = 0; !_.isUndefined(bez["v" + i]); i++) points.push(bez["v" + i]);
+  return points;
+};
+
+const degreeOf = (bez) => bezierPoints(bez).length - 1;
+
+/*
+ * Raise the degree of a boundary Bezier curve by one, in place, without
+ * changing its shape. The end points are kept (they may be shared with
+ * other curves); the inner control points are replaced.
+ */
+const elevateCurve = (bez) => {
+  const points = bezierPoints(bez);
+  elevate(points).forEach((pt, i, elevated) => {
+    if (i === 0 || i === elevated.length - 1) return;
+    bez["v" + i] = pt;
+  });
+  bez["v" + points.length] = points[points.length - 1];
+};
+
+// the higher of two sets of boundary degrees (see Surface.degrees()), curve by curve
+const maxDegrees = (a, b) => _.mapValues(a, (d, k) => Math.max(d, b[k]));
+
+// ways of blending the boundaries into a surface, cycled through by .toggleBlending()
+const BLENDINGS = ["bilinear", "hermite"];
+
+// tangent and twist handles are drawn this far from their anchor
+// per unit length of the vector they represent
+const TANGENT_SCALE = 0.25;
+const TWIST_SCALE = 0.25;
+
+// distance under which two corner points are considered the same
+const CORNER_TOLERANCE = 1e-6;
+
+// vectors reused by .patch()
+const PATCH_SCRATCH = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+
+// maximum number of undo steps kept
+const HISTORY_LIMIT = 100;
+
+// edits in the same group (e.g. turning the knob to move one control point
+// along one axis) less than this many ms apart are undone as a single step
+const HISTORY_GROUP_INTERVAL = 1000;
+
+/*
+ *	A Bezier curve of any degree. Like THREE's own Bezier curves,
+ *	its control points are the properties v0, v1, ... vn.
+ */
+class BezierCurve3 extends THREE.Curve {
+
+	constructor(points) {
+		super();
+		points.forEach((pt, i) => { this["v" + i] = pt; });
+	}
+
+	getPoint(t, optionalTarget = new THREE.Vector3()) {
+		return evaluate(bezierPoints(this), t, optionalTarget);
+	}
+}
+
+/*
+ *	Returns a curve object to be added to a scene, from
+ *	any number (at least 2) of control points.
+ */
+const Curve = (...points) => {
+
+	const bez = new BezierCurve3(points);
 	
-	const geo = new THREE.Geometry();
-	geo.vertices = bez.getPoints(50);
+	const geo = lineGeometryFrom(bez.getPoints(50));
 	
 	let crv = new THREE.Line(geo, boundaryMaterial);
 	crv.__bez = bez;
@@ -51,8 +147,20 @@ class Surface {
     this.v0 = v0;
     this.v1 = v1;
 
+    // the distance in u and v between isolines
     this.stepSize = 0.04;
 
+    /*
+     * How vertices are placed along the isolines (see .setTessellation()):
+     * "adaptive" puts more where they curve, to within a tolerance set by
+     * `quality` (0 to 1) and at most `maxVertices` in all; "fixed" puts
+     * one every stepSize.
+     */
+    this.tessellation = { mode: "adaptive", quality: 0.5, maxVertices: 4000 };
+
+    // samples reused by every adaptive tessellation (see .sampleIsolines())
+    this.samplePool = [];
+
     this.controlPointsList = [
       ["v0", "v0", 3],
       ["v0", "v1", 2],
@@ -68,6 +176,52 @@ class Surface {
       ["u0", "v1", 2]
     ];
 
+    /*
+     * Handles for the bicubically blended patch, selectable after the
+     * control points when this.blending === "hermite":
+     * ["tangent", curve name, 0 or 1] -- inner vector of that boundary's
+     *                                    cross-boundary tangent offset
+     * ["twist", u, v]                 -- twist vector at corner (u, v)
+     */
+    this.tangentHandlesList = [
+      ["tangent", "v0", 0],
+      ["tangent", "v0", 1],
+      ["tangent", "u1", 0],
+      ["tangent", "u1", 1],
+      ["tangent", "v1", 1],
+      ["tangent", "v1", 0],
+      ["tangent", "u0", 1],
+      ["tangent", "u0", 0],
+      ["twist", 0, 0],
+      ["twist", 0, 1],
+      ["twist", 1, 1],
+      ["twist", 1, 0]
+    ];
+
+    // whether the handles above can be selected and are shown
+    this.tangentHandles = true;
+
+    // "bilinear" = the original (bilinearly blended) Coons patch
+    // "hermite" = the bicubically blended Coons patch
+    this.blending = "bilinear";
+
+    /*
+     * Offsets from the bilinear patch's own cross-boundary derivatives,
+     * used by the bicubically blended patch (see utils/coons.js).
+     * All zero means it matches the bilinear patch.
+     */
+    this.tangents = {};
+    BOUNDARIES.forEach((k) => {
+      this.tangents[k] = [new THREE.Vector3(), new THREE.Vector3()];
+    });
+
+    /*
+     * Offsets of any degree to use instead of .tangents, or null. A
+     * network sets these for G1 seams between boundaries of a higher
+     * degree than a cubic offset can match (see PatchNetwork.setG1Tangents()).
+     */
+    this.crossOffsets = null;
+
     this.activeControlPoint = -1;
     this.lastActiveControlPoint = -1;
 
@@ -76,13 +230,34 @@ class Surface {
 
     this.u_crvs = [];
     this.v_crvs = [];
+    this.mesh = null;
     this.controlLine = null;
     this.controlPt = null;
 
+    // control point (and handle) spheres and control lines added to the scene
+    this.controlPts = [];
+    this.controlLines = [];
+
     // 0 = show both U and V
     // 1 = show just U
     // 2 = show just V
+    // 3 = show shaded surface
+    // 4 = show shaded surface with both U and V
+    // 5 = show surface colored by Gaussian curvature
     this.display = 0;
+
+    // snapshots of control points (see .snapshot()) for undo/redo
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyGroup = null;
+    this.historyTime = 0;
+
+    // counts edits (checkpoints, undo and redo), to tell
+    // whether the surface has changed since some earlier time
+    this.revision = 0;
+
+    // the running animation's handle, if any (see .animateTo())
+    this.animation = null;
   }
 
   activateControls() {
@@ -99,8 +274,19 @@ class Surface {
     this.update();
   }
 
+  /*
+   * Control points, followed by the tangent and twist handles
+   * when they are in use
+   */
+  selectable() {
+    if (this.blending !== "hermite" || !this.tangentHandles) return this.controlPointsList;
+    return this.controlPointsList.concat(this.tangentHandlesList);
+  }
+
+  isHandle(i) { return i >= this.controlPointsList.length; }
+
   setActiveControlPointIndex(i) {
-    const l = this.controlPointsList.length;
+    const l = this.selectable().length;
     this.activeControlPoint = (this.activeControlPoint + i + l) % l;
     this.update();
   }
@@ -112,12 +298,27 @@ class Surface {
   }
 
   controlPointFromIndex(i) {
+    if (this.isHandle(i)) return this.handlePosition(this.selectable()[i]);
     const pt = this.controlPointsList[i];
     const crv = this[pt[0]];
     const v = crv.__bez[pt[1]];
     return v;
   }
 
+  // make the control point or handle at index i (in .selectable()) active
+  selectControlPoint(i) {
+    if (i < 0 || i >= this.selectable().length) return;
+    this.activeControlPoint = i;
+    this.controls = true;
+    this.update();
+  }
+
+  // control point and handle spheres that can be picked with the mouse
+  pickable() { return this.controlPts.filter(obj => obj.visible); }
+
+  // index (in .selectable()) of what a sphere from .pickable() stands for, or -1
+  indexOfPicked(obj) { return this.selectable().indexOf(obj.__control); }
+
   getActiveControlPoint() {
     if (this.activeControlPoint === -1) return null;
     return this.controlPointFromIndex(this.activeControlPoint);
@@ -130,6 +331,26 @@ class Surface {
     const index = this.activeControlPoint;
     if (index === -1) return;
 
+    this.checkpoint("move-" + index + "-" + axis);
+    this.moveActiveControlPoint(pt);
+  }
+
+  /*
+   * Move the active control point to `pt` without recording it for
+   * undo, as for a preview of a move that may not be kept.
+   */
+  moveActiveControlPoint(pt) {
+
+    const index = this.activeControlPoint;
+    if (index === -1) return;
+
+    if (this.isHandle(index)) {
+      this.setHandle(this.selectable()[index], pt);
+      this.positionAxes(pt);
+      this.update();
+      return;
+    }
+
     const arr = this.controlPointsList[index];
     let crv = arr[0];
     let v = this[crv].__bez[arr[1]];
@@ -138,26 +359,7 @@ class Surface {
     v.set(pt.x, pt.y, pt.z);
 
     // if at a corner point, find the matching one and set it as well
-    let matchingPt = null;
-    switch (crv) {
-      case "u0":
-        if (arr[1] === "v0") matchingPt = ["v0", "v0"];
-        if (arr[1] === "v3") matchingPt = ["v1", "v0"];
-        break;
-      case "u1":
-        if (arr[1] === "v0") matchingPt = ["v0", "v3"];
-        if (arr[1] === "v3") matchingPt = ["v1", "v3"];
-        break;
-      case "v0":
-        if (arr[1] === "v0") matchingPt = ["u0", "v0"];
-        if (arr[1] === "v3") matchingPt = ["u1", "v0"];
-        break;
-      case "v1":
-        if (arr[1] === "v0") matchingPt = ["u0", "v3"];
-        if (arr[1] === "v3") matchingPt = ["u1", "v3"];
-        break;
-      default:
-    }
+    const matchingPt = this.matchingCorner(arr[0], arr[1]);
 
     if (!matchingPt) return;
 
@@ -171,11 +373,65 @@ class Surface {
     this.update();
   }
 
+  /*
+   * Pairs of [curve, vertex] that describe the same corner of the patch.
+   * The first of each pair is the one that wins in .resolve().
+   */
+  corners() {
+    const last = k => "v" + degreeOf(this[k].__bez);
+    return [
+      [["u0", "v0"], ["v0", "v0"]],
+      [["u0", last("u0")], ["v1", "v0"]],
+      [["u1", "v0"], ["v0", last("v0")]],
+      [["u1", last("u1")], ["v1", last("v1")]]
+    ];
+  }
+
+  // the other [curve, vertex] at the same corner, or null if not a corner
+  matchingCorner(crv, vertex) {
+    const pair = _.find(this.corners(), corner => _.some(corner, c => c[0] === crv && c[1] === vertex));
+    if (!pair) return null;
+    return pair[0][0] === crv ? pair[1] : pair[0];
+  }
+
   toggleControls() {
     this.controls = !this.controls;
     this.update();
   }
 
+  /*
+   * Every boundary control point once, in the form of .controlPointsList:
+   * up v0 (with its corners), along the inside of u1, down v1 (with its
+   * corners) and back along the inside of u0. Corners are drawn larger.
+   */
+  listControlPoints() {
+
+    const points = (k) => {
+      return bezierPoints(this[k].__bez).map((pt, i, arr) => {
+        return [k, "v" + i, i === 0 || i === arr.length - 1 ? 3 : 2];
+      });
+    };
+
+    const inner = k => points(k).slice(1, -1);
+
+    return [].concat(
+      points("v0"),
+      inner("u1"),
+      points("v1").reverse(),
+      inner("u0").reverse()
+    );
+  }
+
+  /*
+   * Lines between consecutive control points of each boundary curve,
+   * as [curve, vertex, curve, vertex]
+   */
+  listControlLines() {
+    return _.flatMap(BOUNDARIES, (k) => {
+      return _.range(degreeOf(this[k].__bez)).map(i => [k, "v" + i, k, "v" + (i + 1)]);
+    });
+  }
+
   addControlPt(pt) {
 
     // pt an array from this.controlPointsList,
@@ -192,7 +448,9 @@ class Surface {
     const controlPt = new THREE.Mesh(controlPtGeo, controlPtMaterial);
     controlPt.position.set(v.x, v.y, v.z);
     controlPt.name = "control-pt-" + pt[0] + "-" + pt[1];
+    controlPt.__control = pt;
     controlPt.visible = false;
+    this.controlPts.push(controlPt);
     this.scene.add(controlPt);
   }
 
@@ -201,7 +459,7 @@ class Surface {
     const isActive = this.controlPointsList.indexOf(pt) === this.activeControlPoint;
     
     const name = "control-pt-" + pt[0] + "-" + pt[1];
-    const controlPt = this.scene.getObjectByName(name);
+    const controlPt = this.getObject(name);
 
     if (!this.controls) {
       controlPt.visible = false;
@@ -233,13 +491,10 @@ class Surface {
     const v1 = this[crv_1].__bez[pt_1];
     const v2 = this[crv_2].__bez[pt_2];
 
-    const lineGeo = new THREE.Geometry();
-    lineGeo.vertices.push(v1, v2);
-    
-    const lineMesh = new THREE.Line(lineGeo, controlMaterial);
-    lineMesh.computeLineDistances();
+    const lineMesh = new THREE.Line(lineGeometryFrom([v1, v2], true), controlMaterial);
     lineMesh.visible = false;
     lineMesh.name = crv_1 + "-" + pt_1 + "-" + crv_2 + "-" + pt_2;
+    this.controlLines.push(lineMesh);
     this.scene.add(lineMesh);
   }
 
@@ -247,7 +502,7 @@ class Surface {
     
     const v1 = this[crv_1].__bez[pt_1];
     const v2 = this[crv_2].__bez[pt_2];
-    const line = this.scene.getObjectByName(crv_1 + "-" + pt_1 + "-" + crv_2 + "-" + pt_2);
+    const line = this.getObject(crv_1 + "-" + pt_1 + "-" + crv_2 + "-" + pt_2);
 
     if (!this.controls) {
       line.visible = false;
@@ -256,10 +511,308 @@ class Surface {
 
     line.visible = true;
 
-    line.geometry.verticesNeedUpdate = true;
-    
-    line.geometry.vertices[0].set(v1.x, v1.y, v1.z);
-    line.geometry.vertices[1].set(v2.x, v2.y, v2.z);
+    setLinePoints(line, [v1, v2]);
+  }
+
+  /*
+   * Boundary control points as arrays, in the form used by utils/coons.js
+   */
+  curvePoints() {
+    return {
+      u0: bezierPoints(this.u0.__bez),
+      u1: bezierPoints(this.u1.__bez),
+      v0: bezierPoints(this.v0.__bez),
+      v1: bezierPoints(this.v1.__bez)
+    };
+  }
+
+  // the offsets of the cross-boundary derivatives in use (see .crossOffsets)
+  offsets() {
+    return this.crossOffsets || this.tangents;
+  }
+
+  /*
+   * Where a tangent or twist handle is anchored on the surface,
+   * and the vector it represents.
+   */
+  handleVector(handle) {
+
+    const curves = this.curvePoints();
+
+    if (handle[0] === "twist") {
+      const [, cu, cv] = handle;
+      return {
+        anchor: _.nth(cv === 0 ? curves.u0 : curves.u1, cu === 0 ? 0 : -1).clone(),
+        vector: twist(curves, this.offsets(), cu, cv),
+        scale: TWIST_SCALE
+      };
+    }
+
+    const [, k, i] = handle;
+    const t = (i + 1) / 3;
+
+    return {
+      anchor: evaluate(curves[k], t),
+      vector: crossTangent(curves, this.offsets(), k, t),
+      scale: TANGENT_SCALE
+    };
+  }
+
+  handlePosition(handle) {
+    const { anchor, vector, scale } = this.handleVector(handle);
+    return anchor.add(vector.multiplyScalar(scale));
+  }
+
+  /*
+   * Move a handle to a new position by changing the tangent offsets
+   */
+  setHandle(handle, pt) {
+
+    const { anchor, vector, scale } = this.handleVector(handle);
+    const target = new THREE.Vector3(pt.x, pt.y, pt.z).sub(anchor).divideScalar(scale);
+
+    if (handle[0] === "twist") {
+
+      // set the twist implied by both cross-boundary tangents that meet at
+      // the corner -- the derivative of an offset [0, t0, t1, 0] is
+      // 3 * t0 at the start and -3 * t1 at the end
+      const [, cu, cv] = handle;
+      const offset = target.sub(vector).divideScalar(3);
+
+      const tu = this.tangents[cv === 0 ? "u0" : "u1"];
+      const tv = this.tangents[cu === 0 ? "v0" : "v1"];
+
+      if (cu === 0) tu[0].add(offset); else tu[1].sub(offset);
+      if (cv === 0) tv[0].add(offset); else tv[1].sub(offset);
+
+      return;
+    }
+
+    // the handle is at t = 1/3 or 2/3, where the inner vector that
+    // moves it has a Bernstein weight of 4/9
+    const [, k, i] = handle;
+    this.tangents[k][i].add(target.sub(vector).multiplyScalar(9 / 4));
+  }
+
+  addHandle(handle) {
+
+    const name = "handle-" + handle.join("-");
+
+    const geo = new THREE.SphereGeometry(0.006 * 2, 8, 8);
+    const handlePt = new THREE.Mesh(geo, controlPtMaterial);
+    handlePt.name = name;
+    handlePt.__control = handle;
+    handlePt.visible = false;
+    this.controlPts.push(handlePt);
+    this.scene.add(handlePt);
+
+    const line = new THREE.Line(lineGeometry(2, true), controlMaterial);
+    line.name = name + "-line";
+    line.visible = false;
+    this.controlLines.push(line);
+    this.scene.add(line);
+  }
+
+  positionHandle(handle) {
+
+    const name = "handle-" + handle.join("-");
+    const handlePt = this.getObject(name);
+    const line = this.getObject(name + "-line");
+
+    const visible = this.controls && this.blending === "hermite" && this.tangentHandles;
+
+    handlePt.visible = visible;
+    line.visible = visible;
+
+    if (!visible) return;
+
+    const { anchor, vector, scale } = this.handleVector(handle);
+    const pt = vector.multiplyScalar(scale).add(anchor);
+
+    handlePt.position.copy(pt);
+
+    const isActive = this.selectable().indexOf(handle) === this.activeControlPoint;
+    handlePt.scale.setScalar(isActive ? 1.6 : 0.7);
+    handlePt.material = isActive ? activeControlPointMaterial : controlPtMaterial;
+
+    setLinePoints(line, [anchor, pt]);
+  }
+
+  toggleBlending() {
+
+    const i = (BLENDINGS.indexOf(this.blending) + 1) % BLENDINGS.length;
+    this.blending = BLENDINGS[i];
+
+    // handles can only be selected in hermite mode
+    if (this.isHandle(this.activeControlPoint)) this.activeControlPoint = 0;
+    if (this.isHandle(this.lastActiveControlPoint)) this.lastActiveControlPoint = -1;
+
+    this.update();
+  }
+
+  // degree of each boundary curve, as { u0, u1, v0, v1 }
+  degrees() {
+    return _.fromPairs(BOUNDARIES.map(k => [k, degreeOf(this[k].__bez)]));
+  }
+
+  /*
+   * Raise the degree of every boundary curve by one (up to MAX_DEGREE),
+   * adding a control point without changing the shape. This isn't an
+   * undo step, since the surface is the same before and after.
+   * Returns false if every curve is already of the highest degree.
+   */
+  elevate() {
+
+    const degrees = _.mapValues(this.degrees(), d => Math.min(d + 1, MAX_DEGREE));
+    if (_.isEqual(degrees, this.degrees())) return false;
+
+    this.raiseDegrees(degrees);
+    this.update();
+
+    return true;
+  }
+
+  /*
+   * Elevate boundary curves until they are (at least) of the given
+   * degrees -- an object like the one returned by .degrees()
+   */
+  raiseDegrees(degrees) {
+
+    if (BOUNDARIES.every(k => degreeOf(this[k].__bez) >= degrees[k])) return;
+
+    const selected = this.selected();
+
+    BOUNDARIES.forEach((k) => {
+      while (degreeOf(this[k].__bez) < degrees[k]) elevateCurve(this[k].__bez);
+    });
+
+    this.revision++;
+    this.refreshControls(selected);
+  }
+
+  // the active control point or handle, if any, to find again with .refreshControls()
+  selected() {
+    const i = this.activeControlPoint;
+    if (i === -1) return null;
+    return this.isHandle(i) ? this.selectable()[i] : this.controlPointFromIndex(i);
+  }
+
+  /*
+   * Call after changing the number of boundary control points: lists
+   * them again and replaces the objects added to the scene for them.
+   * `selected` (from .selected()) stays active if it still exists;
+   * otherwise the first control point is.
+   */
+  refreshControls(selected = null) {
+
+    this.controlPointsList = this.listControlPoints();
+
+    let i = this.selectable().indexOf(selected);
+    if (i === -1) i = _.findIndex(this.controlPointsList, (pt, n) => this.controlPointFromIndex(n) === selected);
+
+    this.activeControlPoint = _.isNil(selected) ? -1 : Math.max(i, 0);
+    this.lastActiveControlPoint = -1;
+
+    // only if they were added by .init()
+    if (this.controlPts.length === 0) return;
+
+    this.removeControls();
+    this.addControls();
+  }
+
+  // U curves are hidden when display === 2 or 3
+  showU() { return [0, 1, 4].indexOf(this.display) > -1; }
+
+  // V curves are hidden when display === 1 or 3
+  showV() { return [0, 2, 4].indexOf(this.display) > -1; }
+
+  showMesh() { return this.display >= 3; }
+
+  /*
+   * The shaded surface: a grid of vertices at the same u/v values as
+   * the isolines (see .isolineValues(), so the last cell may be
+   * narrower), two triangles per cell. Positions and normals are
+   * filled in by .positionMesh().
+   */
+  addMesh() {
+
+    const values = this.isolineValues();
+    const n = values.length - 1;
+    const count = (n + 1) * (n + 1);
+
+    const geo = new THREE.BufferGeometry();
+    setAttribute(geo, "position", new THREE.BufferAttribute(new Float32Array(3 * count), 3), true);
+    setAttribute(geo, "normal", new THREE.BufferAttribute(new Float32Array(3 * count), 3), true);
+    setAttribute(geo, "color", new THREE.BufferAttribute(new Float32Array(3 * count), 3), true);
+
+    const index = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const a = i * (n + 1) + j;
+        const b = (i + 1) * (n + 1) + j;
+        const c = (i + 1) * (n + 1) + j + 1;
+        const d = i * (n + 1) + j + 1;
+        index.push(a, b, c, a, c, d);
+      }
+    }
+    geo.setIndex(index);
+
+    this.mesh = new THREE.Mesh(geo, surfaceMaterial);
+    this.mesh.__values = values;
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  positionMesh() {
+
+    if (_.isNil(this.mesh)) return;
+
+    this.mesh.visible = this.showMesh();
+
+    // no need to recompute while it's hidden
+    if (!this.mesh.visible) return;
+
+    const showCurvature = this.display === 5;
+    this.mesh.material = showCurvature ? curvatureMaterial : surfaceMaterial;
+
+    const values = this.mesh.__values;
+    const n = values.length - 1;
+    const { position, normal, color } = this.mesh.geometry.attributes;
+    const gaussian = [];
+    const point = new THREE.Vector3();
+
+    for (let i = 0; i <= n; i++) {
+      for (let j = 0; j <= n; j++) {
+        const k = i * (n + 1) + j;
+        const u = values[i];
+        const v = values[j];
+        // second derivatives are only needed for the curvature
+        const d = showCurvature ? this.derivatives(u, v) : null;
+        const pt = d ? d.S : this.patch(u, v, point);
+        const nrm = this.normal(u, v, d);
+        position.setXYZ(k, pt.x, pt.y, pt.z);
+        normal.setXYZ(k, nrm.x, nrm.y, nrm.z);
+        if (showCurvature) gaussian.push(this.curvature(u, v, d).gaussian);
+      }
+    }
+
+    if (showCurvature) {
+
+      const sorted = gaussian.map(Math.abs).sort((a, b) => a - b);
+      const scale = sorted[Math.floor(CURVATURE_PERCENTILE * (sorted.length - 1))];
+      const c = new THREE.Color();
+
+      gaussian.forEach((K, k) => {
+        diverging(scale > 0 ? K / scale : 0, c);
+        color.setXYZ(k, c.r, c.g, c.b);
+      });
+
+      color.needsUpdate = true;
+    }
+
+    position.needsUpdate = true;
+    normal.needsUpdate = true;
+    this.mesh.geometry.computeBoundingSphere();
   }
 
   positionAxes(pt) {
@@ -271,13 +824,18 @@ class Surface {
 
   setScene(scene) { this.scene = scene; }
 
+  // look up control objects on this surface only, since
+  // several surfaces may share a scene
+  getObject(name) {
+    return _.find(this.controlPts, { name }) || _.find(this.controlLines, { name });
+  }
+
   setAxis(axis) { this.axis = axis; }
 
   // call after setting scene
   init() {
     
-    // add control points
-    this.controlPointsList.forEach(pt => this.addControlPt(pt));
+    this.addControls();
 
     // add axes, assume they are not being shown
     this.scene.add(axisX);
@@ -285,55 +843,52 @@ class Surface {
     this.scene.add(axisZ);
 
     // add interior curves
-    const step = this.stepSize;
-    
-    for (let u = 0; u < 1 + step; u += step) {
+    this.isolineValues().forEach((u, i, values) => {
 
-      if (u > 1) u = 1;
+      const material = (i === 0 || i === values.length - 1) ? boundaryMaterial : interiorMaterial;
 
-      let u_crv = new THREE.Geometry();
-      let v_crv = new THREE.Geometry();
-      
-      for (let v = 0; v < 1 + step; v += step) {
-
-        if (v > 1) v = 1;
-
-        let u_pt = this.patch(u, v);
-        let v_pt = this.patch(v, u);
-
-        u_crv.vertices.push(u_pt);
-        v_crv.vertices.push(v_pt);
-      }
-
-      const material = (u === 0 || u === 1) ? boundaryMaterial : interiorMaterial;
-
-      const u_line = new THREE.Line(u_crv, material);
-      const v_line = new THREE.Line(v_crv, material);
+      const u_line = new THREE.Line(lineGeometry(values.length), material);
+      const v_line = new THREE.Line(lineGeometry(values.length), material);
 
       this.u_crvs.push(u_line);
       this.v_crvs.push(v_line);
 
       this.scene.add(u_line);
       this.scene.add(v_line);
-    }
+    });
 
-    this.addControlLine("v0", "v0", "v0", "v1");
-    this.addControlLine("v0", "v0", "u0", "v1");
+    this.positionIsolines();
 
-    this.addControlLine("v0", "v3", "v0", "v2");
-    this.addControlLine("v0", "v3", "u1", "v1");
-    
-    this.addControlLine("v1", "v0", "v1", "v1");
-    this.addControlLine("v1", "v0", "u0", "v2");
+    this.addMesh();
+  }
+
+  // control points, tangent and twist handles and control lines
+  addControls() {
+    this.controlPointsList.forEach(pt => this.addControlPt(pt));
+    this.tangentHandlesList.forEach(handle => this.addHandle(handle));
+    this.listControlLines().forEach(line => this.addControlLine(...line));
+  }
+
+  removeControls() {
+
+    this.controlPts.concat(this.controlLines).forEach((obj) => {
+      this.scene.remove(obj);
+      obj.geometry.dispose();
+    });
 
-    this.addControlLine("v1", "v3", "v1", "v2");
-    this.addControlLine("v1", "v3", "u1", "v2");
+    this.controlPts = [];
+    this.controlLines = [];
   }
   
   update() {
+
+    // the hermite corner data is the same for every point evaluated
+    // during this update, so only compute it once
+    if (this.blending === "hermite") this.__corners = hermiteCorners(this.curvePoints(), this.offsets());
     
     // position control points
     this.controlPointsList.forEach(pt => this.positionControlPt(pt));
+    this.tangentHandlesList.forEach(handle => this.positionHandle(handle));
 
     axisX.visible = false;
     axisY.visible = false;
@@ -348,46 +903,77 @@ class Surface {
       if (this.axis === "z") axisZ.visible = true;
     }
 
-    // update interior curves
-    const step = this.stepSize;
+    this.positionIsolines();
 
-    this.u_crvs.forEach((crv, i) => {
-      crv.geometry.verticesNeedUpdate = true;
-      crv.geometry.vertices.forEach((pt, j) => {
-        const u = j * step;
-        const v = i * step;
-        const s = this.patch(v, u);
-        pt.set(s.x, s.y, s.z);
-      });
+    this.positionMesh();
 
-      // hide u_crvs when display === 2
-      crv.visible = this.display !== 2;
-    });
+    this.__corners = null;
+    
+    this.listControlLines().forEach(line => this.positionControlLine(...line));
+  }
 
-    this.v_crvs.forEach((crv, i) => {
-      crv.geometry.verticesNeedUpdate = true;
-      crv.geometry.vertices.forEach((pt, j) => {
-        const u = j * step;
-        const v = i * step;
-        const s = this.patch(u, v);
-        pt.set(s.x, s.y, s.z);
-      });
+  /*
+   * The u (or v) of each isoline, from 0 to 1 every stepSize.
+   */
+  isolineValues() {
+    const n = Math.ceil(1 / this.stepSize - 1e-9);
+    return _.range(n + 1).map(i => Math.min(i * this.stepSize, 1));
+  }
 
-      // hide v_crvs when display === 1
-      crv.visible = this.display !== 1;
-    });
-    
-    this.positionControlLine("v0", "v0", "v0", "v1");
-    this.positionControlLine("v0", "v0", "u0", "v1");
+  /*
+   * Options for placing vertices along the isolines, any of
+   * { mode, quality, maxVertices } (see the constructor). Throws an
+   * Error if they are invalid. Takes effect at the next .update().
+   */
+  setTessellation(options) {
+    const tessellation = Object.assign({}, this.tessellation, options);
+    checkTessellation(tessellation);
+    this.tessellation = tessellation;
+  }
 
-    this.positionControlLine("v0", "v3", "v0", "v2");
-    this.positionControlLine("v0", "v3", "u1", "v1");
-    
-    this.positionControlLine("v1", "v0", "v1", "v1");
-    this.positionControlLine("v1", "v0", "u0", "v2");
+  /*
+   * Points along each shown isoline: { u, v }, lists of points for
+   * the lines of u_crvs and v_crvs (empty while they are hidden).
+   * Adaptively placed points are reused, so they only hold until
+   * the next call.
+   */
+  sampleIsolines() {
+
+    const values = this.isolineValues();
 
-    this.positionControlLine("v1", "v3", "v1", "v2");
-    this.positionControlLine("v1", "v3", "u1", "v2");
+    const u = this.showU() ? values.map(a => (t, target) => this.patch(a, t, target)) : [];
+    const v = this.showV() ? values.map(a => (t, target) => this.patch(t, a, target)) : [];
+
+    const { mode, quality, maxVertices } = this.tessellation;
+
+    if (mode === "fixed") {
+      const sample = curve => values.map(t => curve(t));
+      return { u: u.map(sample), v: v.map(sample) };
+    }
+
+    const lines = tessellate(u.concat(v), { tolerance: toleranceFor(quality), maxVertices, pool: this.samplePool })
+      .map(samples => samples.map(({ point }) => point));
+
+    return { u: lines.slice(0, u.length), v: lines.slice(u.length) };
+  }
+
+  positionIsolines() {
+
+    const values = this.isolineValues();
+
+    // with a vertex every step, points go straight into each line's
+    // vertices; otherwise each line is drawn through its samples
+    const lines = this.tessellation.mode === "fixed" ? null : this.sampleIsolines();
+
+    const position = (crvs, shown, family, at) => crvs.forEach((crv, i) => {
+      crv.visible = shown;
+      if (!shown) return;
+      if (lines) setLinePoints(crv, lines[family][i]);
+      else setLine(crv, values.length, (j, target) => at(values[i], values[j], target));
+    });
+
+    position(this.u_crvs, this.showU(), "u", (a, t, target) => this.patch(a, t, target));
+    position(this.v_crvs, this.showV(), "v", (a, t, target) => this.patch(t, a, target));
   }
 
   /**
@@ -395,9 +981,12 @@ class Surface {
    * a `Point` in world space.
    * @param {Number} u The u parameter, between 0 and 1 (inclusive).
    * @param {Number} v The v parameter, between 0 and 1 (inclusive).
+   * @param {Point} target (optional) set to the point, instead of a new one
    * @returns {Point} The `Point` on the surface (in world space).
    */
-  patch(u: number, v: number): Point {
+  patch(u: number, v: number, target: Point = new THREE.Vector3()): Point {
+
+    if (this.blending === "hermite") return this.partial(u, v, 0, 0, target);
 
   	// reference bezier curves, not curve objects
     const u0 = this.u0.__bez;
@@ -405,138 +994,281 @@ class Surface {
     const v0 = this.v0.__bez;
     const v1 = this.v1.__bez;
 
-    const Lu = u0.getPoint(u).multiplyScalar(1 - v).add( u1.getPoint(u).multiplyScalar(v) );
-    const Lv = v0.getPoint(v).multiplyScalar(1 - u).add( v1.getPoint(v).multiplyScalar(u) );
-    const B = u0.getPoint(0).multiplyScalar((1 - u) * (1 - v))
-            .add(u0.getPoint(1).multiplyScalar(u * (1 - v)))
-            .add(u1.getPoint(0).multiplyScalar((1 - u) * v))
-            .add(u1.getPoint(1).multiplyScalar(u * v));
+    // reused, so that drawing allocates no vectors
+    const [a, b, B] = PATCH_SCRATCH;
+
+    const C = u0.getPoint(u, target).multiplyScalar(1 - v).add( u1.getPoint(u, a).multiplyScalar(v) );
+    const Lv = v0.getPoint(v, a).multiplyScalar(1 - u).add( v1.getPoint(v, b).multiplyScalar(u) );
+    C.add(Lv);
 
-    const C = Lu.add(Lv).add(B.multiplyScalar(-1));
-    return C;
+    u0.getPoint(0, B).multiplyScalar((1 - u) * (1 - v))
+      .add(u0.getPoint(1, a).multiplyScalar(u * (1 - v)))
+      .add(u1.getPoint(0, a).multiplyScalar((1 - u) * v))
+      .add(u1.getPoint(1, a).multiplyScalar(u * v));
+
+    return C.add(B.multiplyScalar(-1));
   }
 
-  step(t, duration, cb, done) {
-    ["u0", "u1", "v0", "v1"].forEach((k) => {
+  /**
+   * Evaluate a partial derivative of the surface, d^(a + b) S / du^a dv^b,
+   * at a pair of u/v coordinates, by differentiating the Coons formula
+   * for the current blending (see utils/coons.js).
+   * @param {Number} u The u parameter, between 0 and 1 (inclusive).
+   * @param {Number} v The v parameter, between 0 and 1 (inclusive).
+   * @param {Number} a Order of the derivative with respect to u.
+   * @param {Number} b Order of the derivative with respect to v.
+   * @param {Vector3} target (optional) set to the derivative, instead of a new one
+   * @returns {Vector3}
+   */
+  partial(u: number, v: number, a: number, b: number, target: Vector3 = new THREE.Vector3()): Vector3 {
 
-      let b = this[k].__bez; // boundary curve
+    const curves = this.curvePoints();
 
-      ["v0", "v1", "v2", "v3"].forEach((pt) => {
+    if (this.blending === "hermite") {
+      const offsets = this.offsets();
+      const corners = this.__corners || hermiteCorners(curves, offsets);
+      return hermite(curves, offsets, u, v, a, b, corners, target);
+    }
 
-        let srfPt = b[pt];
+    return bilinear(curves, u, v, a, b, target);
+  }
 
-        srfPt.x += easing.dEase(t / duration) * srfPt.__dx / duration;
-        srfPt.y += easing.dEase(t / duration) * srfPt.__dy / duration;
-        srfPt.z += easing.dEase(t / duration) * srfPt.__dz / duration;
-      });
+  /**
+   * Evaluate the surface and its first and second partial derivatives
+   * at a pair of u/v coordinates.
+   * @param {Number} u The u parameter, between 0 and 1 (inclusive).
+   * @param {Number} v The v parameter, between 0 and 1 (inclusive).
+   * @returns {Object} `{ S, Su, Sv, Suu, Suv, Svv }`, all `Vector3`s.
+   */
+  derivatives(u: number, v: number): Object {
+    return {
+      S: this.patch(u, v),
+      Su: this.partial(u, v, 1, 0),
+      Sv: this.partial(u, v, 0, 1),
+      Suu: this.partial(u, v, 2, 0),
+      Suv: this.partial(u, v, 1, 1),
+      Svv: this.partial(u, v, 0, 2)
+    };
+  }
+
+  /**
+   * The unit normal of the surface at a pair of u/v coordinates
+   * (in the direction of Su x Sv). Where that is degenerate, as at a
+   * corner where two boundaries are tangent, the normal is taken from
+   * a point slightly toward the middle of the patch instead.
+   * @param {Number} u The u parameter, between 0 and 1 (inclusive).
+   * @param {Number} v The v parameter, between 0 and 1 (inclusive).
+   * @param {Object} d (optional) the result of `.derivatives(u, v)`, if already computed
+   * @returns {Vector3}
+   */
+  normal(u: number, v: number, d: ?Object): Vector3 {
+
+    const Su = d ? d.Su : this.partial(u, v, 1, 0);
+    const Sv = d ? d.Sv : this.partial(u, v, 0, 1);
+    const n = Su.clone().cross(Sv);
+
+    if (n.lengthSq() > DEGENERATE) return n.normalize();
+
+    const nudge = 1e-3;
+    if (Math.abs(u - 0.5) < nudge && Math.abs(v - 0.5) < nudge) return n;
+
+    return this.normal(u + nudge * Math.sign(0.5 - u), v + nudge * Math.sign(0.5 - v));
+  }
+
+  /**
+   * Curvature of the surface at a pair of u/v coordinates, from the
+   * first and second fundamental forms.
+   * @param {Number} u The u parameter, between 0 and 1 (inclusive).
+   * @param {Number} v The v parameter, between 0 and 1 (inclusive).
+   * @param {Object} d (optional) the result of `.derivatives(u, v)`, if already computed
+   * @returns {Object} `{ normal, gaussian, mean, k1, k2 }`, where k1 >= k2
+   * are the principal curvatures. The sign of the mean and principal
+   * curvatures depends on the direction of `normal`.
+   */
+  curvature(u: number, v: number, d: ?Object): Object {
+
+    d = d || this.derivatives(u, v);
+
+    const { Su, Sv, Suu, Suv, Svv } = d;
+    const normal = this.normal(u, v, d);
+
+    // first fundamental form
+    const E = Su.dot(Su);
+    const F = Su.dot(Sv);
+    const G = Sv.dot(Sv);
+
+    // second fundamental form
+    const L = Suu.dot(normal);
+    const M = Suv.dot(normal);
+    const N = Svv.dot(normal);
+
+    const det = E * G - F * F;
+
+    if (det < DEGENERATE) return { normal, gaussian: 0, mean: 0, k1: 0, k2: 0 };
+
+    const gaussian = (L * N - M * M) / det;
+    const mean = (E * N - 2 * F * M + G * L) / (2 * det);
+
+    // guard against a tiny negative discriminant from rounding
+    const r = Math.sqrt(Math.max(mean * mean - gaussian, 0));
+
+    return { normal, gaussian, mean, k1: mean + r, k2: mean - r };
+  }
+
+  /*
+   * Every vector that defines the shape of the surface: the boundary
+   * control points (corners appear twice), then the tangent offsets.
+   * The order is the same for every surface with the same degrees.
+   */
+  vectors() {
+
+    const vectors = [];
+
+    BOUNDARIES.forEach((k) => {
+      bezierPoints(this[k].__bez).forEach(pt => vectors.push(pt));
     });
 
-    this.update(); // update interior curves
-    if (this.activeControlPoint > -1) this.positionAxes(this.getActiveControlPoint());
+    BOUNDARIES.forEach((k) => {
+      this.tangents[k].forEach(t => vectors.push(t));
+    });
 
-    if (t < duration && cb) {
-      this.animationFrame = window.requestAnimationFrame(() => {
-        cb(t / duration);
-        this.step(t + 1, duration, cb, done);
-      });
-    } else if (done) {
-      done();
-    }
+    return vectors;
   }
 
-  randomize(duration, cb, done) {
+  /*
+   * Morph toward a surface with every control point of this one moved
+   * randomly. The same `seed` from the same surface always gives the
+   * same target. `amplitude` is how far points may move along each axis,
+   * scaled for each of x, y and z by `axes` (see utils/random.js), and
+   * `easing` is as for .animateTo(). Returns the seed.
+   */
+  randomize(duration, cb, done, { seed = randomSeed(), amplitude = 0.5, axes, easing } = {}) {
+
+    checkRandomOptions({ amplitude, axes });
 
-    let r = () => Math.random() - 0.5;
-    let rp = () => new THREE.Vector3(r(), r(), r());
+    const random = generator(seed);
+    const rp = () => jitter(random, amplitude, axes);
 
     // target surface to morph toward
     let s = this.clone();
 
-    ["u0", "u1", "v0", "v1"].forEach((k) => {
+    BOUNDARIES.forEach((k) => {
 
       let b = this[k].__bez; // boundary curve
 
-      ["v0", "v1", "v2", "v3"].forEach((pt) => {
+      bezierPoints(b).forEach((pt, i) => {
         // add a random value to it --
         // it's ok if corners don't match here since
         // morph calls .resolve() on the targetSrf
-        s[k].__bez[pt] = b[pt].clone().add(rp());
+        s[k].__bez["v" + i] = pt.clone().add(rp());
       });
     });
 
-    // now that we have the target surface, step toward it
-    this.morph(s, duration, cb, done);
+    // now that we have the target surface, animate toward it
+    this.morph(s, duration, cb, done, { easing });
+
+    return seed;
   }
 
-  randomizeCloseToOriginal(duration, cb, done) {
+  // like .randomize(), but around the original surface
+  randomizeCloseToOriginal(duration, cb, done, { seed = randomSeed(), amplitude = 0.4, axes, easing } = {}) {
 
-    let r = () => Math.random() * 0.8 - 0.4;
-    let rp = () => new THREE.Vector3(r(), r(), r());
+    checkRandomOptions({ amplitude, axes });
 
-    // target surface to morph toward
+    const random = generator(seed);
+    const rp = () => jitter(random, amplitude, axes);
+
+    // target surface to morph toward, and the original
+    // surface elevated to the same degrees
     let s = this.clone();
+    let original = new Surface();
+
+    const degrees = maxDegrees(s.degrees(), original.degrees());
+    s.raiseDegrees(degrees);
+    original.raiseDegrees(degrees);
 
-    ["u0", "u1", "v0", "v1"].forEach((k) => {
+    BOUNDARIES.forEach((k) => {
 
-      let b = (new Surface())[k].__bez; // boundary curve
+      let b = original[k].__bez; // boundary curve
 
-      ["v0", "v1", "v2", "v3"].forEach((pt) => {
+      bezierPoints(b).forEach((pt, i) => {
         // add a random value to it --
         // it's ok if corners don't match here since
         // morph calls .resolve() on the targetSrf
-        s[k].__bez[pt] = b[pt].add(rp());
+        s[k].__bez["v" + i] = pt.add(rp());
       });
     });
 
-    // now that we have the target surface, step toward it
-    this.morph(s, duration, cb, done);
+    // now that we have the target surface, animate toward it
+    this.morph(s, duration, cb, done, { easing });
+
+    return seed;
   }
 
-  morph(targetSrf, duration, cb, done) {
+  morph(targetSrf, duration, cb, done, options) {
+    this.checkpoint();
+    return this.animateTo(targetSrf, duration, cb, done, options);
+  }
 
+  /*
+   * Animate toward the target surface over `duration` ms without
+   * recording history, calling `cb(value, t)` after each frame (see
+   * utils/animation.js) and `done` at the end. `easing` is the name of
+   * a curve in utils/easing.js, or a function. Without `cb` (when
+   * nothing is drawn) the surface goes straight to the target.
+   * Returns the animation's handle, also kept as .animation.
+   */
+  animateTo(targetSrf, duration, cb, done, { easing } = {}) {
+
+    // elevate whichever has the lower degree (neither changes shape),
+    // so that both have the same control points
+    const degrees = maxDegrees(this.degrees(), targetSrf.degrees());
+    this.raiseDegrees(degrees);
+    targetSrf.raiseDegrees(degrees);
+
+    // after resolving, the target's v curves share their corner points
+    // with its u curves, so the vectors line up corner for corner
     targetSrf.resolve();
 
-    ["u0", "u1", "v0", "v1"].forEach((k) => {
+    const targetVectors = targetSrf.vectors();
 
-      let b = this[k].__bez; // boundary curve
+    const moves = this.vectors().map((srfPt, i) => [srfPt, srfPt.clone(), targetVectors[i].clone()]);
 
-      ["v0", "v1", "v2", "v3"].forEach((pt) => {
+    if (!_.isNil(this.animation)) this.animation.cancel();
 
-        // for legibility, this is the point on the target surface
-        // corresponding to the current boundary curve's control point
-        let srfPt = b[pt];
-        let targetPt = targetSrf[k].__bez[pt];
+    this.animation = animate({
+      duration: cb ? duration : 0,
+      easing,
+      update: (value, t) => {
 
-        // resolve corner cases
-        if (k === "v0" && pt === "v0") targetPt = targetSrf.u0.__bez.v0;
-        if (k === "v0" && pt === "v3") targetPt = targetSrf.u1.__bez.v0;
-        if (k === "v1" && pt === "v0") targetPt = targetSrf.u0.__bez.v3;
-        if (k === "v1" && pt === "v3") targetPt = targetSrf.u1.__bez.v3;
+        // at the end, control points are snapped exactly onto the target's
+        moves.forEach(([srfPt, from, to]) => {
+          if (t < 1) srfPt.lerpVectors(from, to, value);
+          else srfPt.copy(to);
+        });
 
-        srfPt.__dx = targetPt.x - srfPt.x;
-        srfPt.__dy = targetPt.y - srfPt.y;
-        srfPt.__dz = targetPt.z - srfPt.z;
-      });
+        this.update(); // update interior curves
+        if (this.activeControlPoint > -1) this.positionAxes(this.getActiveControlPoint());
+
+        if (cb) cb(value, t);
+      }
+    }).then(() => {
+      if (done) done();
     });
 
-    // now that we have our dx, dy, dz, step toward it
-    this.step(0, duration, cb, done);
+    return this.animation;
   }
 
-  restore(duration, cb, done) {
-    this.morph(new Surface(), duration, cb, done);
+  restore(duration, cb, done, options) {
+    return this.morph(new Surface(), duration, cb, done, options);
   }
 
   rotate(axis, angle) {
-    ["u0", "v0", "u1", "v1"].forEach((b) => {
-      
-      let crv = this[b].__bez;
-      
-      ["v0", "v1", "v2", "v3"].forEach((k) => {
-        let pt = crv[k];
-        pt.applyAxisAngle(axis, angle);
-      });
-    });
+
+    this.checkpoint("rotate");
+
+    // tangent offsets are directions, so they rotate along with the points
+    this.vectors().forEach(pt => pt.applyAxisAngle(axis, angle));
 
     this.update();
   }
@@ -545,15 +1277,13 @@ class Surface {
 
     const s = new Surface();
 
-    s.u0 = this.u0.clone();
-    s.u0.__bez = Object.assign({}, this.u0.__bez);
-    s.u1 = this.u1.clone();
-    s.u1.__bez = Object.assign({}, this.u1.__bez);
-    s.v0 = this.v0.clone();
-    s.v0.__bez = Object.assign({}, this.v0.__bez);
-    s.v1 = this.v1.clone();
-    s.v1.__bez = Object.assign({}, this.v1.__bez);
+    BOUNDARIES.forEach((k) => {
+      s[k] = Curve(...bezierPoints(this[k].__bez));
+      s.tangents[k] = this.tangents[k].map(t => t.clone());
+    });
 
+    s.controlPointsList = s.listControlPoints();
+    s.blending = this.blending;
     s.activeControlPoint = this.activeControlPoint;
 
     return s;
@@ -565,26 +1295,273 @@ class Surface {
    * (u curve control points overwrite those of v curves)
    */
   resolve() {
-    ["u0", "u1", "v0", "v1"].forEach((k) => {
-      ["v0", "v1", "v2", "v3"].forEach((pt) => {
-        // resolve corner cases
-        if (k === "v0" && pt === "v0") this[k].__bez[pt] = this.u0.__bez.v0;
-        if (k === "v0" && pt === "v3") this[k].__bez[pt] = this.u1.__bez.v0;
-        if (k === "v1" && pt === "v0") this[k].__bez[pt] = this.u0.__bez.v3;
-        if (k === "v1" && pt === "v3") this[k].__bez[pt] = this.u1.__bez.v3;
-      });
+    this.corners().forEach(([[crv, vertex], [k, pt]]) => {
+      this[k].__bez[pt] = this[crv].__bez[vertex];
     });
   }
 
+  /*
+   * A copy of the current control points and tangent offsets,
+   * in the same form as .toJSON()
+   */
+  snapshot() {
+    const { curves, tangents } = this.toJSON();
+    return { curves, tangents };
+  }
+
+  /*
+   * A new (unattached) Surface with the control points
+   * and tangent offsets of a snapshot
+   */
+  static fromSnapshot({ curves, tangents }) {
+    const s = new Surface();
+    BOUNDARIES.forEach((k) => {
+      s[k] = Curve(...curves[k].map(coords => new THREE.Vector3().fromArray(coords)));
+      s.tangents[k].forEach((t, i) => t.fromArray(tangents[k][i]));
+    });
+    s.controlPointsList = s.listControlPoints();
+    return s;
+  }
+
+  /*
+   * Record the current state on the undo stack before an edit.
+   * Consecutive calls with the same (non-null) group that come within
+   * HISTORY_GROUP_INTERVAL of each other only record the first state,
+   * so that e.g. a long turn of the knob is undone in one go.
+   */
+  checkpoint(group = null) {
+
+    this.revision++;
+
+    const now = Date.now();
+    const grouped = !_.isNil(group) && group === this.historyGroup && now - this.historyTime < HISTORY_GROUP_INTERVAL;
+
+    this.historyGroup = group;
+    this.historyTime = now;
+
+    if (grouped) return;
+
+    this.undoStack.push(this.snapshot());
+    if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /*
+   * Put the control points of a snapshot back at once, without
+   * recording it for undo -- as when a preview is dropped.
+   */
+  revert(snapshot) {
+    return this.animateTo(this.constructor.fromSnapshot(snapshot), 0);
+  }
+
+  canUndo() { return this.undoStack.length > 0; }
+
+  canRedo() { return this.redoStack.length > 0; }
+
+  /*
+   * Animate back to the state before the last edit.
+   * Returns false (and calls `done` right away) if there is nothing to undo.
+   */
+  undo(duration, cb, done, options) {
+    return this.travel(this.undoStack, this.redoStack, duration, cb, done, options);
+  }
+
+  /*
+   * Animate forward to the state before the last undo.
+   * Returns false (and calls `done` right away) if there is nothing to redo.
+   */
+  redo(duration, cb, done, options) {
+    return this.travel(this.redoStack, this.undoStack, duration, cb, done, options);
+  }
+
+  travel(from, to, duration, cb, done, options) {
+
+    if (from.length === 0) {
+      if (done) done();
+      return false;
+    }
+
+    to.push(this.snapshot());
+    this.historyGroup = null;
+    this.revision++;
+
+    this.animateTo(this.constructor.fromSnapshot(from.pop()), duration, cb, done, options);
+    return true;
+  }
+
   nextDisplay() {
     this.display += 1;
-    this.display = this.display % 3;
+    this.display = this.display % DISPLAY_MODES;
     this.update();
   }
 
   stop() {
-    window.cancelAnimationFrame(this.animationFrame);
+    // stopping part way leaves the surface somewhere new
+    if (!_.isNil(this.animation) && this.animation.running) this.revision++;
+    if (!_.isNil(this.animation)) this.animation.cancel();
+    this.animation = null;
+  }
+
+  /*
+   * Remove everything this surface added to its scene
+   * (except for the shared axes) and free the geometries.
+   */
+  dispose() {
+
+    this.stop();
+
+    if (_.isNil(this.scene)) return;
+
+    const objects = [].concat(this.u_crvs, this.v_crvs);
+    if (!_.isNil(this.mesh)) objects.push(this.mesh);
+
+    objects.forEach(obj => {
+      this.scene.remove(obj);
+      obj.geometry.dispose();
+    });
+
+    this.removeControls();
+
+    this.u_crvs = [];
+    this.v_crvs = [];
+    this.mesh = null;
+  }
+
+  /**
+   * Serialize the surface to a plain object that can be passed to
+   * `JSON.stringify`. All boundary control points are written out
+   * (corners appear twice, once on each curve that meets there),
+   * along with the tangent offsets used by the bicubically blended patch.
+   * @returns {Object}
+   */
+  toJSON() {
+
+    const curves = {};
+    const tangents = {};
+
+    BOUNDARIES.forEach((k) => {
+      curves[k] = bezierPoints(this[k].__bez).map(pt => pt.toArray());
+      tangents[k] = this.tangents[k].map(t => t.toArray());
+    });
+
+    return {
+      version: SCHEMA_VERSION,
+      stepSize: this.stepSize,
+      display: this.display,
+      blending: this.blending,
+      curves,
+      tangents
+    };
+  }
+
+  /**
+   * Create a new Surface from the output of `.toJSON()` (either the object
+   * or its string form). Throws an `Error` describing the first problem
+   * found if the data is malformed or the boundary curves do not meet
+   * at the corners. Files from older versions are read with the
+   * defaults for anything they don't contain.
+   * @param {Object|String} json
+   * @returns {Surface}
+   */
+  static fromJSON(json) {
+
+    let data = json;
+
+    if (_.isString(data)) {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new Error("Not a valid surface file (could not parse JSON).");
+      }
+    }
+
+    if (!_.isPlainObject(data)) throw new Error("Not a valid surface file.");
+
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > SCHEMA_VERSION) {
+      throw new Error(`Unsupported surface file version: ${data.version} (expected 1 to ${SCHEMA_VERSION}).`);
+    }
+
+    if (!_.isPlainObject(data.curves)) throw new Error("Surface file is missing its boundary curves.");
+
+    const s = new Surface();
+
+    BOUNDARIES.forEach((k) => {
+
+      const pts = data.curves[k];
+
+      if (!_.isArray(pts) || pts.length < MIN_DEGREE + 1 || pts.length > MAX_DEGREE + 1) {
+        throw new Error(`Boundary curve ${k} must have ${MIN_DEGREE + 1} to ${MAX_DEGREE + 1} control points.`);
+      }
+
+      const points = pts.map((coords, i) => {
+
+        if (!_.isArray(coords) || coords.length !== 3 || !coords.every(_.isFinite)) {
+          throw new Error(`Control point ${k}.v${i} must be an array of 3 numbers.`);
+        }
+
+        return new THREE.Vector3().fromArray(coords);
+      });
+
+      s[k] = Curve(...points);
+    });
+
+    s.controlPointsList = s.listControlPoints();
+
+    s.corners().forEach(([a, b]) => {
+      const ptA = s[a[0]].__bez[a[1]];
+      const ptB = s[b[0]].__bez[b[1]];
+      if (ptA.distanceTo(ptB) > CORNER_TOLERANCE) {
+        throw new Error(`Corner mismatch: ${a.join(".")} and ${b.join(".")} should be the same point.`);
+      }
+    });
+
+    if (!_.isUndefined(data.stepSize)) {
+      if (!_.isFinite(data.stepSize) || data.stepSize <= 0 || data.stepSize > 1) {
+        throw new Error("stepSize must be a number greater than 0 and at most 1.");
+      }
+      s.stepSize = data.stepSize;
+    }
+
+    if (!_.isUndefined(data.display)) {
+      if (!_.inRange(data.display, 0, DISPLAY_MODES) || !Number.isInteger(data.display)) {
+        throw new Error(`Unknown display mode: ${data.display}.`);
+      }
+      s.display = data.display;
+    }
+
+    // added in version 2
+    if (!_.isUndefined(data.blending)) {
+      if (BLENDINGS.indexOf(data.blending) === -1) {
+        throw new Error(`Unknown blending: ${data.blending}.`);
+      }
+      s.blending = data.blending;
+    }
+
+    if (!_.isUndefined(data.tangents)) {
+
+      if (!_.isPlainObject(data.tangents)) throw new Error("Tangents must be an object.");
+
+      BOUNDARIES.forEach((k) => {
+
+        const vectors = data.tangents[k];
+
+        if (!_.isArray(vectors) || vectors.length !== 2) {
+          throw new Error(`Tangents along ${k} must have exactly 2 vectors.`);
+        }
+
+        vectors.forEach((coords, i) => {
+          if (!_.isArray(coords) || coords.length !== 3 || !coords.every(_.isFinite)) {
+            throw new Error(`Tangent ${k}.${i} must be an array of 3 numbers.`);
+          }
+          s.tangents[k][i].fromArray(coords);
+        });
+      });
+    }
+
+    return s;
   }
 }
 
+export { Curve, bezierPoints, elevateCurve, SCHEMA_VERSION, CORNER_TOLERANCE };
+
 export default Surface;
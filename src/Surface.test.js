@@ -0,0 +1,539 @@
+import _ from 'lodash';
+import * as THREE from 'three';
+import Surface, { SCHEMA_VERSION } from './Surface';
+
+// a surface added to a scene, so that it can .update()
+const attached = () => {
+  const s = new Surface();
+  s.setScene(new THREE.Scene());
+  s.init();
+  return s;
+};
+
+describe('Surface JSON', () => {
+
+  it('round-trips control points, stepSize and display', () => {
+    const s = new Surface();
+    s.u0.__bez.v1.set(0.1, 0.2, 0.3);
+    s.stepSize = 0.1;
+    s.display = 2;
+
+    const json = JSON.parse(JSON.stringify(s));
+    expect(json.version).toBe(SCHEMA_VERSION);
+
+    const t = Surface.fromJSON(json);
+    expect(t.u0.__bez.v1.toArray()).toEqual([0.1, 0.2, 0.3]);
+    expect(t.stepSize).toBe(0.1);
+    expect(t.display).toBe(2);
+    expect(t.patch(0.3, 0.6).distanceTo(s.patch(0.3, 0.6))).toBeLessThan(1e-9);
+  });
+
+  it('accepts the string form', () => {
+    const s = new Surface();
+    const t = Surface.fromJSON(JSON.stringify(s));
+    expect(t.toJSON()).toEqual(s.toJSON());
+  });
+
+  it('rejects bad data', () => {
+    expect(() => Surface.fromJSON('not json')).toThrow(/parse/);
+    expect(() => Surface.fromJSON({ version: 99 })).toThrow(/version/);
+
+    const json = new Surface().toJSON();
+    json.curves.u1 = json.curves.u1.slice(0, 3);
+    expect(() => Surface.fromJSON(json)).toThrow(/u1/);
+  });
+
+  it('rejects mismatched corners', () => {
+    const json = new Surface().toJSON();
+    json.curves.v1[3] = [9, 9, 9];
+    expect(() => Surface.fromJSON(json)).toThrow(/Corner mismatch: u1.v3 and v1.v3/);
+  });
+});
+
+describe('Surface history', () => {
+
+  it('undoes and redoes control point moves', () => {
+    const s = attached();
+    s.activeControlPoint = 1; // v0.v1
+    const before = s.controlPointFromIndex(1).clone();
+
+    s.setActiveControlPoint(before.clone().setZ(1), "z");
+    expect(s.canUndo()).toBe(true);
+
+    s.undo(10, null, () => {});
+    expect(s.controlPointFromIndex(1).equals(before)).toBe(true);
+    expect(s.canRedo()).toBe(true);
+
+    s.redo(10, null, () => {});
+    expect(s.controlPointFromIndex(1).z).toBe(1);
+  });
+
+  it('groups continuous moves of the same point along the same axis', () => {
+    const s = attached();
+    s.activeControlPoint = 1;
+    const pt = s.controlPointFromIndex(1);
+
+    s.setActiveControlPoint(pt.clone().setZ(0.1), "z");
+    s.setActiveControlPoint(pt.clone().setZ(0.2), "z");
+    s.setActiveControlPoint(pt.clone().setX(0.3), "x");
+    expect(s.undoStack.length).toBe(2);
+  });
+
+  it('previews moves without recording them, and reverts them', () => {
+    const s = attached();
+    s.activeControlPoint = 0; // v0.v0, the same corner as u0.v0
+    const snapshot = s.snapshot();
+    const before = s.controlPointFromIndex(0).clone();
+
+    s.moveActiveControlPoint(before.clone().setZ(0.5));
+    expect(s.u0.__bez.v0.z).toBe(0.5);
+    expect(s.canUndo()).toBe(false);
+
+    s.revert(snapshot);
+    expect(s.controlPointFromIndex(0).equals(before)).toBe(true);
+    expect(s.u0.__bez.v0.equals(before)).toBe(true);
+    expect(s.canUndo()).toBe(false);
+  });
+
+  it('clears redo after a new edit and reports when there is nothing to undo', () => {
+    const s = attached();
+    const z = new THREE.Vector3(0, 0, 1);
+    expect(s.undo(10)).toBe(false);
+
+    s.rotate(z, 0.5);
+    s.undo(10, null, () => {});
+    expect(s.canRedo()).toBe(true);
+
+    s.rotate(z, 0.5);
+    expect(s.canRedo()).toBe(false);
+  });
+});
+
+describe('Surface display', () => {
+
+  it('cycles through isolines and shaded modes', () => {
+    const s = attached();
+    const modes = [];
+    for (let i = 0; i < 6; i++) {
+      modes.push([s.u_crvs[1].visible, s.v_crvs[1].visible, s.mesh.visible]);
+      s.nextDisplay();
+    }
+    expect(modes).toEqual([
+      [true, true, false],
+      [true, false, false],
+      [false, true, false],
+      [false, false, true],
+      [true, true, true],
+      [false, false, true]
+    ]);
+    expect(s.display).toBe(0);
+  });
+
+  it('keeps the mesh in step with the control points', () => {
+    const s = attached();
+    s.display = 3;
+    s.activeControlPoint = 4; // u1.v1
+    s.setActiveControlPoint(s.getActiveControlPoint().clone().setZ(0.5), "z");
+    s.update();
+
+    const position = s.mesh.geometry.attributes.position;
+    const n = s.mesh.__values.length - 1;
+    const k = Math.round(n / 3) * (n + 1) + n;
+    const expected = s.patch(s.mesh.__values[Math.round(n / 3)], 1);
+    expect(position.getZ(k)).toBeCloseTo(expected.z);
+  });
+
+  it('puts the mesh vertices on the isolines, even where the last step is short', () => {
+    // as in a 2 x 2 patch network
+    const s = new Surface();
+    s.stepSize = 0.08;
+    s.setScene(new THREE.Scene());
+    s.init();
+    s.u0.__bez.v1.z = 1;
+    s.display = 4;
+    s.update();
+
+    const values = s.isolineValues();
+    expect(values.slice(-2)).toEqual([0.96, 1]);
+
+    const position = s.mesh.geometry.attributes.position;
+    const n = values.length - 1;
+    [[1, 2], [n - 1, 5], [n, n]].forEach(([i, j]) => {
+      const pt = new THREE.Vector3().fromBufferAttribute(position, i * (n + 1) + j);
+      expect(pt.distanceTo(s.patch(values[i], values[j]))).toBeLessThan(1e-6);
+    });
+  });
+});
+
+describe('Surface isolines', () => {
+
+  const count = lines => lines.u.concat(lines.v).reduce((total, l) => total + l.length, 0);
+
+  // the vertices drawn of a line
+  const drawn = (crv) => {
+    const { position } = crv.geometry.attributes;
+    return _.range(crv.geometry.drawRange.count).map(i => new THREE.Vector3().fromBufferAttribute(position, i));
+  };
+
+  const bent = () => {
+    const s = attached();
+    s.u0.__bez.v1.z = 1;
+    s.v1.__bez.v2.z = -1;
+    s.update();
+    return s;
+  };
+
+  it('can put a vertex every step', () => {
+    const s = bent();
+    s.setTessellation({ mode: "fixed" });
+    s.update();
+
+    expect(s.u_crvs.length).toBe(26);
+    expect(drawn(s.u_crvs[3]).length).toBe(26);
+    expect(drawn(s.u_crvs[3])[5].distanceTo(s.patch(0.12, 0.2))).toBeLessThan(1e-6);
+    expect(drawn(s.v_crvs[3])[5].distanceTo(s.patch(0.2, 0.12))).toBeLessThan(1e-6);
+  });
+
+  it('puts more vertices where the surface curves, within the budget', () => {
+    const flat = attached();
+    const s = bent();
+
+    expect(count(flat.sampleIsolines())).toBe(2 * 26 * 5);
+    expect(count(s.sampleIsolines())).toBeGreaterThan(count(flat.sampleIsolines()));
+
+    s.setTessellation({ quality: 1, maxVertices: 1000 });
+    expect(count(s.sampleIsolines())).toBe(1000);
+  });
+
+  it('draws the samples, in place once a line has room for them', () => {
+    const s = bent();
+    s.setTessellation({ quality: 1 });
+    s.update();
+    const geometry = s.u_crvs[10].geometry;
+
+    s.setTessellation({ quality: 0 });
+    s.update();
+    const vertices = drawn(s.u_crvs[10]);
+    const samples = s.sampleIsolines().u[10];
+
+    expect(s.u_crvs[10].geometry).toBe(geometry);
+    expect(vertices.length).toBe(samples.length);
+    expect(vertices[0].distanceTo(s.patch(0.4, 0))).toBeLessThan(1e-6);
+    expect(_.last(vertices).distanceTo(s.patch(0.4, 1))).toBeLessThan(1e-6);
+  });
+
+  it('samples into the same vectors each update, for either blending', () => {
+    const s = bent();
+    s.toggleBlending();
+    s.update();
+
+    const before = s.sampleIsolines().u[10];
+    const points = new Set(before);
+    const after = s.sampleIsolines().u[10];
+    after.forEach(pt => expect(points.has(pt)).toBe(true));
+
+    const target = new THREE.Vector3();
+    expect(s.partial(0.3, 0.6, 1, 0, target)).toBe(target);
+    expect(target.distanceTo(s.partial(0.3, 0.6, 1, 0))).toBe(0);
+  });
+
+  it('only samples the isolines shown', () => {
+    const s = bent();
+    s.display = 1;
+    const lines = s.sampleIsolines();
+    expect(lines.u.length).toBe(26);
+    expect(lines.v.length).toBe(0);
+  });
+
+  it('rejects invalid options', () => {
+    const s = new Surface();
+    expect(() => s.setTessellation({ mode: "smooth" })).toThrow(/mode/);
+    expect(() => s.setTessellation({ quality: -1 })).toThrow(/quality/);
+    expect(s.tessellation.mode).toBe("adaptive");
+  });
+});
+
+describe('Surface derivatives', () => {
+
+  // a surface with some shape to it
+  const curved = () => {
+    const s = new Surface();
+    s.u0.__bez.v1.z += 0.4;
+    s.u1.__bez.v2.z -= 0.3;
+    s.v0.__bez.v2.x += 0.2;
+    s.v1.__bez.v1.z += 0.5;
+    return s;
+  };
+
+  const fd = 1e-5;
+
+  it('matches finite differences of patch()', () => {
+    const s = curved();
+    const [u, v] = [0.3, 0.7];
+    const d = s.derivatives(u, v);
+
+    const Su = s.patch(u + fd, v).sub(s.patch(u - fd, v)).divideScalar(2 * fd);
+    const Sv = s.patch(u, v + fd).sub(s.patch(u, v - fd)).divideScalar(2 * fd);
+    const Suv = s.derivatives(u, v + fd).Su.sub(s.derivatives(u, v - fd).Su).divideScalar(2 * fd);
+    const Suu = s.derivatives(u + fd, v).Su.sub(s.derivatives(u - fd, v).Su).divideScalar(2 * fd);
+    const Svv = s.derivatives(u, v + fd).Sv.sub(s.derivatives(u, v - fd).Sv).divideScalar(2 * fd);
+
+    expect(d.S.distanceTo(s.patch(u, v))).toBeLessThan(1e-12);
+    expect(d.Su.distanceTo(Su)).toBeLessThan(1e-6);
+    expect(d.Sv.distanceTo(Sv)).toBeLessThan(1e-6);
+    expect(d.Suu.distanceTo(Suu)).toBeLessThan(1e-5);
+    expect(d.Suv.distanceTo(Suv)).toBeLessThan(1e-5);
+    expect(d.Svv.distanceTo(Svv)).toBeLessThan(1e-5);
+  });
+
+  it('gives unit normals perpendicular to the surface', () => {
+    const s = curved();
+    const d = s.derivatives(0.6, 0.2);
+    const n = s.normal(0.6, 0.2);
+    expect(n.length()).toBeCloseTo(1);
+    expect(n.dot(d.Su)).toBeCloseTo(0);
+    expect(n.dot(d.Sv)).toBeCloseTo(0);
+  });
+
+  it('has zero curvature when flat', () => {
+    const k = new Surface().curvature(0.4, 0.4);
+    expect(k.gaussian).toBeCloseTo(0);
+    expect(k.mean).toBeCloseTo(0);
+    expect(k.normal.z).toBeCloseTo(1);
+  });
+
+  it('relates principal, Gaussian and mean curvature', () => {
+    const k = curved().curvature(0.5, 0.5);
+    expect(k.k1).toBeGreaterThanOrEqual(k.k2);
+    expect(k.k1 * k.k2).toBeCloseTo(k.gaussian);
+    expect((k.k1 + k.k2) / 2).toBeCloseTo(k.mean);
+  });
+});
+
+describe('Surface blending', () => {
+
+  it('only offers tangent and twist handles in hermite mode', () => {
+    const s = attached();
+    const n = s.controlPointsList.length;
+    expect(s.selectable().length).toBe(n);
+
+    s.toggleBlending();
+    expect(s.blending).toBe("hermite");
+    expect(s.selectable().length).toBe(n + s.tangentHandlesList.length);
+
+    s.activeControlPoint = n + 1;
+    s.toggleBlending();
+    expect(s.activeControlPoint).toBe(0);
+  });
+
+  it('moves tangent and twist handles to where they are put', () => {
+    const s = attached();
+    s.toggleBlending();
+    s.controls = true;
+
+    const n = s.controlPointsList.length;
+    [n, n + 3, n + 8, n + 10].forEach((i) => {
+      s.activeControlPoint = i;
+      const target = s.getActiveControlPoint().add(new THREE.Vector3(0.02, -0.01, 0.05));
+      s.setActiveControlPoint(target, "z");
+      expect(s.getActiveControlPoint().distanceTo(target)).toBeLessThan(1e-9);
+    });
+
+    // the boundaries stay where they were
+    expect(s.patch(0.4, 0).distanceTo(new Surface().patch(0.4, 0))).toBeLessThan(1e-9);
+    expect(s.patch(0.5, 0.5).distanceTo(new Surface().patch(0.5, 0.5))).toBeGreaterThan(1e-3);
+  });
+
+  it('saves tangents and reads version 1 files', () => {
+    const s = new Surface();
+    s.blending = "hermite";
+    s.tangents.v1[1].set(0.1, 0.2, 0.3);
+    const t = Surface.fromJSON(JSON.stringify(s));
+    expect(t.blending).toBe("hermite");
+    expect(t.tangents.v1[1].toArray()).toEqual([0.1, 0.2, 0.3]);
+
+    const json = s.toJSON();
+    json.version = 1;
+    delete json.blending;
+    delete json.tangents;
+    expect(Surface.fromJSON(json).blending).toBe("bilinear");
+  });
+});
+
+describe('Surface degree', () => {
+
+  // a few points on the surface, to compare shapes
+  const samples = s => [[0.2, 0.7], [0.5, 0.5], [0.9, 0.1], [1, 0.4]].map(([u, v]) => s.patch(u, v));
+
+  it('elevates the boundaries without changing the shape', () => {
+    const s = attached();
+    s.u0.__bez.v1.z += 0.4;
+    s.v1.__bez.v2.x -= 0.3;
+    const before = samples(s);
+
+    expect(s.elevate()).toBe(true);
+    expect(s.degrees()).toEqual({ u0: 4, u1: 4, v0: 4, v1: 4 });
+    expect(s.controlPointsList.length).toBe(16);
+    expect(s.listControlLines().length).toBe(16);
+    samples(s).forEach((pt, i) => expect(pt.distanceTo(before[i])).toBeLessThan(1e-9));
+  });
+
+  it('stops at the highest degree', () => {
+    const s = attached();
+    for (let d = 4; d <= 7; d++) expect(s.elevate()).toBe(true);
+    expect(s.elevate()).toBe(false);
+    expect(s.degrees().v1).toBe(7);
+  });
+
+  it('keeps corners together at any degree', () => {
+    const s = attached();
+    s.elevate();
+    s.elevate();
+    s.activateControls();
+
+    // the corner at the end of v0 (u = 0, v = 1) is also the start of u1
+    const i = s.controlPointsList.findIndex(([crv, vertex]) => crv === "v0" && vertex === "v5");
+    s.activeControlPoint = i;
+    s.setActiveControlPoint(new THREE.Vector3(0.1, 1.2, 0.3), "z");
+    expect(s.u1.__bez.v0.toArray()).toEqual([0.1, 1.2, 0.3]);
+  });
+
+  it('reads and writes curves of different degrees', () => {
+    const json = new Surface().toJSON();
+    const [start, , , end] = json.curves.u0;
+    json.curves.u0 = [start, [0, 0, 0.5], end];
+    const s = Surface.fromJSON(json);
+    expect(s.degrees()).toEqual({ u0: 2, u1: 3, v0: 3, v1: 3 });
+    expect(s.controlPointsList.length).toBe(11);
+    expect(Surface.fromJSON(JSON.stringify(s)).toJSON()).toEqual(s.toJSON());
+
+    json.curves.u0 = [start, end];
+    expect(() => Surface.fromJSON(json)).toThrow(/u0 must have 3 to 8/);
+  });
+
+  it('undoes edits made before an elevation', () => {
+    const s = attached();
+    s.activateControls();
+    s.activeControlPoint = 1;
+    s.setActiveControlPoint(s.getActiveControlPoint().clone().setZ(0.5), "z");
+    s.elevate();
+
+    s.undo(1);
+    expect(s.degrees().u0).toBe(4);
+    expect(s.patch(0.5, 0.5).distanceTo(new Surface().patch(0.5, 0.5))).toBeLessThan(1e-9);
+  });
+});
+
+describe('Surface picking', () => {
+
+  it('picks the control point or handle a sphere stands for', () => {
+    const s = attached();
+    expect(s.pickable()).toEqual([]);
+
+    s.toggleBlending();
+    s.activateControls();
+    const spheres = s.pickable();
+    expect(spheres.length).toBe(s.selectable().length);
+
+    spheres.forEach((obj) => {
+      const i = s.indexOfPicked(obj);
+      s.selectControlPoint(i);
+      expect(s.getActiveControlPoint().distanceTo(obj.position)).toBeLessThan(1e-9);
+    });
+  });
+});
+
+describe('Surface randomize', () => {
+
+  const morphed = (options) => {
+    const s = attached();
+    s.randomize(10, null, () => {}, options);
+    return s;
+  };
+
+  it('makes the same surface from the same seed', () => {
+    const a = morphed({ seed: 1234 });
+    const b = morphed({ seed: 1234 });
+    const c = morphed({ seed: 1235 });
+    expect(a.patch(0.3, 0.6).distanceTo(b.patch(0.3, 0.6))).toBeLessThan(1e-12);
+    expect(a.patch(0.3, 0.6).distanceTo(c.patch(0.3, 0.6))).toBeGreaterThan(1e-6);
+  });
+
+  it('returns the seed it used', () => {
+    const s = attached();
+    const seed = s.randomize(10, null, () => {});
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(morphed({ seed }).patch(0.5, 0.5).distanceTo(s.patch(0.5, 0.5))).toBeLessThan(1e-12);
+  });
+
+  it('keeps points within the amplitude, scaled per axis', () => {
+    const original = new Surface().vectors();
+    const s = morphed({ seed: 7, amplitude: 0.1, axes: { z: 0, y: 0.5 } });
+    s.vectors().slice(0, original.length).forEach((pt, i) => {
+      const d = pt.clone().sub(original[i]);
+      expect(Math.abs(d.x)).toBeLessThanOrEqual(0.1);
+      expect(Math.abs(d.y)).toBeLessThanOrEqual(0.05);
+      expect(d.z).toBe(0);
+    });
+
+    expect(() => morphed({ amplitude: -1 })).toThrow(/amplitude/);
+    expect(() => morphed({ axes: { w: 1 } })).toThrow(/axis/);
+  });
+
+  it('counts edits in its revision', () => {
+    const s = attached();
+    const before = s.revision;
+    s.randomize(10, null, () => {}, { seed: 1 });
+    s.stop();
+    expect(s.revision).toBe(before + 1);
+    s.elevate();
+    expect(s.revision).toBe(before + 2);
+  });
+});
+
+describe('Surface animation', () => {
+
+  it('morphs over time with the given easing, ending on the target', (finished) => {
+    const s = attached();
+    const target = new Surface();
+    target.u0.__bez.v1.z = 0.8;
+
+    const values = [];
+    const start = Date.now();
+
+    s.morph(target, 60, (value, t) => values.push([value, t]), () => {
+      expect(Date.now() - start).toBeGreaterThanOrEqual(50);
+      expect(values[values.length - 1]).toEqual([1, 1]);
+      expect(values.every(([value, t]) => Math.abs(value - t) < 1e-9)).toBe(true);
+      expect(s.u0.__bez.v1.z).toBe(0.8);
+      finished();
+    }, { easing: "linear" });
+
+    expect(s.animation.running).toBe(true);
+  });
+
+  it('stops part way, without finishing', (finished) => {
+    const s = attached();
+    const target = new Surface();
+    target.u0.__bez.v1.z = 0.8;
+    const done = jest.fn();
+
+    const animation = s.morph(target, 1000, () => {
+      const before = s.revision;
+      s.stop();
+      expect(s.revision).toBe(before + 1);
+      expect(animation.cancelled).toBe(true);
+      expect(s.animation).toBeNull();
+
+      window.setTimeout(() => {
+        expect(done).not.toHaveBeenCalled();
+        expect(s.u0.__bez.v1.z).toBeLessThan(0.8);
+        finished();
+      }, 50);
+    }, done);
+  });
+
+  it('rejects an unknown easing', () => {
+    expect(() => attached().restore(100, () => {}, null, { easing: "wobble" })).toThrow(/Unknown easing/);
+  });
+});
@@ -0,0 +1,140 @@
+import _ from 'lodash';
+
+import easing from './utils/easing';
+
+// keyframes recorded closer together than this are spread out to it,
+// and longer pauses are cut down to MAX_GAP (both in ms)
+const MIN_GAP = 250;
+const MAX_GAP = 2000;
+
+/**
+ * A recording of the surface and camera over time, as keyframes of
+ * `{ time, surface, camera }`: `time` in ms from the first keyframe,
+ * `surface` the class and a .snapshot() of the Surface or PatchNetwork,
+ * and `camera` its `{ azimuth, altitude, zoom }`.
+ *
+ * Between keyframes, the surface's control points and the camera
+ * move with easing.ease, as when morphing.
+ */
+export default class Timeline {
+
+  constructor() {
+    this.keyframes = [];
+    this.lastRecorded = null;
+  }
+
+  clear() {
+    this.keyframes = [];
+    this.lastRecorded = null;
+  }
+
+  /**
+   * Add a keyframe of the surface and camera, `now` being the current
+   * time in ms. It comes after the last keyframe by however long it has
+   * been since then, but at least MIN_GAP and at most MAX_GAP.
+   * @param {Surface|PatchNetwork} surface
+   * @param {Object} camera `{ azimuth, altitude, zoom }`
+   * @param {Number} now
+   */
+  record(surface, camera, now = Date.now()) {
+
+    const last = _.last(this.keyframes);
+    const time = _.isNil(last) ? 0 : last.time + _.clamp(now - this.lastRecorded, MIN_GAP, MAX_GAP);
+
+    this.keyframes.push({
+      time,
+      surface: { type: surface.constructor, snapshot: surface.snapshot() },
+      camera: _.pick(camera, ["azimuth", "altitude", "zoom"])
+    });
+
+    this.lastRecorded = now;
+  }
+
+  duration() {
+    return this.keyframes.length > 0 ? _.last(this.keyframes).time : 0;
+  }
+
+  /*
+   * The keyframes on either side of `time`, and how far
+   * (eased, from 0 to 1) it is from the first to the second
+   */
+  segment(time) {
+
+    const { keyframes } = this;
+    const i = _.clamp(_.sortedIndexBy(keyframes, { time }, "time"), 1, keyframes.length - 1);
+
+    const a = keyframes[i - 1];
+    const b = keyframes[i];
+
+    const t = _.clamp((time - a.time) / (b.time - a.time), 0, 1);
+
+    return [a, b, easing.ease(t)];
+  }
+
+  /**
+   * The camera at `time` (ms).
+   * @param {Number} time
+   * @returns {Object} `{ azimuth, altitude, zoom }`
+   */
+  cameraAt(time) {
+
+    if (this.keyframes.length === 1) return Object.assign({}, this.keyframes[0].camera);
+
+    const [a, b, t] = this.segment(time);
+
+    return _.mapValues(a.camera, (value, k) => value + t * (b.camera[k] - value));
+  }
+
+  /**
+   * A new (unattached) surface with the control points at `time` (ms).
+   * Surfaces of different degrees are elevated to match; if a keyframe
+   * changes to a different kind or size of network, the surface jumps
+   * to it at the end of the segment.
+   * @param {Number} time
+   * @returns {Surface|PatchNetwork}
+   */
+  surfaceAt(time) {
+
+    const load = ({ type, snapshot }) => type.fromSnapshot(snapshot);
+
+    if (this.keyframes.length === 1) return load(this.keyframes[0].surface);
+
+    const [a, b, t] = this.segment(time);
+
+    const from = load(a.surface);
+    const to = load(b.surface);
+
+    if (!matches(from, to)) return t < 1 ? from : to;
+
+    const degrees = _.mergeWith(from.degrees(), to.degrees(), (x, y) => Math.max(x, y));
+    from.raiseDegrees(degrees);
+    to.raiseDegrees(degrees);
+
+    const targets = to.vectors();
+    from.vectors().forEach((v, i) => v.lerp(targets[i], t));
+
+    return from;
+  }
+
+  /**
+   * Times (ms) of the frames to show at `fps` frames per second,
+   * from the first keyframe to the last.
+   * @param {Number} fps
+   * @returns {Number[]}
+   */
+  frames(fps) {
+    const count = Math.floor(this.duration() * fps / 1000);
+    return _.range(count + 1).map(i => i * 1000 / fps);
+  }
+}
+
+/*
+ * Whether two surfaces can be interpolated: the same class
+ * and, for networks, the same number of patches.
+ */
+const matches = (a, b) => {
+  if (a.constructor !== b.constructor) return false;
+  return a.cols === b.cols && a.rows === b.rows;
+};
+
+export { matches };
@@ -0,0 +1,65 @@
+import Timeline from './Timeline';
+import Surface from './Surface';
+import PatchNetwork from './PatchNetwork';
+
+const camera = (azimuth, altitude = 0, zoom = 1) => ({ azimuth, altitude, zoom });
+
+describe('Timeline', () => {
+
+  it('spaces keyframes by the time between them, within limits', () => {
+    const timeline = new Timeline();
+    const s = new Surface();
+    timeline.record(s, camera(0), 1000);
+    timeline.record(s, camera(0), 1100);
+    timeline.record(s, camera(0), 2100);
+    timeline.record(s, camera(0), 60000);
+    expect(timeline.keyframes.map(k => k.time)).toEqual([0, 250, 1250, 3250]);
+    expect(timeline.duration()).toBe(3250);
+  });
+
+  it('eases the camera between keyframes', () => {
+    const timeline = new Timeline();
+    const s = new Surface();
+    timeline.record(s, camera(0, 0, 1), 0);
+    timeline.record(s, camera(1, 0.5, 2), 1000);
+
+    expect(timeline.cameraAt(0)).toEqual(camera(0, 0, 1));
+    expect(timeline.cameraAt(500)).toEqual(camera(0.5, 0.25, 1.5));
+    expect(timeline.cameraAt(250).azimuth).toBeLessThan(0.25);
+    expect(timeline.cameraAt(2000)).toEqual(camera(1, 0.5, 2));
+  });
+
+  it('interpolates control points, elevating to the higher degree', () => {
+    const timeline = new Timeline();
+    const a = new Surface();
+    const b = a.clone();
+    b.u0.__bez.v1.z += 1;
+    b.raiseDegrees({ u0: 4, u1: 3, v0: 3, v1: 3 });
+
+    timeline.record(a, camera(0), 0);
+    timeline.record(b, camera(0), 1000);
+
+    expect(timeline.surfaceAt(0).degrees().u0).toBe(4);
+    expect(timeline.surfaceAt(0).patch(0.3, 0.4).distanceTo(a.patch(0.3, 0.4))).toBeLessThan(1e-9);
+    expect(timeline.surfaceAt(1000).patch(0.3, 0.4).distanceTo(b.patch(0.3, 0.4))).toBeLessThan(1e-9);
+
+    const halfway = timeline.surfaceAt(500).patch(0.5, 0);
+    const expected = a.patch(0.5, 0).lerp(b.patch(0.5, 0), 0.5);
+    expect(halfway.distanceTo(expected)).toBeLessThan(1e-9);
+  });
+
+  it('jumps between surfaces that cannot be interpolated', () => {
+    const timeline = new Timeline();
+    timeline.record(new Surface(), camera(0), 0);
+    timeline.record(new PatchNetwork(2, 2), camera(0), 1000);
+    expect(timeline.surfaceAt(900)).toBeInstanceOf(Surface);
+    expect(timeline.surfaceAt(1000)).toBeInstanceOf(PatchNetwork);
+  });
+
+  it('lists frame times from start to end', () => {
+    const timeline = new Timeline();
+    timeline.record(new Surface(), camera(0), 0);
+    timeline.record(new Surface(), camera(0), 500);
+    expect(timeline.frames(10)).toEqual([0, 100, 200, 300, 400, 500]);
+  });
+});
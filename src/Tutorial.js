@@ -1,47 +1,58 @@
 import React, { Component } from 'react';
+import _ from 'lodash';
 
 import './Tutorial.css';
 
-import Step1 from './tutorial/Step1';
-import Step2 from './tutorial/Step2';
-import Step3 from './tutorial/Step3';
-import Step4 from './tutorial/Step4';
-import Dummy from './tutorial/Dummy';
+// added to whatever the step points out on screen
+const HIGHLIGHT = "tutorial__highlight";
 
+/**
+ *	The overlay for a step of the tutorial (see utils/tutorial.js),
+ *	which also highlights what the step points out on screen.
+ *
+ *	props:
+ *	- step: the step shown, or null when the tutorial is not
+ */
 export default class Tutorial extends Component {
 
 	componentDidMount() {
+		this.highlight();
+	}
 
-		const manager = this.props.manager;
+	// again after every render, in case one took the class off
+	componentDidUpdate() {
+		this.highlight();
+	}
 
-		this.steps = [
-			<Step1 manager={manager} />,
-			<Step2 manager={manager} />,
-			<Dummy manager={manager} hide={true} helperText="Press <b>TUT</b> when you&#39;re ready to continue, or <b>EXIT</b> to leave the tutorial." />,
-			<Step3 manager={manager} />,
-			<Dummy manager={manager} hide={true} helperText="Press <b>TUT</b> when you&#39;re ready to continue, or <b>EXIT</b> to leave the tutorial." />,
-			<Step4 manager={manager} />,
-			<Dummy manager={manager} hide={true} helperText="You are done with the tutorial. Press <b>EXIT</b> to start creating your own “Coons patch”!" />,
-		];
+	componentWillUnmount() {
+		this.highlight([]);
+	}
 
-		this.props.manager.steps = this.steps.length;
+	highlight(selectors = _.get(this.props.step, "highlight", [])) {
+		_.forEach(document.querySelectorAll("." + HIGHLIGHT), el => el.classList.remove(HIGHLIGHT));
+		selectors.forEach((selector) => {
+			_.forEach(document.querySelectorAll(selector), el => el.classList.add(HIGHLIGHT));
+		});
 	}
 
 	render() {
 
-		let containerClass = "tutorial";
-
-		const active = this.props.step >= 0 && this.props.step < this.steps.length;
-		const step = active ? this.steps[this.props.step] : null;
+		const { step } = this.props;
 
-		if (active && !step.props.hide) containerClass += " tutorial--active";
+		let containerClass = "tutorial";
+		if (step && !step.hide) containerClass += " tutorial--active";
 
 		return (
 			<div className={containerClass}>
 				<div className="tutorial__overlay">
-					{step}
+					{step && !step.hide ? (
+						<div>
+							{step.title ? <h1>{step.title}</h1> : null}
+							{(step.text || []).map((html, i) => <p key={i} dangerouslySetInnerHTML={{ __html: html }}></p>)}
+						</div>
+					) : null}
 				</div>
 			</div>
 		);
 	}
-}
\ No newline at end of file
+}
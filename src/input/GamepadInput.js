@@ -0,0 +1,100 @@
+import _ from 'lodash';
+
+// ms between turns while a stick is held, so that actions that ignore
+// the size of a turn (like ZOOM) don't happen every frame
+const TURN_INTERVAL = 50;
+
+const defaultGamepads = () => {
+	const { navigator } = window;
+	return _.isFunction(navigator.getGamepads) ? navigator.getGamepads() : [];
+};
+
+/**
+ *	Turns gamepad sticks into knob turns and buttons into presses.
+ *	`mapping` is the `gamepad` part of a validated mapping (see ./mapping.js);
+ *	`onTurn(action, delta)` and `onPress(action)` are called with action ids.
+ *
+ *	Gamepads don't send events, so they are polled every animation frame
+ *	while any are connected. Sticks turn by `scale` every TURN_INTERVAL ms
+ *	when pushed all the way; buttons press once each time they go down.
+ *
+ *	`getGamepads` can be replaced to test without a device.
+ */
+export default class GamepadInput {
+
+	constructor(mapping, { onTurn, onPress }, getGamepads = defaultGamepads) {
+
+		this.mapping = mapping;
+		this.onTurn = onTurn;
+		this.onPress = onPress;
+		this.getGamepads = getGamepads;
+
+		this.frame = null;
+
+		// pressed[pad index][button index], from the last poll
+		this.pressed = {};
+
+		// when the sticks last turned (see .poll())
+		this.lastTurn = -Infinity;
+	}
+
+	// start polling (if not already)
+	start = () => {
+
+		if (!_.isNil(this.frame)) return;
+
+		const loop = (time) => {
+			this.poll(time);
+			this.frame = window.requestAnimationFrame(loop);
+		};
+
+		loop(window.performance ? window.performance.now() : Date.now());
+	}
+
+	stop = () => {
+		window.cancelAnimationFrame(this.frame);
+		this.frame = null;
+	}
+
+	// stop once the last gamepad is gone
+	onDisconnected = () => {
+		if (this.gamepads().length === 0) this.stop();
+	}
+
+	gamepads() {
+		// the list can have empty slots
+		return _.compact(Array.from(this.getGamepads() || []));
+	}
+
+	// `time` is in ms, as given to animation frames
+	poll(time) {
+
+		const { deadzone, axes, buttons } = this.mapping;
+		const turning = time - this.lastTurn >= TURN_INTERVAL;
+
+		this.gamepads().forEach((pad) => {
+
+			_.forEach(turning ? axes : {}, ({ action, scale }, i) => {
+
+				const value = pad.axes[i];
+				if (!_.isFinite(value) || Math.abs(value) <= deadzone) return;
+
+				// from 0 at the edge of the deadzone to 1 all the way
+				const amount = Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+				this.onTurn(action, amount * scale);
+				this.lastTurn = time;
+			});
+
+			const last = this.pressed[pad.index] || {};
+			const now = {};
+
+			_.forEach(buttons, (action, i) => {
+				const button = pad.buttons[i];
+				now[i] = !_.isNil(button) && button.pressed;
+				if (now[i] && !last[i]) this.onPress(action);
+			});
+
+			this.pressed[pad.index] = now;
+		});
+	}
+}
@@ -0,0 +1,79 @@
+import GamepadInput from './GamepadInput';
+
+const mapping = {
+	deadzone: 0.2,
+	axes: { 0: { action: "CAMERA_XY", scale: 4 } },
+	buttons: { 0: "SELECT", 1: "MORPH" }
+};
+
+// a gamepad with two axes and two buttons
+const pad = (index, axes, pressed) => ({
+	index,
+	axes,
+	buttons: pressed.map(p => ({ pressed: p }))
+});
+
+const setup = () => {
+	const turns = [];
+	const presses = [];
+	const state = { pads: [] };
+	const gamepad = new GamepadInput(mapping, {
+		onTurn: (action, delta) => turns.push([action, delta]),
+		onPress: action => presses.push(action)
+	}, () => state.pads);
+	return { gamepad, state, turns, presses };
+};
+
+describe('GamepadInput', () => {
+
+	test('Ignores sticks inside the deadzone and rescales outside it', () => {
+		const { gamepad, state, turns } = setup();
+		state.pads = [pad(0, [0.1, 0], [false, false])];
+		gamepad.poll(0);
+		state.pads = [pad(0, [-0.6, 0], [false, false])];
+		gamepad.poll(100);
+		state.pads = [pad(0, [1, 0], [false, false])];
+		gamepad.poll(200);
+		expect(turns.map(([action]) => action)).toEqual(["CAMERA_XY", "CAMERA_XY"]);
+		expect(turns[0][1]).toBeCloseTo(-2);
+		expect(turns[1][1]).toBeCloseTo(4);
+	});
+
+	test('Turns at a set rate while a stick is held, not every frame', () => {
+		const { gamepad, state, turns } = setup();
+		state.pads = [pad(0, [1, 0], [false, false])];
+		[1000, 1016, 1033, 1050, 1066, 1083, 1100].forEach(now => gamepad.poll(now));
+		expect(turns.length).toBe(3);
+	});
+
+	test('Presses once each time a button goes down', () => {
+		const { gamepad, state, presses } = setup();
+		[[true, false], [true, false], [false, true], [true, true]].forEach((pressed) => {
+			state.pads = [pad(0, [0, 0], pressed)];
+			gamepad.poll(0);
+		});
+		expect(presses).toEqual(["SELECT", "MORPH", "SELECT"]);
+	});
+
+	test('Tracks each gamepad and skips empty slots', () => {
+		const { gamepad, state, presses } = setup();
+		state.pads = [pad(0, [0, 0], [true, false]), null, pad(2, [0, 0], [false, false])];
+		gamepad.poll();
+		state.pads = [pad(0, [0, 0], [true, false]), null, pad(2, [0, 0], [true, false])];
+		gamepad.poll();
+		expect(presses).toEqual(["SELECT", "SELECT"]);
+		expect(gamepad.gamepads().length).toBe(2);
+	});
+
+	test('Stops polling when the last gamepad disconnects', () => {
+		const { gamepad, state } = setup();
+		state.pads = [pad(0, [0, 0], [false, false])];
+		gamepad.start();
+		expect(gamepad.frame).not.toBe(null);
+		gamepad.onDisconnected();
+		expect(gamepad.frame).not.toBe(null);
+		state.pads = [];
+		gamepad.onDisconnected();
+		expect(gamepad.frame).toBe(null);
+	});
+});
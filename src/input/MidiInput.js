@@ -0,0 +1,109 @@
+import _ from 'lodash';
+
+// MIDI status bytes, without the channel
+const CONTROL_CHANGE = 0xB0;
+const NOTE_ON = 0x90;
+
+/**
+ *	Turns messages from Web MIDI controllers into knob turns and presses.
+ *	`mapping` is the `midi` part of a validated mapping (see ./mapping.js);
+ *	`onTurn(action, delta)` and `onPress(action)` are called with action ids.
+ *
+ *	Anything shaped like a MIDIAccess can be connected, which is how it
+ *	is tested without a device: its `inputs` (a Map) and their
+ *	`onmidimessage`, and its `onstatechange`.
+ */
+export default class MidiInput {
+
+	constructor(mapping, { onTurn, onPress }) {
+
+		this.mapping = mapping;
+		this.onTurn = onTurn;
+		this.onPress = onPress;
+
+		this.access = null;
+
+		// last value of each absolute control
+		this.values = {};
+	}
+
+	/*
+	 *	Request access from the browser and connect to it. Resolves to
+	 *	false if there is no Web MIDI or access is refused.
+	 */
+	request(navigator = window.navigator) {
+
+		if (!_.isFunction(navigator.requestMIDIAccess)) return Promise.resolve(false);
+
+		return navigator.requestMIDIAccess().then((access) => {
+			this.connect(access);
+			return true;
+		}, () => false);
+	}
+
+	// listen to every input, including those plugged in later
+	connect(access) {
+
+		this.access = access;
+
+		access.inputs.forEach(input => input.onmidimessage = this.onMessage);
+
+		access.onstatechange = ({ port }) => {
+			if (port.type === "input" && port.state === "connected") port.onmidimessage = this.onMessage;
+		};
+	}
+
+	disconnect() {
+
+		if (_.isNil(this.access)) return;
+
+		this.access.inputs.forEach((input) => {
+			if (input.onmidimessage === this.onMessage) input.onmidimessage = null;
+		});
+
+		this.access.onstatechange = null;
+		this.access = null;
+	}
+
+	onMessage = ({ data }) => {
+
+		const [status, a, b] = data;
+		const { channel } = this.mapping;
+
+		if (!_.isNil(channel) && (status & 0x0F) + 1 !== channel) return;
+
+		const type = status & 0xF0;
+
+		if (type === CONTROL_CHANGE) this.onControl(a, b);
+
+		// a note on with velocity 0 is a note off
+		if (type === NOTE_ON && b > 0) this.onNote(a);
+	}
+
+	onControl(number, value) {
+
+		const control = this.mapping.controls[number];
+		if (_.isNil(control)) return;
+
+		let delta = 0;
+
+		if (control.mode === "relative") {
+			delta = value < 64 ? value : value - 128;
+		} else if (control.mode === "offset") {
+			delta = value - 64;
+		} else {
+			// the first value only tells us where the control is
+			const last = this.values[number];
+			this.values[number] = value;
+			if (_.isUndefined(last)) return;
+			delta = value - last;
+		}
+
+		if (delta !== 0) this.onTurn(control.action, delta * control.scale);
+	}
+
+	onNote(number) {
+		const action = this.mapping.notes[number];
+		if (!_.isNil(action)) this.onPress(action);
+	}
+}
@@ -0,0 +1,90 @@
+import MidiInput from './MidiInput';
+
+const mapping = {
+	channel: null,
+	controls: {
+		1: { action: "knob", mode: "relative", scale: 2 },
+		2: { action: "ZOOM", mode: "offset", scale: 1 },
+		7: { action: "CAMERA_Z", mode: "absolute", scale: 1 }
+	},
+	notes: { 36: "SELECT" }
+};
+
+// a stand-in for MIDIAccess with a single input
+const fakeAccess = () => {
+	const input = { type: "input", state: "connected", onmidimessage: null };
+	return { input, inputs: new Map([["a", input]]), onstatechange: null };
+};
+
+const setup = (m = mapping) => {
+	const turns = [];
+	const presses = [];
+	const midi = new MidiInput(m, {
+		onTurn: (action, delta) => turns.push([action, delta]),
+		onPress: action => presses.push(action)
+	});
+	const access = fakeAccess();
+	midi.connect(access);
+	const send = (...data) => access.input.onmidimessage({ data });
+	return { midi, access, send, turns, presses };
+};
+
+describe('MidiInput', () => {
+
+	test('Turns relative and offset encoders', () => {
+		const { send, turns } = setup();
+		send(0xB0, 1, 3);
+		send(0xB0, 1, 126);
+		send(0xB0, 2, 66);
+		send(0xB0, 2, 63);
+		expect(turns).toEqual([["knob", 6], ["knob", -4], ["ZOOM", 2], ["ZOOM", -1]]);
+	});
+
+	test('Absolute controls turn by the change in value', () => {
+		const { send, turns } = setup();
+		send(0xB0, 7, 60);
+		send(0xB0, 7, 64);
+		send(0xB0, 7, 50);
+		expect(turns).toEqual([["CAMERA_Z", 4], ["CAMERA_Z", -14]]);
+	});
+
+	test('Presses on note on, not note off or unmapped notes', () => {
+		const { send, presses } = setup();
+		send(0x90, 36, 100);
+		send(0x90, 36, 0);
+		send(0x80, 36, 64);
+		send(0x90, 37, 100);
+		expect(presses).toEqual(["SELECT"]);
+	});
+
+	test('Filters by channel', () => {
+		const { send, presses } = setup(Object.assign({}, mapping, { channel: 2 }));
+		send(0x90, 36, 100);
+		send(0x91, 36, 100);
+		expect(presses).toEqual(["SELECT"]);
+	});
+
+	test('Listens to inputs connected later, until disconnected', () => {
+		const { midi, access } = setup();
+		const port = { type: "input", state: "connected", onmidimessage: null };
+		access.onstatechange({ port });
+		expect(port.onmidimessage).toBe(midi.onMessage);
+
+		midi.disconnect();
+		expect(access.input.onmidimessage).toBe(null);
+		expect(access.onstatechange).toBe(null);
+	});
+
+	test('Requests access only when there is Web MIDI', () => {
+		const midi = new MidiInput(mapping, { onTurn() {}, onPress() {} });
+		const access = fakeAccess();
+		return Promise.all([
+			midi.request({}),
+			midi.request({ requestMIDIAccess: () => Promise.reject(new Error("denied")) }),
+			midi.request({ requestMIDIAccess: () => Promise.resolve(access) })
+		]).then((results) => {
+			expect(results).toEqual([false, false, true]);
+			expect(access.input.onmidimessage).toBe(midi.onMessage);
+		});
+	});
+});
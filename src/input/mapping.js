@@ -0,0 +1,124 @@
+import _ from 'lodash';
+
+/*
+ *	Mappings from MIDI controllers and gamepads to actions (see
+ *	src/input/mappings.json). Actions are the ids used in keymap.json,
+ *	or "knob" for whichever action the knob is currently set to.
+ *
+ *	{
+ *		"midi": {
+ *			"channel": null,          // 1 - 16, or null for any
+ *			"controls": {             // control change number -> turn
+ *				"1": { "action": "knob", "mode": "relative", "scale": 4 }
+ *			},
+ *			"notes": { "36": "SELECT" } // note number -> press
+ *		},
+ *		"gamepad": {
+ *			"deadzone": 0.15,
+ *			"axes": { "0": { "action": "CAMERA_XY", "scale": 6 } },
+ *			"buttons": { "0": "SELECT" }
+ *		}
+ *	}
+ *
+ *	MIDI control modes, for the value v (0 - 127) sent by the control:
+ *	- relative: an encoder sending 1, 2, ... one way and 127, 126, ... the other
+ *	- offset: an encoder sending 65, 66, ... one way and 63, 62, ... the other
+ *	- absolute: a knob or fader sending its position
+ */
+
+// turns the knob by however it is currently set
+const KNOB = "knob";
+
+const MIDI_MODES = ["relative", "offset", "absolute"];
+
+const DEFAULT_DEADZONE = 0.15;
+
+/*
+ *	Check a mapping against the action ids (`actions`) and those that can be
+ *	turned (`knobActions`). Returns `{ midi, gamepad, errors }` with only the
+ *	valid parts of the mapping, and a message for each one that was rejected.
+ */
+const validateMapping = (mapping, actions, knobActions) => {
+
+	const errors = [];
+
+	// a turn: { action, scale, mode }
+	const turn = (target, where, modes) => {
+
+		const action = _.get(target, "action");
+
+		if (action !== KNOB && knobActions.indexOf(action) === -1) {
+			errors.push(actions.indexOf(action) === -1 ?
+				`Unknown action "${action}" for ${where}.` :
+				`${action} can't be turned, so it can't be used for ${where}.`);
+			return null;
+		}
+
+		const scale = _.get(target, "scale", 1);
+
+		if (!_.isFinite(scale)) {
+			errors.push(`The scale for ${where} must be a number.`);
+			return null;
+		}
+
+		if (_.isUndefined(modes)) return { action, scale };
+
+		const mode = _.get(target, "mode", modes[0]);
+
+		if (modes.indexOf(mode) === -1) {
+			errors.push(`Unknown mode "${mode}" for ${where} (expected ${modes.join(", ")}).`);
+			return null;
+		}
+
+		return { action, scale, mode };
+	};
+
+	// a press: an action id
+	const press = (action, where) => {
+		if (actions.indexOf(action) > -1) return action;
+		errors.push(`Unknown action "${action}" for ${where}.`);
+		return null;
+	};
+
+	// apply `check` to each entry, keeping the valid ones
+	const each = (entries, check, where) => {
+		const valid = _.mapValues(entries || {}, (target, n) => check(target, `${where} ${n}`));
+		return _.omitBy(valid, _.isNil);
+	};
+
+	const midi = _.get(mapping, "midi", {});
+	const gamepad = _.get(mapping, "gamepad", {});
+
+	let channel = _.get(midi, "channel", null);
+
+	if (!_.isNil(channel) && !(Number.isInteger(channel) && channel >= 1 && channel <= 16)) {
+		errors.push(`The MIDI channel must be from 1 to 16 (or null for any), not ${channel}.`);
+		channel = null;
+	}
+
+	let deadzone = _.get(gamepad, "deadzone", DEFAULT_DEADZONE);
+
+	if (!_.isFinite(deadzone) || deadzone < 0 || deadzone >= 1) {
+		errors.push(`The gamepad deadzone must be at least 0 and less than 1, not ${deadzone}.`);
+		deadzone = DEFAULT_DEADZONE;
+	}
+
+	return {
+		midi: {
+			channel,
+			controls: each(midi.controls, (target, where) => turn(target, where, MIDI_MODES), "MIDI control"),
+			notes: each(midi.notes, press, "MIDI note")
+		},
+		gamepad: {
+			deadzone,
+			axes: each(gamepad.axes, (target, where) => turn(target, where), "gamepad axis"),
+			buttons: each(gamepad.buttons, press, "gamepad button")
+		},
+		errors
+	};
+};
+
+export {
+	KNOB,
+	validateMapping
+};
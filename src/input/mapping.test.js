@@ -0,0 +1,39 @@
+import { validateMapping } from './mapping';
+import mappings from './mappings.json';
+
+const actions = ["SELECT", "MORPH", "CAMERA_XY", "CAMERA_Z", "ZOOM", "MOVE_X", "MOVE_Y", "MOVE_Z", "RESTORE", "DISPLAY", "UNDO", "REDO"];
+const knobActions = ["CAMERA_XY", "CAMERA_Z", "ZOOM", "MOVE_X", "MOVE_Y", "MOVE_Z"];
+
+describe('Input mappings', () => {
+
+	test('The default mappings are valid', () => {
+		const { midi, gamepad, errors } = validateMapping(mappings, actions, knobActions);
+		expect(errors).toEqual([]);
+		expect(midi.controls[1]).toEqual({ action: "knob", mode: "relative", scale: 4 });
+		expect(gamepad.buttons[0]).toBe("SELECT");
+	});
+
+	test('Rejects unknown actions, presses used as turns and bad settings', () => {
+		const { midi, gamepad, errors } = validateMapping({
+			midi: {
+				channel: 17,
+				controls: {
+					1: { action: "SELECT" },
+					2: { action: "ZOOM", mode: "sideways" },
+					3: { action: "ZOOM" }
+				},
+				notes: { 36: "NOPE", 37: "UNDO" }
+			},
+			gamepad: { deadzone: 1, axes: { 0: { action: "ZOOM", scale: "big" } } }
+		}, actions, knobActions);
+
+		expect(midi.channel).toBe(null);
+		expect(midi.controls).toEqual({ 3: { action: "ZOOM", mode: "relative", scale: 1 } });
+		expect(midi.notes).toEqual({ 37: "UNDO" });
+		expect(gamepad.deadzone).toBe(0.15);
+		expect(gamepad.axes).toEqual({});
+		expect(errors.length).toBe(6);
+		expect(errors).toContain('Unknown action "NOPE" for MIDI note 36.');
+		expect(errors).toContain("SELECT can't be turned, so it can't be used for MIDI control 1.");
+	});
+});
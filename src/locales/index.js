@@ -0,0 +1,9 @@
+import en from './en.json';
+import es from './es.json';
+import ar from './ar.json';
+
+/*
+ *	The locale bundles, by language code, in the order the
+ *	LANGUAGE action goes through them (see utils/locale.js).
+ */
+export default { en, es, ar };
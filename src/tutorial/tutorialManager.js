@@ -1,5 +0,0 @@
-const tutorialManager = {
-	steps: -1 // this value gets reassigned in Tutorial.js so that CanvasView can reference it
-};
-
-export default tutorialManager;
\ No newline at end of file
@@ -0,0 +1,134 @@
+import _ from 'lodash';
+
+import easing from './easing';
+
+/*
+ *	Animations timed by the clock rather than counted in frames, so that
+ *	they take as long on any display. animate() starts one and returns
+ *	its handle, which more steps can be chained onto with .then(), and
+ *	which .cancel() stops, along with everything chained after it.
+ *
+ *	A step is either a tween, { duration, easing, update }, calling
+ *	update(value, t) each frame with `t` the time through it (0 to 1)
+ *	and `value` that eased (see easing.js), or a function. A function
+ *	step is called when the steps before it finish, and if it returns
+ *	a tween, that is run next.
+ */
+
+// the browser's clock and frames (tests give their own)
+const browserClock = {
+	now: () => (window.performance ? window.performance.now() : Date.now()),
+	request: cb => window.requestAnimationFrame(cb),
+	cancel: id => window.cancelAnimationFrame(id)
+};
+
+const checkTween = ({ duration, update }) => {
+	if (!_.isFinite(duration) || duration < 0) {
+		throw new Error(`The duration must be a number of ms, at least 0 (got ${duration}).`);
+	}
+	if (!_.isNil(update) && !_.isFunction(update)) throw new Error("update must be a function.");
+};
+
+class Animation {
+
+	constructor(clock = browserClock) {
+		this.clock = clock;
+		this.queue = [];
+		this.frame = null;
+		this.state = "finished";
+	}
+
+	get running() { return this.state === "running"; }
+
+	get finished() { return this.state === "finished"; }
+
+	get cancelled() { return this.state === "cancelled"; }
+
+	/*
+	 *	Add a step, to run once those before it finish (right away
+	 *	if they already have). Does nothing once cancelled.
+	 */
+	then(step) {
+
+		if (this.cancelled) return this;
+
+		if (!_.isFunction(step)) {
+			checkTween(step);
+			easing.get(step.easing);
+		}
+
+		this.queue.push(step);
+
+		if (this.finished) {
+			this.state = "running";
+			this.next();
+		}
+
+		return this;
+	}
+
+	// stop, without finishing the current step or running the rest
+	cancel() {
+		if (!this.running) return;
+		this.state = "cancelled";
+		this.queue = [];
+		if (!_.isNil(this.frame)) this.clock.cancel(this.frame);
+		this.frame = null;
+	}
+
+	next() {
+
+		while (this.running && this.queue.length > 0) {
+
+			const step = this.queue.shift();
+			const tween = _.isFunction(step) ? step() : step;
+
+			if (_.isPlainObject(tween) && this.running) {
+				checkTween(tween);
+				this.tween(tween);
+				return;
+			}
+		}
+
+		if (this.running) this.state = "finished";
+	}
+
+	tween({ duration, easing: curve, update = _.noop }) {
+
+		const ease = easing.get(curve);
+
+		if (duration === 0) {
+			update(1, 1);
+			this.next();
+			return;
+		}
+
+		const start = this.clock.now();
+
+		const frame = () => {
+
+			this.frame = null;
+
+			const t = Math.min((this.clock.now() - start) / duration, 1);
+			update(t < 1 ? ease(t) : 1, t);
+
+			// update may have cancelled
+			if (!this.running) return;
+
+			if (t < 1) this.frame = this.clock.request(frame);
+			else this.next();
+		};
+
+		this.frame = this.clock.request(frame);
+	}
+}
+
+/*
+ *	Start an animation with this step (see above), returning its handle.
+ */
+const animate = (step, clock) => new Animation(clock).then(step);
+
+export {
+	Animation,
+	animate
+};
@@ -0,0 +1,119 @@
+import { Animation, animate } from './animation';
+
+// a clock that only moves, and only runs frames, when ticked
+const fakeClock = () => {
+
+	let time = 0;
+	let id = 0;
+	const frames = new Map();
+
+	return {
+		now: () => time,
+		request: (cb) => {
+			frames.set(++id, cb);
+			return id;
+		},
+		cancel: id => frames.delete(id),
+		pending: () => frames.size,
+		tick: (ms) => {
+			time += ms;
+			const due = Array.from(frames.values());
+			frames.clear();
+			due.forEach(cb => cb());
+		}
+	};
+};
+
+describe('animate', () => {
+
+	it('moves by elapsed time, not by frames', () => {
+		const clock = fakeClock();
+		const values = [];
+		const a = animate({ duration: 1000, easing: "linear", update: v => values.push(v) }, clock);
+
+		expect(a.running).toBe(true);
+		clock.tick(100);
+		clock.tick(400);
+		expect(values).toEqual([0.1, 0.5]);
+
+		// a slow frame jumps ahead, and the end is exact
+		clock.tick(700);
+		expect(values).toEqual([0.1, 0.5, 1]);
+		expect(a.finished).toBe(true);
+		expect(clock.pending()).toBe(0);
+	});
+
+	it('eases the value, but not the time', () => {
+		const clock = fakeClock();
+		const calls = [];
+		animate({ duration: 100, easing: "quad", update: (v, t) => calls.push([v, t]) }, clock);
+		clock.tick(25);
+		expect(calls).toEqual([[0.125, 0.25]]);
+	});
+
+	it('runs chained steps in order', () => {
+		const clock = fakeClock();
+		const log = [];
+
+		const a = animate({ duration: 100, update: v => log.push(["a", v]) }, clock)
+			.then(() => log.push("between"))
+			.then(() => ({ duration: 50, easing: "linear", update: v => log.push(["b", v]) }));
+
+		clock.tick(100);
+		expect(log).toEqual([["a", 1], "between"]);
+		expect(a.running).toBe(true);
+
+		clock.tick(25);
+		clock.tick(25);
+		expect(log).toEqual([["a", 1], "between", ["b", 0.5], ["b", 1]]);
+		expect(a.finished).toBe(true);
+
+		// chaining onto a finished animation starts it again
+		a.then(() => log.push("again"));
+		expect(log[log.length - 1]).toBe("again");
+	});
+
+	it('cancels the current step and everything after it', () => {
+		const clock = fakeClock();
+		const done = jest.fn();
+		const update = jest.fn();
+
+		const a = animate({ duration: 100, update }, clock).then(done);
+		clock.tick(50);
+		a.cancel();
+		clock.tick(100);
+
+		expect(update).toHaveBeenCalledTimes(1);
+		expect(done).not.toHaveBeenCalled();
+		expect(a.cancelled).toBe(true);
+		expect(clock.pending()).toBe(0);
+
+		a.then(done);
+		expect(done).not.toHaveBeenCalled();
+	});
+
+	it('can be cancelled from its own update', () => {
+		const clock = fakeClock();
+		const a = new Animation(clock);
+		a.then({ duration: 100, update: () => a.cancel() });
+		clock.tick(10);
+		expect(a.cancelled).toBe(true);
+		expect(clock.pending()).toBe(0);
+	});
+
+	it('finishes at once with no duration', () => {
+		const update = jest.fn();
+		const done = jest.fn();
+		animate({ duration: 0, update }, fakeClock()).then(done);
+		expect(update).toHaveBeenCalledWith(1, 1);
+		expect(done).toHaveBeenCalled();
+	});
+
+	it('rejects invalid steps', () => {
+		const clock = fakeClock();
+		expect(() => animate({ duration: -1 }, clock)).toThrow(/duration/);
+		expect(() => animate({ duration: "slow" }, clock)).toThrow(/duration/);
+		expect(() => animate({ duration: 10, easing: "bouncy" }, clock)).toThrow(/Unknown easing "bouncy"/);
+		expect(() => animate({ duration: 10, update: 5 }, clock)).toThrow(/update/);
+	});
+});
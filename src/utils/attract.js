@@ -0,0 +1,191 @@
+import _ from 'lodash';
+
+/*
+ *	Attract mode: what the installation does by itself once it has been
+ *	left idle, to draw in the next visitor. It is set up in src/attract.json:
+ *
+ *	{
+ *		"idleAfter": 25000,    ms without any input before it starts
+ *		"sequences": [{ "id": "tour", "steps": [...] }, ...]
+ *	}
+ *
+ *	The sequences are played one after another, round and round, each
+ *	step once the one before it is done. A step is one of
+ *
+ *	- { "morph": { "duration", "spin" } }: morph close to the original
+ *	  surface, turning the camera `spin` degrees meanwhile (for as long
+ *	  as CanvasView.animations.idle says, without a duration)
+ *	- { "view": id }: turn the camera to a standard view (e.g. "VIEW_TOP")
+ *	- { "orbit": { "duration", "degrees" } }: turn the camera around
+ *	- { "wait": ms }: leave things as they are for a while
+ *	- { "message": key, "duration": ms }: show a message from the locale
+ *	  bundles (see utils/locale.js), with the keys for each action
+ *	  filled in as {ACTION_ID}, e.g. "Press {TUTORIAL} for the tutorial"
+ *
+ *	with durations in ms. A sequence with a step it can't play is left
+ *	out, and the others still play.
+ */
+
+const STEPS = ["morph", "view", "orbit", "wait", "message"];
+
+const DEFAULT_IDLE_AFTER = 25 * 1000; // 25 seconds
+
+// how long a message stays up, unless its step says
+const DEFAULT_MESSAGE_DURATION = 5000;
+
+const isDuration = ms => _.isFinite(ms) && ms > 0;
+
+const checkStep = (step, { views, messages }) => {
+
+	const kinds = _.keys(step).filter(key => STEPS.indexOf(key) > -1);
+
+	if (!_.isPlainObject(step) || kinds.length !== 1) {
+		return `must be one of ${STEPS.map(s => `{ "${s}": ... }`).join(", ")}`;
+	}
+
+	const { morph, view, orbit, wait, message, duration } = step;
+
+	if ("morph" in step && !(_.isPlainObject(morph) && (_.isNil(morph.duration) || isDuration(morph.duration)) && (_.isNil(morph.spin) || _.isFinite(morph.spin)))) {
+		return "must morph for a duration greater than 0, spinning a number of degrees";
+	}
+	if ("view" in step && views.indexOf(view) === -1) return `has unknown view "${view}"`;
+	if ("orbit" in step && !(_.isPlainObject(orbit) && isDuration(orbit.duration) && _.isFinite(orbit.degrees) && orbit.degrees !== 0)) {
+		return "must orbit for a duration greater than 0, a number of degrees other than 0";
+	}
+	if ("wait" in step && !isDuration(wait)) return "must wait a duration greater than 0";
+	if ("message" in step) {
+		if (messages.indexOf(message) === -1) return `has unknown message "${message}"`;
+		if (!_.isNil(duration) && !isDuration(duration)) return "must show its message for a duration greater than 0";
+	}
+
+	return null;
+};
+
+/*
+ *	Read the attract mode's setup (already parsed), with `views` the ids
+ *	of the standard views and `messages` the keys of the known messages.
+ *	Returns `{ idleAfter, sequences, errors }`, with only the valid
+ *	sequences, and each message step given its duration.
+ */
+const loadAttract = (config, { views, messages }) => {
+
+	const errors = [];
+
+	if (!_.isPlainObject(config)) {
+		return { idleAfter: DEFAULT_IDLE_AFTER, sequences: [], errors: ["The attract mode has no setup."] };
+	}
+
+	let idleAfter = DEFAULT_IDLE_AFTER;
+	if (!_.isNil(config.idleAfter)) {
+		if (isDuration(config.idleAfter)) idleAfter = config.idleAfter;
+		else errors.push(`The attract mode must start after a number of ms greater than 0 (not ${config.idleAfter}).`);
+	}
+
+	if (!_.isArray(config.sequences)) {
+		errors.push("The attract mode has no sequences.");
+		return { idleAfter, sequences: [], errors };
+	}
+
+	const ids = [];
+
+	const sequences = config.sequences.filter((sequence, i) => {
+
+		const name = _.isPlainObject(sequence) && _.isString(sequence.id) ? `"${sequence.id}"` : `${i + 1}`;
+		const error = (message) => {
+			errors.push(`Attract sequence ${name} ${message}.`);
+			return false;
+		};
+
+		if (!_.isPlainObject(sequence) || !_.isString(sequence.id)) return error("must be an object with an id");
+		if (ids.indexOf(sequence.id) > -1) return error("comes twice");
+		ids.push(sequence.id);
+
+		if (!_.isArray(sequence.steps) || sequence.steps.length === 0) return error("has no steps");
+
+		for (let j = 0; j < sequence.steps.length; j++) {
+			const problem = checkStep(sequence.steps[j], { views, messages });
+			if (problem) return error(`step ${j + 1} ${problem}`);
+		}
+
+		return true;
+
+	}).map(sequence => Object.assign({}, sequence, {
+		steps: sequence.steps.map(step => ("message" in step ? _.defaults({}, step, { duration: DEFAULT_MESSAGE_DURATION }) : step))
+	}));
+
+	return { idleAfter, sequences, errors };
+};
+
+/*
+ *	Plays the sequences, step by step, while it is running. It is given
+ *	`perform(step, done)` to do each step: that starts the step, calls
+ *	done() when it is over, and may return a function that stops it
+ *	part way. .stop() does that at once, and ignores done() from then
+ *	on; started again, it goes on with the next sequence.
+ */
+class AttractMode {
+
+	constructor(sequences, perform) {
+		this.sequences = sequences;
+		this.perform = perform;
+		this.running = false;
+		this.sequence = 0; // index of the sequence playing, or to play next
+		this.step = 0; // index of the next step in it
+		this.stopStep = null;
+		this.run = 0; // counts stops, so that a stopped step's done() is ignored
+	}
+
+	start() {
+		if (this.running || this.sequences.length === 0) return;
+		this.running = true;
+		this.step = 0;
+		this.next();
+	}
+
+	stop() {
+
+		if (!this.running) return;
+
+		const stopStep = this.stopStep;
+
+		this.running = false;
+		this.stopStep = null;
+		this.run++;
+		this.sequence = (this.sequence + 1) % this.sequences.length;
+
+		if (stopStep) stopStep();
+	}
+
+	next() {
+
+		if (!this.running) return;
+
+		if (this.step >= this.sequences[this.sequence].steps.length) {
+			this.sequence = (this.sequence + 1) % this.sequences.length;
+			this.step = 0;
+		}
+
+		const step = this.sequences[this.sequence].steps[this.step++];
+		const run = this.run;
+		let over = false;
+
+		const done = () => {
+			if (over || run !== this.run) return;
+			over = true;
+			this.stopStep = null;
+			this.next();
+		};
+
+		const stopStep = this.perform(step, done);
+
+		// unless it was over at once
+		if (!over && run === this.run) this.stopStep = _.isFunction(stopStep) ? stopStep : null;
+	}
+}
+
+export {
+	STEPS,
+	DEFAULT_IDLE_AFTER,
+	loadAttract,
+	AttractMode
+};
@@ -0,0 +1,148 @@
+import { DEFAULT_IDLE_AFTER, loadAttract, AttractMode } from './attract';
+import attractFile from '../attract.json';
+import bundles from '../locales';
+
+const known = {
+  views: ["VIEW_TOP", "VIEW_FRONT", "VIEW_SIDE", "VIEW_ISO"],
+  messages: Object.keys(bundles.en.messages)
+};
+
+describe('Attract mode setup', () => {
+
+  it('plays every sequence in src/attract.json', () => {
+    const { idleAfter, sequences, errors } = loadAttract(attractFile, known);
+    expect(errors).toEqual([]);
+    expect(idleAfter).toBe(attractFile.idleAfter);
+    expect(sequences.length).toBe(attractFile.sequences.length);
+  });
+
+  it('falls back to the default idle time', () => {
+    const { idleAfter, errors } = loadAttract({ idleAfter: -5, sequences: [] }, known);
+    expect(idleAfter).toBe(DEFAULT_IDLE_AFTER);
+    expect(errors).toEqual(['The attract mode must start after a number of ms greater than 0 (not -5).']);
+
+    expect(loadAttract(null, known)).toEqual({ idleAfter: DEFAULT_IDLE_AFTER, sequences: [], errors: ["The attract mode has no setup."] });
+    expect(loadAttract({ idleAfter: 100 }, known)).toEqual({ idleAfter: 100, sequences: [], errors: ["The attract mode has no sequences."] });
+  });
+
+  it('names sequences by id, or by number without one', () => {
+    const { sequences, errors } = loadAttract({
+      sequences: [
+        { id: "a", steps: [{ wait: 100 }] },
+        { id: "a", steps: [{ wait: 200 }] },
+        { id: "b", steps: [] },
+        { steps: [{ wait: 100 }] }
+      ]
+    }, known);
+
+    expect(sequences.map(sequence => sequence.steps[0].wait)).toEqual([100]);
+    expect(errors).toEqual([
+      'Attract sequence "a" comes twice.',
+      'Attract sequence "b" has no steps.',
+      'Attract sequence 4 must be an object with an id.'
+    ]);
+  });
+
+  it('takes one kind of step at a time, with views and messages it knows', () => {
+    const { sequences, errors } = loadAttract({
+      sequences: [
+        { id: "c", steps: [{ view: "VIEW_UNDER" }] },
+        { id: "d", steps: [{ wait: 100 }, { orbit: { duration: 1000, degrees: 0 } }] },
+        { id: "e", steps: [{ wait: 100, view: "VIEW_TOP" }] },
+        { id: "f", steps: [{ message: "hello" }] },
+        { id: "g", steps: [{ morph: { spin: "45" } }] },
+        { id: "h", steps: [{ morph: {} }, { view: "VIEW_TOP" }, { orbit: { duration: 1000, degrees: -90 } }] }
+      ]
+    }, known);
+
+    expect(sequences.map(sequence => sequence.id)).toEqual(["h"]);
+    expect(errors).toEqual([
+      'Attract sequence "c" step 1 has unknown view "VIEW_UNDER".',
+      'Attract sequence "d" step 2 must orbit for a duration greater than 0, a number of degrees other than 0.',
+      'Attract sequence "e" step 1 must be one of { "morph": ... }, { "view": ... }, { "orbit": ... }, { "wait": ... }, { "message": ... }.',
+      'Attract sequence "f" step 1 has unknown message "hello".',
+      'Attract sequence "g" step 1 must morph for a duration greater than 0, spinning a number of degrees.'
+    ]);
+  });
+
+  it('shows messages for a while, unless a step says how long', () => {
+    const { sequences, errors } = loadAttract({
+      sequences: [
+        { id: "a", steps: [{ message: "attractTry" }, { message: "attractTry", duration: 2000 }, { wait: 100 }] },
+        { id: "b", steps: [{ message: "attractTry", duration: 0 }] }
+      ]
+    }, known);
+
+    expect(sequences[0].steps).toEqual([
+      { message: "attractTry", duration: 5000 },
+      { message: "attractTry", duration: 2000 },
+      { wait: 100 }
+    ]);
+    expect(errors).toEqual(['Attract sequence "b" step 1 must show its message for a duration greater than 0.']);
+  });
+});
+
+describe('Attract mode', () => {
+
+  // steps that finish when told to, noting what happened
+  const player = (sequences) => {
+    const log = [];
+    const pending = [];
+    const attract = new AttractMode(sequences, (step, done) => {
+      log.push(step.wait);
+      pending.push(done);
+      return () => log.push(`stopped ${step.wait}`);
+    });
+    const finish = () => pending.shift()();
+    return { attract, log, pending, finish };
+  };
+
+  const sequences = [
+    { id: "a", steps: [{ wait: 1 }, { wait: 2 }] },
+    { id: "b", steps: [{ wait: 3 }] },
+    { id: "c", steps: [{ wait: 4 }] }
+  ];
+
+  it('plays each step once the one before it is done, round and round', () => {
+    const { attract, log, finish } = player(sequences);
+    attract.start();
+    attract.start();
+    for (let i = 0; i < 4; i++) finish();
+    expect(log).toEqual([1, 2, 3, 4, 1]);
+  });
+
+  it('stops the step part way, and goes on with the next sequence', () => {
+    const { attract, log, pending, finish } = player(sequences);
+    attract.start();
+    const late = pending.shift();
+    attract.stop();
+    attract.stop();
+    expect(attract.running).toBe(false);
+
+    // a stopped step that finishes anyway changes nothing
+    late();
+    expect(log).toEqual([1, "stopped 1"]);
+
+    attract.start();
+    finish();
+    expect(log).toEqual([1, "stopped 1", 3, 4]);
+  });
+
+  it('copes with steps that are over at once', () => {
+    const log = [];
+    const attract = new AttractMode(sequences, (step, done) => {
+      log.push(step.wait);
+      if (step.wait < 3) done();
+    });
+    attract.start();
+    expect(log).toEqual([1, 2, 3]);
+    attract.stop();
+    expect(attract.stopStep).toBeNull();
+  });
+
+  it('does nothing without sequences', () => {
+    const attract = new AttractMode([], () => { throw new Error("no steps to perform"); });
+    attract.start();
+    expect(attract.running).toBe(false);
+  });
+});
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/*
+ *	Helpers for Bezier curves of any degree, given as an array of
+ *	control points (THREE.Vector3). None of these modify their input.
+ */
+
+// coordinates worked on by evaluate() and derivative(), reused (and grown as needed)
+let work = new Float64Array(3 * 8);
+
+const load = (points) => {
+	const count = points.length;
+	if (3 * count > work.length) work = new Float64Array(3 * count);
+	for (let i = 0; i < count; i++) {
+		work[3 * i] = points[i].x;
+		work[3 * i + 1] = points[i].y;
+		work[3 * i + 2] = points[i].z;
+	}
+};
+
+// de Casteljau's algorithm on the first `count` points in `work`
+const casteljau = (count, t, target) => {
+	for (let n = count - 1; n > 0; n--) {
+		for (let k = 0; k < 3 * n; k++) {
+			work[k] += (work[k + 3] - work[k]) * t;
+		}
+	}
+	return target.set(work[0], work[1], work[2]);
+};
+
+/*
+ *	Point on the curve at parameter t (0 <= t <= 1), by de Casteljau's
+ *	algorithm, set on `target` if given (and otherwise a new vector).
+ *	Allocates nothing else, since it is called for every vertex drawn.
+ */
+const evaluate = (points, t, target = new THREE.Vector3()) => {
+	if (points.length === 0) return target.set(0, 0, 0);
+	load(points);
+	return casteljau(points.length, t, target);
+};
+
+/*
+ *	Control points of the derivative curve (one degree lower).
+ */
+const hodograph = (points) => {
+	const n = points.length - 1;
+	return points.slice(1).map((pt, i) => pt.clone().sub(points[i]).multiplyScalar(n));
+};
+
+/*
+ *	The `order`-th derivative of the curve with respect to t, set on
+ *	`target` if given. Derivatives of a higher order than the degree
+ *	are zero. Like evaluate(), it allocates nothing else: the control
+ *	points of the hodographs are worked out in place.
+ */
+const derivative = (points, t, order = 1, target = new THREE.Vector3()) => {
+
+	let count = points.length;
+
+	if (order >= count) return target.set(0, 0, 0);
+
+	load(points);
+
+	for (let i = 0; i < order; i++) {
+		const degree = count - 1;
+		for (let k = 0; k < 3 * degree; k++) work[k] = degree * (work[k + 3] - work[k]);
+		count--;
+	}
+
+	return casteljau(count, t, target);
+};
+
+/*
+ *	Control points of the same curve one degree higher.
+ */
+const elevate = (points) => {
+	const n = points.length;
+	return points.concat([points[n - 1]]).map((pt, i) => {
+		if (i === 0) return pt.clone();
+		return points[i - 1].clone().multiplyScalar(i / n).add(pt.clone().multiplyScalar(1 - i / n));
+	});
+};
+
+/*
+ *	Control points of the curve of degree n through the n + 1 `values`
+ *	at t = 0, 1/n, ..., 1: exactly the curve, if it is of degree n or
+ *	lower. Solves for them by Gaussian elimination, which is plenty
+ *	for the low degrees of boundary curves.
+ */
+const interpolate = (values) => {
+
+	const n = values.length - 1;
+
+	if (n < 1) return values.map(pt => pt.clone());
+
+	// Bernstein polynomials at each t, with the values alongside
+	const rows = values.map((pt, j) => {
+		const t = j / n;
+		let binomial = 1;
+		const row = [];
+		for (let i = 0; i <= n; i++) {
+			row.push(binomial * Math.pow(t, i) * Math.pow(1 - t, n - i));
+			binomial = binomial * (n - i) / (i + 1);
+		}
+		return { row, pt: pt.clone() };
+	});
+
+	for (let i = 0; i <= n; i++) {
+
+		// the row with the largest coefficient, for stability
+		let pivot = i;
+		for (let j = i + 1; j <= n; j++) {
+			if (Math.abs(rows[j].row[i]) > Math.abs(rows[pivot].row[i])) pivot = j;
+		}
+		[rows[i], rows[pivot]] = [rows[pivot], rows[i]];
+
+		const { row, pt } = rows[i];
+
+		for (let j = 0; j <= n; j++) {
+			if (j === i) continue;
+			const factor = rows[j].row[i] / row[i];
+			if (factor === 0) continue;
+			for (let k = i; k <= n; k++) rows[j].row[k] -= factor * row[k];
+			rows[j].pt.sub(pt.clone().multiplyScalar(factor));
+		}
+	}
+
+	return rows.map(({ row, pt }, i) => pt.divideScalar(row[i]));
+};
+
+export {
+	evaluate,
+	hodograph,
+	derivative,
+	elevate,
+	interpolate
+};
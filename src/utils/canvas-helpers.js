@@ -1,21 +1,20 @@
 import * as THREE from 'three';
 
-const axisGeoX = new THREE.Geometry();
-const axisGeoY = new THREE.Geometry();
-const axisGeoZ = new THREE.Geometry();
+import { lineGeometryFrom } from './line-geometry';
 
-axisGeoX.vertices.push(
+// dashed, so with line distances
+const axisGeoX = lineGeometryFrom([
 	new THREE.Vector3(-10000, 0, 0),
 	new THREE.Vector3( 10000, 0, 0)
-);
-axisGeoY.vertices.push(
+], true);
+const axisGeoY = lineGeometryFrom([
 	new THREE.Vector3(0, -10000, 0),
 	new THREE.Vector3(0,  10000, 0)
-);
-axisGeoZ.vertices.push(
+], true);
+const axisGeoZ = lineGeometryFrom([
 	new THREE.Vector3(0, 0, -10000),
 	new THREE.Vector3(0, 0,  10000)
-);
+], true);
 
 const axisMaterial = new THREE.LineDashedMaterial({
 	color: 0xffffff,
@@ -30,10 +29,6 @@ const axisX = new THREE.Line(axisGeoX, axisMaterial);
 const axisY = new THREE.Line(axisGeoY, axisMaterial);
 const axisZ = new THREE.Line(axisGeoZ, axisMaterial);
 
-axisX.computeLineDistances();
-axisY.computeLineDistances();
-axisZ.computeLineDistances();
-
 export {
 	axisX,
 	axisY,
@@ -0,0 +1,20 @@
+import _ from 'lodash';
+import * as THREE from 'three';
+
+const negative = new THREE.Color(0x2166ac);
+const neutral = new THREE.Color(0xf2f2f2);
+const positive = new THREE.Color(0xb2182b);
+
+/*
+ *	Diverging blue - white - red colormap for t between -1 and 1
+ *	(values outside are clamped). Writes into and returns `target`.
+ */
+const diverging = (t, target = new THREE.Color()) => {
+	t = _.clamp(t, -1, 1);
+	target.copy(neutral);
+	return t < 0 ? target.lerp(negative, -t) : target.lerp(positive, t);
+};
+
+export {
+	diverging
+};
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+
+import { derivative } from './bezier';
+
+/*
+ *	Coons patch formulas. `curves` is an object `{ u0, u1, v0, v1 }` of
+ *	boundary control point arrays: u0 and u1 run along u at v = 0 and v = 1,
+ *	v0 and v1 run along v at u = 0 and u = 1. Corners are read from u0 and u1.
+ *
+ *	Each function returns the partial derivative d^(a + b) S / du^a dv^b
+ *	at (u, v) -- a = b = 0 for the point itself -- set on `target` if
+ *	given (and otherwise a new vector). Patches are evaluated for every
+ *	vertex drawn, so bilinear() and hermite() allocate no other vectors.
+ */
+
+const zero = new THREE.Vector3();
+
+// worked on by the functions below, each used up before the next sets it
+const scratch = new THREE.Vector3();
+const cross = new THREE.Vector3();
+
+/*
+ *	Linear blending functions (or their k-th derivatives) at t
+ */
+const linearBasis = (t, k = 0) => {
+	if (k === 0) return [1 - t, t];
+	if (k === 1) return [-1, 1];
+	return [0, 0];
+};
+
+/*
+ *	Cubic Hermite blending functions (or their k-th derivatives) at t,
+ *	weighting the value at 0, value at 1, derivative at 0, derivative at 1.
+ */
+const hermiteBasis = (t, k = 0) => {
+	const t2 = t * t;
+	const t3 = t2 * t;
+	if (k === 0) return [2 * t3 - 3 * t2 + 1, -2 * t3 + 3 * t2, t3 - 2 * t2 + t, t3 - t2];
+	if (k === 1) return [6 * t2 - 6 * t, -6 * t2 + 6 * t, 3 * t2 - 4 * t + 1, 3 * t2 - 2 * t];
+	if (k === 2) return [12 * t - 6, -12 * t + 6, 6 * t - 4, 6 * t - 2];
+	if (k === 3) return [12, -12, 6, 6];
+	return [0, 0, 0, 0];
+};
+
+/*
+ *	The bilinearly blended Coons patch: ruled surfaces between opposite
+ *	boundaries, minus the bilinear surface through the corners.
+ */
+const bilinear = (curves, u, v, a = 0, b = 0, target = new THREE.Vector3()) => {
+
+	const { u0, u1, v0, v1 } = curves;
+
+	const lu = linearBasis(u, a);
+	const lv = linearBasis(v, b);
+
+	// P[i][j] is the corner at u = i, v = j
+	const P = [
+		[u0[0], u1[0]],
+		[u0[u0.length - 1], u1[u1.length - 1]]
+	];
+
+	const S = derivative(u0, u, a, target).multiplyScalar(lv[0])
+		.addScaledVector(derivative(u1, u, a, scratch), lv[1])
+		.addScaledVector(derivative(v0, v, b, scratch), lu[0])
+		.addScaledVector(derivative(v1, v, b, scratch), lu[1]);
+
+	for (let i = 0; i < 2; i++) {
+		for (let j = 0; j < 2; j++) {
+			S.addScaledVector(P[i][j], -lu[i] * lv[j]);
+		}
+	}
+
+	return S;
+};
+
+/*
+ *	`tangents` holds, for each boundary, the inner control vectors of
+ *	a Bezier [0, t0, t1, ..., 0] that is added to the bilinear patch's
+ *	own cross-boundary derivative along that boundary -- a cubic, with
+ *	two, for the tangents that can be edited. Because it vanishes
+ *	at the ends, the cross-boundary derivatives always agree with the
+ *	boundary curves at the corners.
+ */
+const tangentOffset = (tangents, k, t, n = 0, target = new THREE.Vector3()) => {
+	return derivative([zero, ...tangents[k], zero], t, n, target);
+};
+
+/*
+ *	Cross-boundary derivative along boundary k (dS/dv along u0 and u1,
+ *	dS/du along v0 and v1), differentiated n times along the boundary.
+ */
+const crossTangent = (curves, tangents, k, t, n = 0, target = new THREE.Vector3()) => {
+	if (k === "u0") bilinear(curves, t, 0, n, 1, target);
+	if (k === "u1") bilinear(curves, t, 1, n, 1, target);
+	if (k === "v0") bilinear(curves, 0, t, 1, n, target);
+	if (k === "v1") bilinear(curves, 1, t, 1, n, target);
+	return target.add(tangentOffset(tangents, k, t, n, scratch));
+};
+
+/*
+ *	Twist vector d2S/dudv at corner (cu, cv), each 0 or 1. The two
+ *	cross-boundary derivatives that meet there each imply a twist;
+ *	if they have been edited to disagree, their average is used.
+ */
+const twist = (curves, tangents, cu, cv) => {
+	const fromU = tangentOffset(tangents, cv === 0 ? "u0" : "u1", cu, 1);
+	const fromV = tangentOffset(tangents, cu === 0 ? "v0" : "v1", cv, 1);
+	return bilinear(curves, cu, cv, 1, 1).add(fromU.add(fromV).multiplyScalar(0.5));
+};
+
+/*
+ *	Corner data for the bicubically blended patch, as a 4 x 4 matrix.
+ *	Index 0/1 is the value at 0/1, index 2/3 the derivative at 0/1, so that
+ *	e.g. M[2][1] is dS/du at (0, 1) and M[3][3] the twist at (1, 1).
+ *	It doesn't depend on u or v, so it can be computed once and passed
+ *	to `hermite` for many evaluations of the same patch.
+ */
+const hermiteCorners = (curves, tangents) => {
+
+	const M = [];
+
+	for (let i = 0; i < 4; i++) {
+		M.push([]);
+		for (let j = 0; j < 4; j++) {
+
+			const cu = i % 2;
+			const cv = j % 2;
+
+			M[i].push(i > 1 && j > 1 ?
+				twist(curves, tangents, cu, cv) :
+				bilinear(curves, cu, cv, i > 1 ? 1 : 0, j > 1 ? 1 : 0));
+		}
+	}
+
+	return M;
+};
+
+/*
+ *	The bicubically blended Coons patch: boundaries and cross-boundary
+ *	derivatives are blended with cubic Hermite functions, minus the
+ *	bicubic Hermite surface through the corner data (positions, boundary
+ *	derivatives and twists).
+ */
+const hermite = (curves, tangents, u, v, a = 0, b = 0, M = hermiteCorners(curves, tangents), target = new THREE.Vector3()) => {
+
+	const hu = hermiteBasis(u, a);
+	const hv = hermiteBasis(v, b);
+
+	// curves blended along v and along u
+	const S = target.set(0, 0, 0)
+		.addScaledVector(derivative(curves.u0, u, a, scratch), hv[0])
+		.addScaledVector(derivative(curves.u1, u, a, scratch), hv[1])
+		.addScaledVector(crossTangent(curves, tangents, "u0", u, a, cross), hv[2])
+		.addScaledVector(crossTangent(curves, tangents, "u1", u, a, cross), hv[3])
+		.addScaledVector(derivative(curves.v0, v, b, scratch), hu[0])
+		.addScaledVector(derivative(curves.v1, v, b, scratch), hu[1])
+		.addScaledVector(crossTangent(curves, tangents, "v0", v, b, cross), hu[2])
+		.addScaledVector(crossTangent(curves, tangents, "v1", v, b, cross), hu[3]);
+
+	for (let i = 0; i < 4; i++) {
+		for (let j = 0; j < 4; j++) {
+			const w = hu[i] * hv[j];
+			if (w !== 0) S.addScaledVector(M[i][j], -w);
+		}
+	}
+
+	return S;
+};
+
+export {
+	linearBasis,
+	hermiteBasis,
+	bilinear,
+	hermite,
+	hermiteCorners,
+	crossTangent,
+	twist
+};
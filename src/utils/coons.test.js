@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+import { bilinear, hermite, crossTangent } from './coons';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+// a patch with non-planar boundaries that meet at the corners
+const P00 = v(0, 0, 0);
+const P10 = v(1, 0, 0.2);
+const P01 = v(0, 1, -0.1);
+const P11 = v(1, 1, 0.3);
+
+const curves = {
+  u0: [P00, v(0.3, -0.1, 0.4), v(0.7, 0.1, -0.2), P10],
+  u1: [P01, v(0.4, 1.2, 0.1), v(0.6, 0.9, 0.5), P11],
+  v0: [P00, v(-0.2, 0.3, 0.3), v(0.1, 0.6, -0.4), P01],
+  v1: [P10, v(1.1, 0.4, 0.2), v(0.9, 0.7, 0.6), P11]
+};
+
+const noTangents = () => ({
+  u0: [v(0, 0, 0), v(0, 0, 0)],
+  u1: [v(0, 0, 0), v(0, 0, 0)],
+  v0: [v(0, 0, 0), v(0, 0, 0)],
+  v1: [v(0, 0, 0), v(0, 0, 0)]
+});
+
+describe('Coons patches', () => {
+
+  it('agree when the tangents are left alone (cubic boundaries)', () => {
+    const tangents = noTangents();
+    [[0.2, 0.7], [0.5, 0.5], [0.9, 0.1]].forEach(([u, w]) => {
+      expect(hermite(curves, tangents, u, w).distanceTo(bilinear(curves, u, w))).toBeLessThan(1e-9);
+      expect(hermite(curves, tangents, u, w, 1, 1).distanceTo(bilinear(curves, u, w, 1, 1))).toBeLessThan(1e-9);
+    });
+  });
+
+  it('interpolate the boundaries whatever the tangents', () => {
+    const tangents = noTangents();
+    tangents.u0[0].set(0.5, 0.2, 1);
+    tangents.v1[1].set(-1, 0.3, 0.4);
+    expect(hermite(curves, tangents, 0.3, 0).distanceTo(bilinear(curves, 0.3, 0))).toBeLessThan(1e-9);
+    expect(hermite(curves, tangents, 1, 0.6).distanceTo(bilinear(curves, 1, 0.6))).toBeLessThan(1e-9);
+  });
+
+  it('take on compatible cross-boundary tangents', () => {
+    // the same twist offset from both sides at (0, 0) and (1, 1)
+    const tangents = noTangents();
+    tangents.u0[0].set(0.5, 0.2, 1);
+    tangents.v0[0].set(0.5, 0.2, 1);
+    tangents.u1[1].set(0, 0.7, -0.3);
+    tangents.v1[1].set(0, 0.7, -0.3);
+
+    const expected = crossTangent(curves, tangents, "u0", 0.3);
+    expect(hermite(curves, tangents, 0.3, 0, 0, 1).distanceTo(expected)).toBeLessThan(1e-9);
+
+    const expectedTop = crossTangent(curves, tangents, "u1", 0.8);
+    expect(hermite(curves, tangents, 0.8, 1, 0, 1).distanceTo(expectedTop)).toBeLessThan(1e-9);
+  });
+});
@@ -0,0 +1,46 @@
+/*
+ *	Coordinates of control points as text, for showing them (see
+ *	Coordinates) and typing them in.
+ */
+
+const AXES = ["x", "y", "z"];
+
+// a decimal number, such as 1, -0.25, .5 or 2.
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+/*
+ *	A coordinate rounded to 3 decimal places, always with a decimal point.
+ */
+const formatCoordinate = (v) => {
+	let s = (Math.round(v * 1000) / 1000).toString();
+	if (s.split('.').length === 1) s += ".0";
+	return s;
+};
+
+/*
+ *	The coordinate typed in as `text`, checked against the range of
+ *	`min` to `max`. Returns { value, error }, with value null if the
+ *	error is not: that is `{ key, values }` of a message in the locale
+ *	bundles (see utils/locale.js).
+ */
+const parseCoordinate = (text, { min = -Infinity, max = Infinity } = {}) => {
+
+	const s = String(text).trim();
+
+	if (s === "") return { value: null, error: { key: "coordinateMissing", values: {} } };
+	if (!NUMBER.test(s)) return { value: null, error: { key: "coordinateInvalid", values: { text: s } } };
+
+	const value = Number(s);
+
+	if (value < min || value > max) {
+		return { value: null, error: { key: "coordinateOutOfRange", values: { text: s, min, max } } };
+	}
+
+	return { value, error: null };
+};
+
+export {
+	AXES,
+	formatCoordinate,
+	parseCoordinate
+};
@@ -0,0 +1,27 @@
+import { formatCoordinate, parseCoordinate } from './coordinates';
+
+describe('coordinates', () => {
+
+  it('formats coordinates to 3 decimal places', () => {
+    expect(formatCoordinate(1)).toBe("1.0");
+    expect(formatCoordinate(-0.12345)).toBe("-0.123");
+    expect(formatCoordinate(0.5)).toBe("0.5");
+  });
+
+  it('parses decimal numbers', () => {
+    expect(parseCoordinate("1.5")).toEqual({ value: 1.5, error: null });
+    expect(parseCoordinate(" -.25 ").value).toBe(-0.25);
+    expect(parseCoordinate("+2.").value).toBe(2);
+    expect(parseCoordinate("").error).toEqual({ key: "coordinateMissing", values: {} });
+    expect(parseCoordinate("-").error).toEqual({ key: "coordinateInvalid", values: { text: "-" } });
+    expect(parseCoordinate("1e3").value).toBeNull();
+    expect(parseCoordinate("1,5").error.key).toBe("coordinateInvalid");
+  });
+
+  it('keeps coordinates within the range', () => {
+    const range = { min: -5, max: 5 };
+    expect(parseCoordinate("5", range).value).toBe(5);
+    expect(parseCoordinate("-5", range).value).toBe(-5);
+    expect(parseCoordinate("5.001", range)).toEqual({ value: null, error: { key: "coordinateOutOfRange", values: { text: "5.001", min: -5, max: 5 } } });
+  });
+});
@@ -0,0 +1,27 @@
+/*
+ *	Prompt the browser to save `href` (a data or object URL) as `filename`.
+ *	The link is never attached to the document, so the click does not
+ *	reach the window's click listener.
+ */
+const downloadURL = (href, filename) => {
+	const a = document.createElement('a');
+	a.href = href;
+	a.download = filename;
+	a.click();
+};
+
+/*
+ *	Prompt the browser to save a string or Blob as `filename`.
+ */
+const downloadBlob = (data, filename, type = 'text/plain;charset=utf-8') => {
+	const blob = data instanceof Blob ? data : new Blob([data], { type });
+	const url = URL.createObjectURL(blob);
+	downloadURL(url, filename);
+	// give the browser a moment to start the download before revoking
+	window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export {
+	downloadURL,
+	downloadBlob
+};
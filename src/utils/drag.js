@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+
+/*
+ *	Where to move a dragged point, given the ray under the mouse
+ *	(a THREE.Ray, e.g. from THREE.Raycaster.ray). None of these
+ *	modify their input, and they return null where the ray can't
+ *	say where the point should go.
+ */
+
+// unit vectors for the axes a point can be constrained to
+const AXES = {
+	x: new THREE.Vector3(1, 0, 0),
+	y: new THREE.Vector3(0, 1, 0),
+	z: new THREE.Vector3(0, 0, 1)
+};
+
+// rays closer than this to parallel with the plane or axis are ignored
+const PARALLEL = 1e-6;
+
+/*
+ *	Where the ray meets the plane through `point` with the given normal.
+ */
+const onPlane = (ray, point, normal) => {
+
+	const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+
+	if (Math.abs(plane.normal.dot(ray.direction)) < PARALLEL) return null;
+
+	return ray.intersectPlane(plane, new THREE.Vector3());
+};
+
+/*
+ *	The point on the line through `point` along `direction`
+ *	that is closest to the ray.
+ */
+const onAxis = (ray, point, direction) => {
+
+	const d = direction.clone().normalize();
+	const w = point.clone().sub(ray.origin);
+
+	const b = d.dot(ray.direction);
+	const denom = 1 - b * b; // both directions are unit vectors
+
+	if (denom < PARALLEL) return null;
+
+	const t = (b * w.dot(ray.direction) - w.dot(d)) / denom;
+
+	return point.clone().add(d.multiplyScalar(t));
+};
+
+/*
+ *	Move `point` under the ray: along `axis` ("x", "y" or "z") if one is
+ *	given, otherwise in the plane facing the camera (`viewDirection` is
+ *	the direction the camera is looking in).
+ */
+const dragPoint = (ray, point, axis, viewDirection) => {
+	if (axis in AXES) return onAxis(ray, point, AXES[axis]);
+	return onPlane(ray, point, viewDirection);
+};
+
+export {
+	onPlane,
+	onAxis,
+	dragPoint
+};
@@ -0,0 +1,33 @@
+import * as THREE from 'three';
+import { onPlane, onAxis, dragPoint } from './drag';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+// a ray from `from` through `to`
+const ray = (from, to) => new THREE.Ray(from, to.clone().sub(from).normalize());
+
+describe('Dragging', () => {
+
+  it('moves in the plane facing the camera', () => {
+    const pt = onPlane(ray(v(0, 0, 5), v(0.3, 0.2, 0)), v(0, 0, 1), v(0, 0, -1));
+    expect(pt.z).toBeCloseTo(1);
+    expect(pt.x).toBeCloseTo(0.3 * 4 / 5);
+    expect(pt.y).toBeCloseTo(0.2 * 4 / 5);
+  });
+
+  it('moves along an axis to the point closest to the ray', () => {
+    // looking down at the x axis through (0.5, 0, 0)
+    const pt = onAxis(ray(v(0.5, 0, 5), v(0.5, 0, 0)), v(0, 0, 0), v(1, 0, 0));
+    expect(pt.toArray()).toEqual([0.5, 0, 0]);
+
+    // looking along it, there's no telling
+    expect(onAxis(ray(v(-5, 0, 0), v(0, 0, 0)), v(0, 0, 0), v(1, 0, 0))).toBe(null);
+  });
+
+  it('uses the axis when there is one', () => {
+    const r = ray(v(0.4, 0.6, 5), v(0.4, 0.6, 0));
+    const view = v(0, 0, -1);
+    expect(dragPoint(r, v(0, 0, 0), "y", view).toArray()).toEqual([0, 0.6, 0]);
+    expect(dragPoint(r, v(0, 0, 0), null, view).toArray()).toEqual([0.4, 0.6, 0]);
+  });
+});
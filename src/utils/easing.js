@@ -1,6 +1,40 @@
-export default {
-  ease: (t) => {
-    return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+/*
+ * Easing curves, each taking how far an animation is through its time
+ * (0 to 1) to how far it has moved (0 at the start and 1 at the end;
+ * elastic and spring overshoot and settle back on the way).
+ */
+const curves = {
+
+  linear: t => t,
+
+  quad: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+
+  cubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+
+  elastic: (t) => {
+    if (t <= 0 || t >= 1) return t;
+    return Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * 2 * Math.PI / 3) + 1;
   },
-  dEase: (t) => t < 0.5 ? 12 * t * t : 12 * (t - 1) * (t - 1),
-};
\ No newline at end of file
+
+  // a damped spring, brought exactly to rest at the end
+  spring: t => 1 - (1 - t) * Math.exp(-5 * t) * Math.cos(3 * Math.PI * t)
+};
+
+export default Object.assign({}, curves, {
+
+  // the default, for morphing and timelines
+  ease: curves.cubic,
+
+  names: Object.keys(curves),
+
+  /*
+   * The curve with this name, or the function itself if given one.
+   * Throws an Error for anything else.
+   */
+  get: (easing = "ease") => {
+    if (typeof easing === "function") return easing;
+    if (easing === "ease") return curves.cubic;
+    if (curves.hasOwnProperty(easing)) return curves[easing];
+    throw new Error(`Unknown easing "${easing}" (use one of ${Object.keys(curves).join(", ")}).`);
+  }
+});
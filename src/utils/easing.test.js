@@ -0,0 +1,32 @@
+import easing from './easing';
+
+describe('easing', () => {
+
+  it('starts at 0 and ends at 1', () => {
+    easing.names.forEach((name) => {
+      const curve = easing.get(name);
+      expect(curve(0)).toBeCloseTo(0, 9);
+      expect(curve(1)).toBeCloseTo(1, 9);
+    });
+  });
+
+  it('has curves that overshoot, and ones that do not', () => {
+    const range = name => [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9].map(easing.get(name));
+    expect(Math.max(...range("elastic"))).toBeGreaterThan(1);
+    expect(Math.max(...range("spring"))).toBeGreaterThan(1);
+    expect(Math.max(...range("quad"))).toBeLessThan(1);
+    expect(easing.get("linear")(0.3)).toBe(0.3);
+  });
+
+  it('defaults to the cubic ease', () => {
+    expect(easing.get()).toBe(easing.cubic);
+    expect(easing.get("ease")).toBe(easing.ease);
+    expect(easing.ease(0.5)).toBe(0.5);
+  });
+
+  it('takes a function or a known name', () => {
+    const custom = t => t * t;
+    expect(easing.get(custom)).toBe(custom);
+    expect(() => easing.get("bounce")).toThrow(/Unknown easing "bounce"/);
+  });
+});
@@ -0,0 +1,190 @@
+/*
+ *	A small animated GIF encoder, for exporting recorded timelines.
+ *	Every frame uses the same fixed palette of 6 levels each of red,
+ *	green and blue (no dithering), which suits the app's few flat colors.
+ */
+
+const LEVELS = 6;
+
+// LZW codes are at most 12 bits
+const MAX_CODES = 4096;
+
+// the palette as [r, g, b, r, g, b, ...], padded to 256 colors
+const palette = () => {
+	const colors = new Uint8Array(256 * 3);
+	for (let i = 0; i < LEVELS * LEVELS * LEVELS; i++) {
+		const r = Math.floor(i / (LEVELS * LEVELS));
+		const g = Math.floor(i / LEVELS) % LEVELS;
+		const b = i % LEVELS;
+		colors.set([r, g, b].map(c => Math.round(c * 255 / (LEVELS - 1))), i * 3);
+	}
+	return colors;
+};
+
+/*
+ *	Palette indices for RGBA pixel data (as from ImageData). Transparent
+ *	pixels are drawn as black.
+ */
+const quantize = (rgba) => {
+	const n = rgba.length / 4;
+	const indices = new Uint8Array(n);
+	const level = (c, a) => Math.round(c * a / 255 * (LEVELS - 1) / 255);
+	for (let i = 0; i < n; i++) {
+		const a = rgba[4 * i + 3];
+		const r = level(rgba[4 * i], a);
+		const g = level(rgba[4 * i + 1], a);
+		const b = level(rgba[4 * i + 2], a);
+		indices[i] = (r * LEVELS + g) * LEVELS + b;
+	}
+	return indices;
+};
+
+// bytes out, with bits packed least significant first
+const writer = () => {
+
+	const bytes = [];
+	let bits = 0;
+	let count = 0;
+
+	return {
+		bytes,
+		byte: b => bytes.push(b & 0xFF),
+		short: s => bytes.push(s & 0xFF, (s >> 8) & 0xFF),
+		all: list => list.forEach(b => bytes.push(b)),
+		code: (code, size) => {
+			bits |= code << count;
+			count += size;
+			while (count >= 8) {
+				bytes.push(bits & 0xFF);
+				bits >>= 8;
+				count -= 8;
+			}
+		},
+		flush: () => {
+			if (count > 0) bytes.push(bits & 0xFF);
+			bits = 0;
+			count = 0;
+		}
+	};
+};
+
+/*
+ *	LZW-compress 8 bit palette indices as GIF image data:
+ *	the minimum code size and then sub-blocks of up to 255 bytes.
+ */
+const compress = (indices) => {
+
+	const minCodeSize = 8;
+	const clear = 1 << minCodeSize;
+	const end = clear + 1;
+
+	const out = writer();
+	let dictionary = new Map();
+	let next = end + 1;
+	let size = minCodeSize + 1;
+
+	out.code(clear, size);
+
+	let prefix = indices[0];
+
+	for (let i = 1; i < indices.length; i++) {
+
+		const k = indices[i];
+		const key = prefix * 256 + k;
+
+		if (dictionary.has(key)) {
+			prefix = dictionary.get(key);
+			continue;
+		}
+
+		out.code(prefix, size);
+
+		if (next < MAX_CODES) {
+			dictionary.set(key, next++);
+			// the decoder adds each code one step later, so it only
+			// needs a longer code once it has seen this one
+			if (next > (1 << size) && size < 12) size++;
+		} else {
+			out.code(clear, size);
+			dictionary = new Map();
+			next = end + 1;
+			size = minCodeSize + 1;
+		}
+
+		prefix = k;
+	}
+
+	out.code(prefix, size);
+	out.code(end, size);
+	out.flush();
+
+	const data = [minCodeSize];
+	for (let i = 0; i < out.bytes.length; i += 255) {
+		const block = out.bytes.slice(i, i + 255);
+		data.push(block.length, ...block);
+	}
+	data.push(0);
+
+	return data;
+};
+
+/*
+ *	An animated GIF (as a Uint8Array) of `frames`, each RGBA pixel data
+ *	`width` x `height`, shown for `delay` ms each and looping forever.
+ */
+const encodeGIF = (frames, width, height, { delay = 100 } = {}) => {
+
+	if (frames.length === 0) throw new Error("A GIF needs at least one frame.");
+
+	frames.forEach((frame, i) => {
+		if (frame.length !== width * height * 4) {
+			throw new Error(`Frame ${i} is not ${width} x ${height} RGBA pixels.`);
+		}
+	});
+
+	const out = writer();
+
+	out.all([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+
+	// logical screen, with a global color table of 256 colors
+	out.short(width);
+	out.short(height);
+	out.byte(0xF7);
+	out.byte(0);
+	out.byte(0);
+	out.all(Array.from(palette()));
+
+	// loop forever (the NETSCAPE2.0 extension)
+	out.all([0x21, 0xFF, 0x0B]);
+	out.all('NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)));
+	out.all([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+	frames.forEach((frame) => {
+
+		// graphic control: delay in hundredths of a second
+		out.all([0x21, 0xF9, 0x04, 0x00]);
+		out.short(Math.round(delay / 10));
+		out.all([0x00, 0x00]);
+
+		// image descriptor, covering the whole screen
+		out.byte(0x2C);
+		out.short(0);
+		out.short(0);
+		out.short(width);
+		out.short(height);
+		out.byte(0);
+
+		out.all(compress(quantize(frame)));
+	});
+
+	out.byte(0x3B);
+
+	return Uint8Array.from(out.bytes);
+};
+
+export {
+	palette,
+	quantize,
+	compress,
+	encodeGIF
+};
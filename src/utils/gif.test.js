@@ -0,0 +1,95 @@
+import { palette, quantize, compress, encodeGIF } from './gif';
+
+// a plain GIF LZW decoder, to check the encoder against
+const decompress = (data) => {
+
+  const minCodeSize = data[0];
+  const bytes = [];
+  for (let i = 1; data[i] > 0; i += data[i] + 1) bytes.push(...data.slice(i + 1, i + 1 + data[i]));
+
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let size = minCodeSize + 1;
+  let table = [];
+  let prev = null;
+  let pos = 0;
+  const out = [];
+
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < clear; i++) table[i] = [i];
+    table[clear] = [];
+    table[end] = [];
+    size = minCodeSize + 1;
+    prev = null;
+  };
+
+  reset();
+
+  while (pos + size <= bytes.length * 8) {
+
+    let code = 0;
+    for (let b = 0; b < size; b++, pos++) code |= ((bytes[pos >> 3] >> (pos & 7)) & 1) << b;
+
+    if (code === clear) { reset(); continue; }
+    if (code === end) break;
+
+    let entry;
+    if (code < table.length) entry = table[code];
+    else entry = table[prev].concat(table[prev][0]);
+
+    out.push(...entry);
+
+    if (prev !== null && table.length < 4096) {
+      table.push(table[prev].concat(entry[0]));
+      if (table.length === (1 << size) && size < 12) size++;
+    }
+
+    prev = code;
+  }
+
+  return out;
+};
+
+describe('GIF', () => {
+
+  it('quantizes to the nearest palette color', () => {
+    const colors = palette();
+    const indices = quantize([255, 255, 255, 255, 0, 0, 0, 255, 250, 10, 0, 255, 255, 255, 255, 0]);
+    const rgb = i => Array.from(colors.slice(3 * indices[i], 3 * indices[i] + 3));
+    expect(rgb(0)).toEqual([255, 255, 255]);
+    expect(rgb(1)).toEqual([0, 0, 0]);
+    expect(rgb(2)).toEqual([255, 0, 0]);
+    // transparent is black
+    expect(rgb(3)).toEqual([0, 0, 0]);
+  });
+
+  it('compresses so that a decoder gets the same indices back', () => {
+    // enough varied data to grow the codes to 12 bits and clear the table
+    const indices = [];
+    let x = 1;
+    for (let i = 0; i < 30000; i++) {
+      x = (x * 1103515245 + 12345) % 2147483648;
+      indices.push(i % 7 === 0 ? (x >> 16) % 216 : i % 13);
+    }
+    expect(decompress(compress(indices))).toEqual(indices);
+    expect(decompress(compress([5]))).toEqual([5]);
+  });
+
+  it('writes an animated GIF with a frame per image', () => {
+    const frame = new Uint8ClampedArray(4 * 3 * 2).fill(255);
+    const gif = encodeGIF([frame, frame, frame], 3, 2, { delay: 50 });
+    expect(String.fromCharCode(...gif.slice(0, 6))).toBe('GIF89a');
+    expect(gif[6] | (gif[7] << 8)).toBe(3);
+    expect(gif[8] | (gif[9] << 8)).toBe(2);
+    expect(gif[gif.length - 1]).toBe(0x3B);
+
+    // graphic control extensions, with the delay in 1/100 s
+    const controls = [];
+    gif.forEach((b, i) => { if (b === 0x21 && gif[i + 1] === 0xF9) controls.push(gif[i + 4]); });
+    expect(controls).toEqual([5, 5, 5]);
+
+    expect(() => encodeGIF([], 3, 2)).toThrow(/frame/);
+    expect(() => encodeGIF([frame], 4, 2)).toThrow(/Frame 0/);
+  });
+});
@@ -0,0 +1,225 @@
+import _ from 'lodash';
+
+/*
+ *	Key bindings. A keymap (see src/keymap.json) has named profiles,
+ *	each binding action ids -- the keys of CanvasView.actionNames --
+ *	to the keyCode of the key that triggers them:
+ *
+ *	{
+ *		"default": "kiosk",
+ *		"profiles": {
+ *			"kiosk": { "name": "Kiosk keypad", "bindings": { "ZOOM": 87, ... }, "keys": { "87": "ZOOM", ... } }
+ *		}
+ *	}
+ *
+ *	where `keys`, if given, names keys by what is printed on them (the
+ *	caps of a keypad), for keys that aren't labelled as usual.
+ *
+ *	Problems are returned as a list of messages to show, rather than
+ *	thrown, so that one bad binding doesn't take the others with it.
+ */
+
+// where remapped bindings and the chosen profile are kept
+const STORAGE_KEY = "patch-three-keymap";
+
+// labels for keys that aren't a letter or number
+const KEY_LABELS = {
+	8: "Backspace",
+	9: "Tab",
+	13: "Enter",
+	16: "Shift",
+	17: "Ctrl",
+	18: "Alt",
+	27: "Esc",
+	32: "Space",
+	37: "←",
+	38: "↑",
+	39: "→",
+	40: "↓",
+	46: "Delete",
+	186: ";",
+	187: "=",
+	188: ",",
+	189: "-",
+	190: ".",
+	191: "/",
+	192: "`",
+	219: "[",
+	220: "\\",
+	221: "]",
+	222: "'"
+};
+
+const isKeyCode = code => Number.isInteger(code) && code > 0 && code < 256;
+
+// the label of a key, or what `keys` (see above) says is printed on it
+const keyLabel = (code, keys = {}) => {
+	if (_.isString(keys[code])) return keys[code];
+	if (code in KEY_LABELS) return KEY_LABELS[code];
+	if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) return String.fromCharCode(code);
+	if (code >= 112 && code <= 123) return "F" + (code - 111);
+	return "#" + code;
+};
+
+/*
+ *	Actions (in order) that are bound to the same key,
+ *	as [[keyCode, [action, action, ...]], ...]
+ */
+const conflicts = (bindings) => {
+	const byKey = _.groupBy(_.keys(bindings), action => bindings[action]);
+	return _.toPairs(byKey)
+		.filter(([code, actions]) => actions.length > 1)
+		.map(([code, actions]) => [Number(code), actions]);
+};
+
+/*
+ *	Check the bindings of a profile against the known action ids.
+ *	Returns `{ bindings, errors }`: the bindings that can be used, and a
+ *	message for each one that was rejected. Where several actions share
+ *	a key, only the first keeps it.
+ */
+const validateBindings = (bindings, actions, profile) => {
+
+	const valid = {};
+	const errors = [];
+
+	if (!_.isPlainObject(bindings)) {
+		return { bindings: valid, errors: [`Keymap profile "${profile}" has no bindings.`] };
+	}
+
+	_.forEach(bindings, (code, action) => {
+
+		if (actions.indexOf(action) === -1) {
+			errors.push(`Unknown action "${action}" in keymap profile "${profile}".`);
+			return;
+		}
+
+		if (!isKeyCode(code)) {
+			errors.push(`The key for ${action} in keymap profile "${profile}" must be a key code from 1 to 255.`);
+			return;
+		}
+
+		valid[action] = code;
+	});
+
+	conflicts(valid).forEach(([code, [first, ...rest]]) => {
+		errors.push(`${keyLabel(code)} is bound to both ${first} and ${rest.join(" and ")} in keymap profile "${profile}".`);
+		rest.forEach(action => delete valid[action]);
+	});
+
+	return { bindings: valid, errors };
+};
+
+// a profile's names for its keys, leaving out those that aren't text for a key code
+const validateKeys = (keys, profile) => {
+
+	const errors = [];
+
+	if (_.isNil(keys)) return { keys: {}, errors };
+
+	const valid = _.pickBy(keys, (label, code) => {
+		if (isKeyCode(Number(code)) && _.isString(label)) return true;
+		errors.push(`The name of key ${code} in keymap profile "${profile}" must be text, for a key code from 1 to 255.`);
+		return false;
+	});
+
+	return { keys: valid, errors };
+};
+
+/*
+ *	Read a keymap (already parsed). Returns `{ default, profiles, errors }`,
+ *	where each profile is `{ name, bindings, keys }` with only valid
+ *	bindings and key names.
+ */
+const loadKeymap = (keymap, actions) => {
+
+	const errors = [];
+	const profiles = {};
+
+	if (!_.isPlainObject(keymap) || !_.isPlainObject(keymap.profiles) || _.isEmpty(keymap.profiles)) {
+		return { default: null, profiles, errors: ["The keymap has no profiles."] };
+	}
+
+	_.forEach(keymap.profiles, (profile, id) => {
+		const result = validateBindings(_.get(profile, "bindings"), actions, id);
+		const named = validateKeys(_.get(profile, "keys"), id);
+		profiles[id] = { name: _.get(profile, "name", id), bindings: result.bindings, keys: named.keys };
+		errors.push(...result.errors, ...named.errors);
+	});
+
+	let fallback = keymap.default;
+
+	if (!(fallback in profiles)) {
+		if (!_.isUndefined(fallback)) errors.push(`Unknown default keymap profile "${fallback}".`);
+		fallback = _.keys(profiles)[0];
+	}
+
+	return { default: fallback, profiles, errors };
+};
+
+/*
+ *	The keyCode -> action table used by CanvasView.onKeyDown, where
+ *	`names` maps action ids to the actions themselves.
+ */
+const toKeys = (bindings, names) => {
+	const keys = {};
+	_.forEach(bindings, (code, action) => { keys[code] = names[action]; });
+	return keys;
+};
+
+/*
+ *	What each action's key does, for the help screen: the actions the
+ *	knob turns (`knobActions`, ids) and those that happen at once, each
+ *	as [{ id, label, key }, ...] in the order of `actionNames`, with
+ *	`key` null for actions without one. `keys` names the keys, as in
+ *	a profile.
+ */
+const describeBindings = (actionNames, bindings, knobActions, keys = {}) => {
+
+	const rows = _.map(actionNames, (label, id) => ({
+		id,
+		label,
+		key: id in bindings ? keyLabel(bindings[id], keys) : null
+	}));
+
+	const [knob, immediate] = _.partition(rows, row => knobActions.indexOf(row.id) > -1);
+
+	return { knob, immediate };
+};
+
+/*
+ *	Remapped bindings and the chosen profile, as saved by `saveRemapped`:
+ *	`{ profile, bindings: { [profile id]: bindings } }`. Anything missing
+ *	or unreadable is left out.
+ */
+const loadRemapped = (storage = window.localStorage) => {
+	try {
+		const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+		return {
+			profile: _.isString(_.get(saved, "profile")) ? saved.profile : null,
+			bindings: _.isPlainObject(_.get(saved, "bindings")) ? saved.bindings : {}
+		};
+	} catch (e) {
+		return { profile: null, bindings: {} };
+	}
+};
+
+const saveRemapped = (remapped, storage = window.localStorage) => {
+	try {
+		storage.setItem(STORAGE_KEY, JSON.stringify(remapped));
+		return true;
+	} catch (e) {
+		return false;
+	}
+};
+
+export {
+	keyLabel,
+	conflicts,
+	validateBindings,
+	loadKeymap,
+	toKeys,
+	describeBindings,
+	loadRemapped,
+	saveRemapped
+};
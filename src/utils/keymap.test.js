@@ -0,0 +1,97 @@
+import { keyLabel, conflicts, validateBindings, loadKeymap, toKeys, describeBindings, loadRemapped, saveRemapped } from './keymap';
+import keymapFile from '../keymap.json';
+
+const actions = ["ZOOM", "SELECT", "MORPH"];
+
+// a stand-in for localStorage
+const storage = () => {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; }
+  };
+};
+
+describe('Keymaps', () => {
+
+  it('labels keys', () => {
+    expect(keyLabel(65)).toBe("A");
+    expect(keyLabel(50)).toBe("2");
+    expect(keyLabel(192)).toBe("`");
+    expect(keyLabel(113)).toBe("F2");
+    expect(keyLabel(68, { 68: "TUT" })).toBe("TUT");
+    expect(keyLabel(69, { 68: "TUT" })).toBe("E");
+  });
+
+  it('rejects unknown actions and bad key codes', () => {
+    const { bindings, errors } = validateBindings({ ZOOM: 87, SPIN: 83, MORPH: "A" }, actions, "kiosk");
+    expect(bindings).toEqual({ ZOOM: 87 });
+    expect(errors.length).toBe(2);
+    expect(errors[0]).toMatch(/Unknown action "SPIN" in keymap profile "kiosk"/);
+  });
+
+  it('reports actions that share a key', () => {
+    expect(conflicts({ ZOOM: 87, SELECT: 73, MORPH: 87 })).toEqual([[87, ["ZOOM", "MORPH"]]]);
+
+    const { bindings, errors } = validateBindings({ ZOOM: 87, SELECT: 73, MORPH: 87 }, actions, "kiosk");
+    expect(bindings).toEqual({ ZOOM: 87, SELECT: 73 });
+    expect(errors[0]).toMatch(/W is bound to both ZOOM and MORPH/);
+  });
+
+  it('loads profiles and falls back to the first one', () => {
+    const keymap = loadKeymap({
+      default: "nope",
+      profiles: { pad: { name: "Keypad", bindings: { ZOOM: 87 } }, keys: { bindings: { SELECT: 32 } } }
+    }, actions);
+
+    expect(keymap.default).toBe("pad");
+    expect(keymap.profiles.keys.name).toBe("keys");
+    expect(keymap.profiles.keys.keys).toEqual({});
+    expect(keymap.errors).toEqual(['Unknown default keymap profile "nope".']);
+    expect(toKeys(keymap.profiles.pad.bindings, { ZOOM: "Zoom" })).toEqual({ 87: "Zoom" });
+
+    expect(loadKeymap({}, actions).errors.length).toBe(1);
+  });
+
+  it('names keys by what is printed on them', () => {
+    const keymap = loadKeymap({
+      profiles: { pad: { bindings: { ZOOM: 87, MORPH: 65 }, keys: { 87: "ZOOM", 300: "BIG", 65: 1 } } }
+    }, actions);
+
+    expect(keymap.profiles.pad.keys).toEqual({ 87: "ZOOM" });
+    expect(keymap.errors).toEqual([
+      'The name of key 65 in keymap profile "pad" must be text, for a key code from 1 to 255.',
+      'The name of key 300 in keymap profile "pad" must be text, for a key code from 1 to 255.'
+    ]);
+
+    const { knob } = describeBindings({ ZOOM: "Zoom" }, keymap.profiles.pad.bindings, ["ZOOM"], keymap.profiles.pad.keys);
+    expect(knob[0].key).toBe("ZOOM");
+  });
+
+  it('ships profiles without conflicts', () => {
+    Object.keys(keymapFile.profiles).forEach((id) => {
+      expect(conflicts(keymapFile.profiles[id].bindings)).toEqual([]);
+    });
+  });
+
+  it('describes the knob actions and the others, with their keys', () => {
+    const names = { SELECT: "Select Control Point", ZOOM: "Zoom", MORPH: "MORPH", SEED: "SEED" };
+    const { knob, immediate } = describeBindings(names, { ZOOM: 87, MORPH: 13 }, ["SELECT", "ZOOM"]);
+    expect(knob).toEqual([
+      { id: "SELECT", label: "Select Control Point", key: null },
+      { id: "ZOOM", label: "Zoom", key: "W" }
+    ]);
+    expect(immediate.map(row => [row.id, row.key])).toEqual([["MORPH", "Enter"], ["SEED", null]]);
+  });
+
+  it('saves and loads remapped keys', () => {
+    const s = storage();
+    expect(loadRemapped(s)).toEqual({ profile: null, bindings: {} });
+
+    expect(saveRemapped({ profile: "pad", bindings: { pad: { ZOOM: 90 } } }, s)).toBe(true);
+    expect(loadRemapped(s)).toEqual({ profile: "pad", bindings: { pad: { ZOOM: 90 } } });
+
+    s.setItem("patch-three-keymap", "{");
+    expect(loadRemapped(s).bindings).toEqual({});
+  });
+});
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+/*
+ *	Lines as BufferGeometry, updated in place. A line's typed arrays are
+ *	only replaced when it needs more vertices than they hold; otherwise
+ *	its vertices are written over and just those in use are drawn.
+ */
+
+// room for at least this many vertices, so that short lines don't grow often
+const MIN_CAPACITY = 16;
+
+/*
+ *	A dynamic (often rewritten) attribute added to the geometry, in the
+ *	way of whichever three.js release is in use: newer releases renamed
+ *	addAttribute and setDynamic to setAttribute and setUsage.
+ */
+const setAttribute = (geo, name, attribute, dynamic = false) => {
+	if (dynamic && attribute.setUsage) attribute.setUsage(THREE.DynamicDrawUsage);
+	else if (dynamic) attribute.setDynamic(true);
+	if (geo.setAttribute) geo.setAttribute(name, attribute);
+	else geo.addAttribute(name, attribute);
+};
+
+/*
+ *	A geometry with room for `capacity` vertices, none drawn yet.
+ *	`dashed` adds the line distances that dashed materials need.
+ */
+const lineGeometry = (capacity, dashed = false) => {
+
+	const geo = new THREE.BufferGeometry();
+
+	setAttribute(geo, "position", new THREE.BufferAttribute(new Float32Array(3 * capacity), 3), true);
+	if (dashed) setAttribute(geo, "lineDistance", new THREE.BufferAttribute(new Float32Array(capacity), 1), true);
+
+	geo.setDrawRange(0, 0);
+
+	return geo;
+};
+
+// reused for each vertex written
+const point = new THREE.Vector3();
+
+/*
+ *	Write `count` vertices to the geometry, the i-th set by
+ *	`pointAt(i, target)` on a vector passed to it. Returns the geometry,
+ *	or a new one with more room if it had too little (the old one is
+ *	then disposed of).
+ */
+const writeLine = (geometry, count, pointAt) => {
+
+	let geo = geometry;
+	const dashed = "lineDistance" in geo.attributes;
+	const capacity = geo.attributes.position.count;
+
+	if (count > capacity) {
+		geo.dispose();
+		geo = lineGeometry(Math.max(count, 2 * capacity, MIN_CAPACITY), dashed);
+	}
+
+	const { position, lineDistance } = geo.attributes;
+	const { array } = position;
+
+	for (let i = 0; i < count; i++) {
+
+		pointAt(i, point);
+
+		const k = 3 * i;
+		array[k] = point.x;
+		array[k + 1] = point.y;
+		array[k + 2] = point.z;
+
+		if (dashed) {
+			lineDistance.array[i] = i === 0 ? 0 : lineDistance.array[i - 1] + Math.hypot(
+				array[k] - array[k - 3],
+				array[k + 1] - array[k - 2],
+				array[k + 2] - array[k - 1]
+			);
+		}
+	}
+
+	// only send what changed to the GPU
+	if (count > 0) {
+		position.updateRange.count = 3 * count;
+		position.needsUpdate = true;
+	}
+
+	if (dashed && count > 0) {
+		lineDistance.updateRange.count = count;
+		lineDistance.needsUpdate = true;
+	}
+
+	geo.setDrawRange(0, count);
+	geo.computeBoundingSphere();
+
+	return geo;
+};
+
+/*
+ *	Draw `line` (a THREE.Line) through `count` points, as by writeLine().
+ */
+const setLine = (line, count, pointAt) => {
+	line.geometry = writeLine(line.geometry, count, pointAt);
+};
+
+/*
+ *	Draw `line` through a list of points.
+ */
+const setLinePoints = (line, points) => {
+	setLine(line, points.length, (i, target) => target.copy(points[i]));
+};
+
+/*
+ *	A geometry through a list of points, with room for no more.
+ */
+const lineGeometryFrom = (points, dashed = false) => {
+	return writeLine(lineGeometry(points.length, dashed), points.length, (i, target) => target.copy(points[i]));
+};
+
+export {
+	setAttribute,
+	lineGeometry,
+	writeLine,
+	setLine,
+	setLinePoints,
+	lineGeometryFrom
+};
@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+
+import { lineGeometry, writeLine, setLinePoints, lineGeometryFrom } from './line-geometry';
+
+const drawn = (geo) => {
+	const { position } = geo.attributes;
+	const points = [];
+	for (let i = 0; i < geo.drawRange.count; i++) points.push(new THREE.Vector3().fromBufferAttribute(position, i).toArray());
+	return points;
+};
+
+describe('line geometry', () => {
+
+	it('writes the vertices in place, drawing only those in use', () => {
+		const geo = lineGeometry(10);
+		const array = geo.attributes.position.array;
+
+		const same = writeLine(geo, 3, (i, target) => target.set(i, 2 * i, 0));
+
+		expect(same).toBe(geo);
+		expect(geo.attributes.position.array).toBe(array);
+		expect(drawn(geo)).toEqual([[0, 0, 0], [1, 2, 0], [2, 4, 0]]);
+		expect(geo.attributes.position.updateRange.count).toBe(9);
+		expect(geo.boundingSphere.center.toArray()).toEqual([1, 2, 0]);
+	});
+
+	it('makes room for more vertices when needed', () => {
+		const geo = lineGeometry(2);
+		const dispose = jest.fn();
+		geo.addEventListener('dispose', dispose);
+
+		const bigger = writeLine(geo, 20, (i, target) => target.set(i, 0, 0));
+
+		expect(bigger).not.toBe(geo);
+		expect(dispose).toHaveBeenCalled();
+		expect(bigger.attributes.position.count).toBeGreaterThanOrEqual(20);
+		expect(drawn(bigger).length).toBe(20);
+	});
+
+	it('keeps line distances for dashed lines', () => {
+		const line = new THREE.Line(lineGeometry(4, true));
+		setLinePoints(line, [new THREE.Vector3(0, 0, 0), new THREE.Vector3(3, 4, 0), new THREE.Vector3(3, 4, 1)]);
+		expect(Array.from(line.geometry.attributes.lineDistance.array.slice(0, 3))).toEqual([0, 5, 6]);
+
+		expect(lineGeometry(4).attributes.lineDistance).toBeUndefined();
+	});
+
+	it('makes a line from points', () => {
+		const geo = lineGeometryFrom([new THREE.Vector3(-1, 0, 0), new THREE.Vector3(1, 0, 0)], true);
+		expect(drawn(geo)).toEqual([[-1, 0, 0], [1, 0, 0]]);
+		expect(geo.attributes.lineDistance.array[1]).toBe(2);
+	});
+});
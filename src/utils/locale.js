@@ -0,0 +1,133 @@
+import _ from 'lodash';
+
+/*
+ *	Visitor-facing text in several languages. A locale bundle (see
+ *	src/locales) is
+ *
+ *	{
+ *		"name": "Español",     the language, in itself
+ *		"dir": "ltr",          or "rtl" for right-to-left layout
+ *		"actions": { id: label, ... },
+ *		"messages": { key: text, ... },
+ *		"tutorial": { step id: { "title", "text", "helperText" }, ... }
+ *	}
+ *
+ *	with action labels for CanvasView.actionNames, messages for the
+ *	helper text and the tutorial's words for its steps (see
+ *	utils/tutorial.js). Messages and the tutorial's words are HTML, and
+ *	may have {placeholders}: CanvasView fills in {ACTION_ID} with the key
+ *	for that action, e.g. <b>{TUTORIAL}</b>, since keys can be remapped.
+ *	Anything a bundle leaves out is taken from the default one, so a
+ *	bundle can be added a bit at a time. Messages meant for whoever
+ *	runs the installation (keymap and setup errors) are only in English.
+ *	What a bundle gets wrong is left out of it, so the default bundle's
+ *	words are shown instead.
+ */
+
+const DEFAULT_LOCALE = "en";
+
+const DIRECTIONS = ["ltr", "rtl"];
+
+/*
+ *	Read locale bundles, checking them against the known action ids and
+ *	tutorial step ids and the messages of the default bundle. Returns
+ *	`{ locales, errors }`, leaving out what was rejected.
+ */
+const loadLocales = (bundles, actions, steps) => {
+
+	const errors = [];
+	const locales = {};
+
+	const known = _.keys(_.get(bundles, [DEFAULT_LOCALE, "messages"]));
+
+	if (!(DEFAULT_LOCALE in bundles)) errors.push(`There is no locale bundle for the default language, "${DEFAULT_LOCALE}".`);
+
+	_.forEach(bundles, (bundle, id) => {
+
+		if (!_.isPlainObject(bundle) || !_.isString(bundle.name)) {
+			errors.push(`Locale "${id}" must be an object with a name.`);
+			return;
+		}
+
+		let dir = bundle.dir;
+		if (DIRECTIONS.indexOf(dir) === -1) {
+			errors.push(`Locale "${id}" has an unknown direction "${dir}" (use ltr or rtl).`);
+			dir = "ltr";
+		}
+
+		// only strings, and only for things there are
+		const strings = (group, ids, what) => _.pickBy(bundle[group], (text, key) => {
+			if (ids.indexOf(key) > -1 && _.isString(text)) return true;
+			errors.push(`Locale "${id}" has ${ids.indexOf(key) > -1 ? "a non-text" : "an unknown"} ${what} "${key}".`);
+			return false;
+		});
+
+		const tutorial = _.pickBy(bundle.tutorial, (words, key) => {
+			const valid = _.isPlainObject(words) &&
+				_.every(_.pick(words, ["title", "helperText"]), _.isString) &&
+				(_.isNil(words.text) || (_.isArray(words.text) && words.text.every(_.isString)));
+			if (steps.indexOf(key) > -1 && valid) return true;
+			errors.push(`Locale "${id}" has ${steps.indexOf(key) > -1 ? "invalid words for" : "an unknown"} tutorial step "${key}".`);
+			return false;
+		});
+
+		locales[id] = {
+			name: bundle.name,
+			dir,
+			actions: strings("actions", actions, "action"),
+			messages: id === DEFAULT_LOCALE ? _.pickBy(bundle.messages, _.isString) : strings("messages", known, "message"),
+			tutorial
+		};
+	});
+
+	return { locales, errors };
+};
+
+// `text` with its {placeholders} filled in from `values`, leaving those it has no value for
+const fill = (text, values) => text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+
+// a locale's text at `path`, or the default locale's if it has none
+const lookup = (locales, id, path) => {
+	const text = _.get(locales[id], path);
+	return _.isUndefined(text) ? _.get(locales[DEFAULT_LOCALE], path) : text;
+};
+
+/*
+ *	A message in locale `id`, with its {placeholders} filled in from
+ *	`values`. The key itself, for a message no locale has.
+ */
+const message = (locales, id, key, values = {}) => {
+	const text = lookup(locales, id, ["messages", key]);
+	return _.isString(text) ? fill(text, values) : key;
+};
+
+/*
+ *	The label of an action in locale `id`, by its id, or undefined
+ *	if no locale has one.
+ */
+const actionLabel = (locales, id, action) => lookup(locales, id, ["actions", action]);
+
+/*
+ *	A tutorial step with its words in locale `id`, their {placeholders}
+ *	filled in from `values` as for a message.
+ */
+const localizeStep = (locales, id, step, values = {}) => {
+	if (_.isNil(step)) return step;
+	const words = Object.assign({}, _.get(locales[DEFAULT_LOCALE], ["tutorial", step.id]), _.get(locales[id], ["tutorial", step.id]));
+	return Object.assign({}, step, _.mapValues(words, w => (_.isArray(w) ? w.map(t => fill(t, values)) : fill(w, values))));
+};
+
+// the locale after `id`, going round
+const nextLocale = (locales, id) => {
+	const ids = _.keys(locales);
+	return ids[(ids.indexOf(id) + 1) % ids.length];
+};
+
+export {
+	DEFAULT_LOCALE,
+	loadLocales,
+	message,
+	actionLabel,
+	localizeStep,
+	nextLocale
+};
@@ -0,0 +1,103 @@
+import { DEFAULT_LOCALE, loadLocales, message, actionLabel, localizeStep, nextLocale } from './locale';
+import bundles from '../locales';
+import stepsFile from '../tutorial/steps.json';
+import keymapFile from '../keymap.json';
+
+const actions = Object.keys(keymapFile.profiles.kiosk.bindings);
+const steps = stepsFile.map(step => step.id);
+
+const en = {
+  name: "English",
+  dir: "ltr",
+  actions: { ZOOM: "Zoom", MORPH: "MORPH" },
+  messages: { quality: "Isoline quality {percent}%", perspective: "Perspective projection" },
+  tutorial: { intro: { title: "Coons Patch", text: ["Hello"], helperText: "" } }
+};
+
+const es = {
+  name: "Español",
+  dir: "ltr",
+  actions: { ZOOM: "Zoom (acercar)" },
+  messages: { quality: "Calidad {percent}%" },
+  tutorial: { intro: { title: "El parche de Coons" } }
+};
+
+describe('Locales', () => {
+
+  it('ships bundles for every action and step, with no problems', () => {
+    const { locales, errors } = loadLocales(bundles, actions, steps);
+    expect(errors).toEqual([]);
+    expect(Object.keys(locales)).toEqual(["en", "es", "ar"]);
+    expect(locales.ar.dir).toBe("rtl");
+
+    actions.forEach(id => expect(typeof locales[DEFAULT_LOCALE].actions[id]).toBe("string"));
+    steps.forEach(id => expect(locales[DEFAULT_LOCALE].tutorial[id]).toBeDefined());
+  });
+
+  it('fills in messages, falling back on the default language', () => {
+    const { locales } = loadLocales({ en, es }, ["ZOOM", "MORPH"], ["intro"]);
+    expect(message(locales, "es", "quality", { percent: 50 })).toBe("Calidad 50%");
+    expect(message(locales, "es", "perspective")).toBe("Perspective projection");
+    expect(message(locales, "es", "missing")).toBe("missing");
+    expect(message(locales, "en", "quality")).toBe("Isoline quality {percent}%");
+    expect(actionLabel(locales, "es", "ZOOM")).toBe("Zoom (acercar)");
+    expect(actionLabel(locales, "es", "MORPH")).toBe("MORPH");
+    expect(actionLabel(locales, "es", "SPIN")).toBeUndefined();
+  });
+
+  it('puts the words of a tutorial step in the language', () => {
+    const { locales } = loadLocales({ en, es }, [], ["intro"]);
+    const step = localizeStep(locales, "es", { id: "intro", lockKeys: true });
+    expect(step).toEqual({ id: "intro", lockKeys: true, title: "El parche de Coons", text: ["Hello"], helperText: "" });
+    expect(localizeStep(locales, "es", undefined)).toBeUndefined();
+
+    const keys = { TUTORIAL: "TUT" };
+    const intro = { title: "{TUTORIAL}", text: ["Press {TUTORIAL}", "or {EXIT}"], helperText: "{TUTORIAL} again" };
+    expect(localizeStep(loadLocales({ en: Object.assign({}, en, { tutorial: { intro } }) }, [], ["intro"]).locales, "en", { id: "intro" }, keys))
+      .toEqual({ id: "intro", title: "TUT", text: ["Press TUT", "or {EXIT}"], helperText: "TUT again" });
+  });
+
+  it('keeps only words for the actions, messages and steps there are', () => {
+    const { locales, errors } = loadLocales({
+      en,
+      xx: {
+        name: "Xx",
+        dir: "ltr",
+        actions: { SPIN: "Spin", ZOOM: 3 },
+        messages: { hello: "Hi", quality: "Qualité {percent}%" },
+        tutorial: { outro: {}, intro: { text: "Hi" } }
+      }
+    }, ["ZOOM"], ["intro"]);
+
+    expect(locales.xx.actions).toEqual({});
+    expect(locales.xx.messages).toEqual({ quality: "Qualité {percent}%" });
+    expect(locales.xx.tutorial).toEqual({});
+    expect(errors).toEqual([
+      'Locale "en" has an unknown action "MORPH".',
+      'Locale "xx" has an unknown tutorial step "outro".',
+      'Locale "xx" has invalid words for tutorial step "intro".',
+      'Locale "xx" has an unknown action "SPIN".',
+      'Locale "xx" has a non-text action "ZOOM".',
+      'Locale "xx" has an unknown message "hello".'
+    ]);
+  });
+
+  it('lays out an unknown direction left to right', () => {
+    const { locales, errors } = loadLocales({ en, xx: { name: "Xx", dir: "up" } }, ["ZOOM", "MORPH"], ["intro"]);
+    expect(locales.xx.dir).toBe("ltr");
+    expect(errors).toEqual(['Locale "xx" has an unknown direction "up" (use ltr or rtl).']);
+  });
+
+  it('needs a bundle for the default language, and a name for each', () => {
+    const { locales, errors } = loadLocales({ es, yy: { dir: "rtl" } }, ["ZOOM"], ["intro"]);
+    expect(Object.keys(locales)).toEqual(["es"]);
+    expect(errors[0]).toBe('There is no locale bundle for the default language, "en".');
+    expect(errors).toContain('Locale "yy" must be an object with a name.');
+  });
+
+  it('goes round the languages in order', () => {
+    const { locales } = loadLocales({ en, es }, [], []);
+    expect(nextLocale(locales, "en")).toBe("es");
+    expect(nextLocale(locales, "es")).toBe("en");
+  });
+});
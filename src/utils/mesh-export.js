@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+
+/*
+ *	Sample the surface on a regular (resolution + 1) x (resolution + 1)
+ *	grid of u/v values. Grid vertex (i, j) is at index i * (resolution + 1) + j,
+ *	where i steps along u and j along v.
+ */
+const sample = (surface, resolution) => {
+
+	if (!Number.isInteger(resolution) || resolution < 1) {
+		throw new Error(`Mesh resolution must be a positive integer (got ${resolution}).`);
+	}
+
+	const positions = [];
+	const uvs = [];
+	const normals = [];
+
+	for (let i = 0; i <= resolution; i++) {
+		for (let j = 0; j <= resolution; j++) {
+			const u = i / resolution;
+			const v = j / resolution;
+			positions.push(surface.patch(u, v));
+			uvs.push(new THREE.Vector2(u, v));
+			normals.push(surface.normal(u, v));
+		}
+	}
+
+	// two triangles per grid cell, as triples of vertex indices
+	const faces = [];
+	const n = resolution + 1;
+
+	for (let i = 0; i < resolution; i++) {
+		for (let j = 0; j < resolution; j++) {
+			const a = i * n + j;
+			const b = (i + 1) * n + j;
+			const c = (i + 1) * n + j + 1;
+			const d = i * n + j + 1;
+			faces.push([a, b, c], [a, c, d]);
+		}
+	}
+
+	return { positions, uvs, normals, faces };
+};
+
+const facetNormal = (a, b, c) => {
+	const ab = b.clone().sub(a);
+	const ac = c.clone().sub(a);
+	return ab.cross(ac).normalize();
+};
+
+/*
+ *	Wavefront OBJ text for the surface, with texture coordinates
+ *	(u, v) and vertex normals.
+ */
+const toOBJ = (surface, { resolution = 64 } = {}) => {
+
+	const { positions, uvs, normals, faces } = sample(surface, resolution);
+
+	const lines = [
+		'# Coons patch',
+		`# ${positions.length} vertices, ${faces.length} faces`,
+		'o patch'
+	];
+
+	positions.forEach(p => lines.push(`v ${p.x} ${p.y} ${p.z}`));
+	uvs.forEach(t => lines.push(`vt ${t.x} ${t.y}`));
+	normals.forEach(n => lines.push(`vn ${n.x} ${n.y} ${n.z}`));
+
+	// OBJ indices are 1-based
+	faces.forEach(f => {
+		lines.push('f ' + f.map(i => `${i + 1}/${i + 1}/${i + 1}`).join(' '));
+	});
+
+	return lines.join('\n') + '\n';
+};
+
+/*
+ *	ASCII STL text for the surface.
+ */
+const toASCIISTL = (surface, { resolution = 64 } = {}) => {
+
+	const { positions, faces } = sample(surface, resolution);
+
+	const lines = ['solid patch'];
+
+	faces.forEach(f => {
+		const [a, b, c] = f.map(i => positions[i]);
+		const n = facetNormal(a, b, c);
+		lines.push(
+			`  facet normal ${n.x} ${n.y} ${n.z}`,
+			'    outer loop',
+			`      vertex ${a.x} ${a.y} ${a.z}`,
+			`      vertex ${b.x} ${b.y} ${b.z}`,
+			`      vertex ${c.x} ${c.y} ${c.z}`,
+			'    endloop',
+			'  endfacet'
+		);
+	});
+
+	lines.push('endsolid patch');
+
+	return lines.join('\n') + '\n';
+};
+
+/*
+ *	Binary STL for the surface, as an ArrayBuffer:
+ *	80 byte header, uint32 triangle count, then 50 bytes per triangle.
+ */
+const toBinarySTL = (surface, { resolution = 64 } = {}) => {
+
+	const { positions, faces } = sample(surface, resolution);
+
+	const buffer = new ArrayBuffer(84 + 50 * faces.length);
+	const view = new DataView(buffer);
+
+	const header = 'Coons patch';
+	for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+
+	view.setUint32(80, faces.length, true);
+
+	let offset = 84;
+
+	const writeVector = (v) => {
+		view.setFloat32(offset, v.x, true);
+		view.setFloat32(offset + 4, v.y, true);
+		view.setFloat32(offset + 8, v.z, true);
+		offset += 12;
+	};
+
+	faces.forEach(f => {
+		const [a, b, c] = f.map(i => positions[i]);
+		writeVector(facetNormal(a, b, c));
+		writeVector(a);
+		writeVector(b);
+		writeVector(c);
+		// attribute byte count, unused
+		view.setUint16(offset, 0, true);
+		offset += 2;
+	});
+
+	return buffer;
+};
+
+export {
+	sample,
+	toOBJ,
+	toASCIISTL,
+	toBinarySTL
+};
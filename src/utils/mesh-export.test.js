@@ -0,0 +1,40 @@
+import Surface from '../Surface';
+import { sample, toOBJ, toASCIISTL, toBinarySTL } from './mesh-export';
+
+describe('mesh export', () => {
+
+  const surface = new Surface();
+
+  it('samples a (resolution + 1)^2 grid with two triangles per cell', () => {
+    const { positions, uvs, normals, faces } = sample(surface, 4);
+    expect(positions.length).toBe(25);
+    expect(uvs.length).toBe(25);
+    expect(normals.length).toBe(25);
+    expect(faces.length).toBe(32);
+    // the default surface is flat in z
+    normals.forEach(n => expect(Math.abs(n.z)).toBeCloseTo(1));
+  });
+
+  it('rejects bad resolutions', () => {
+    expect(() => sample(surface, 0)).toThrow(/resolution/);
+    expect(() => sample(surface, 2.5)).toThrow(/resolution/);
+  });
+
+  it('writes OBJ with positions, UVs, normals and 1-based faces', () => {
+    const lines = toOBJ(surface, { resolution: 2 }).split('\n');
+    expect(lines.filter(l => l.startsWith('v ')).length).toBe(9);
+    expect(lines.filter(l => l.startsWith('vt ')).length).toBe(9);
+    expect(lines.filter(l => l.startsWith('vn ')).length).toBe(9);
+    expect(lines.filter(l => l.startsWith('f ')).length).toBe(8);
+    expect(lines).toContain('f 1/1/1 4/4/4 5/5/5');
+  });
+
+  it('writes ASCII and binary STL', () => {
+    const ascii = toASCIISTL(surface, { resolution: 2 });
+    expect(ascii.match(/facet normal/g).length).toBe(8);
+
+    const binary = toBinarySTL(surface, { resolution: 2 });
+    expect(binary.byteLength).toBe(84 + 50 * 8);
+    expect(new DataView(binary).getUint32(80, true)).toBe(8);
+  });
+});
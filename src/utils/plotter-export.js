@@ -0,0 +1,290 @@
+import _ from 'lodash';
+
+import { projectLines } from './vector-export';
+
+/*
+ *	Pen-plotter drawings (HPGL and G-code) of the visible isolines of a
+ *	surface, projected by the camera just as for SVG (see vector-export.js).
+ *	Distances are in millimeters, with the origin at the lower left corner
+ *	of the paper and y up.
+ */
+
+// paper sizes in mm, portrait
+const PAPER = {
+	A5: { width: 148, height: 210 },
+	A4: { width: 210, height: 297 },
+	A3: { width: 297, height: 420 },
+	letter: { width: 215.9, height: 279.4 },
+	tabloid: { width: 279.4, height: 431.8 }
+};
+
+// HPGL plotter units per mm
+const HPGL_UNITS = 40;
+
+/*
+ *	Clip a polyline to the view (-1 to 1 in x and y), returning the
+ *	polylines that remain. Segments are clipped by Liang-Barsky.
+ */
+const clip = (line) => {
+
+	const inside = p => Math.abs(p.x) <= 1 && Math.abs(p.y) <= 1;
+
+	const clipSegment = (a, b) => {
+
+		const dx = b.x - a.x;
+		const dy = b.y - a.y;
+		let t0 = 0;
+		let t1 = 1;
+
+		const edges = [[-dx, a.x + 1], [dx, 1 - a.x], [-dy, a.y + 1], [dy, 1 - a.y]];
+
+		for (let [p, q] of edges) {
+			if (p === 0) {
+				if (q < 0) return null;
+			} else {
+				const t = q / p;
+				if (p < 0) t0 = Math.max(t0, t);
+				else t1 = Math.min(t1, t);
+			}
+		}
+
+		if (t0 > t1) return null;
+
+		return [
+			{ x: a.x + t0 * dx, y: a.y + t0 * dy },
+			{ x: a.x + t1 * dx, y: a.y + t1 * dy }
+		];
+	};
+
+	const lines = [];
+	let current = [];
+
+	for (let i = 0; i < line.length - 1; i++) {
+
+		const segment = clipSegment(line[i], line[i + 1]);
+
+		if (_.isNil(segment)) {
+			if (current.length > 1) lines.push(current);
+			current = [];
+			continue;
+		}
+
+		if (current.length === 0) current.push(segment[0]);
+		current.push(segment[1]);
+
+		// leaving the view
+		if (!inside(line[i + 1])) {
+			if (current.length > 1) lines.push(current);
+			current = [];
+		}
+	}
+
+	if (current.length > 1) lines.push(current);
+
+	return lines;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/*
+ *	Order polylines (reversing any of them as needed) so that each starts
+ *	near where the last one ended, greedily from `start`.
+ */
+const optimizeOrder = (lines, start = { x: 0, y: 0 }) => {
+
+	const remaining = lines.slice();
+	const ordered = [];
+	let at = start;
+
+	while (remaining.length > 0) {
+
+		let best = 0;
+		let reverse = false;
+		let closest = Infinity;
+
+		for (let i = 0; i < remaining.length; i++) {
+			const line = remaining[i];
+			const toStart = distance(at, line[0]);
+			const toEnd = distance(at, line[line.length - 1]);
+			if (toStart < closest) [best, reverse, closest] = [i, false, toStart];
+			if (toEnd < closest) [best, reverse, closest] = [i, true, toEnd];
+		}
+
+		const [line] = remaining.splice(best, 1);
+		const next = reverse ? line.slice().reverse() : line;
+
+		ordered.push(next);
+		at = next[next.length - 1];
+	}
+
+	return ordered;
+};
+
+/*
+ *	Total distance travelled with the pen up, from `start` through each
+ *	polyline in turn.
+ */
+const penUpDistance = (lines, start = { x: 0, y: 0 }) => {
+	let at = start;
+	return lines.reduce((total, line) => {
+		const d = distance(at, line[0]);
+		at = line[line.length - 1];
+		return total + d;
+	}, 0);
+};
+
+/*
+ *	The printable area of the paper, { x, y, width, height } in mm.
+ */
+const printable = ({ paper = "A4", landscape = true, margin = 10 }) => {
+
+	const size = _.isString(paper) ? PAPER[paper] : paper;
+
+	if (_.isNil(size) || !(size.width > 0) || !(size.height > 0)) {
+		throw new Error(`Unknown paper size "${paper}" (use one of ${_.keys(PAPER).join(", ")}, or { width, height } in mm).`);
+	}
+
+	const width = landscape ? Math.max(size.width, size.height) : Math.min(size.width, size.height);
+	const height = landscape ? Math.min(size.width, size.height) : Math.max(size.width, size.height);
+
+	if (!(margin >= 0) || 2 * margin >= Math.min(width, height)) {
+		throw new Error(`The margin must be at least 0 and leave room to draw (got ${margin}).`);
+	}
+
+	return { x: margin, y: margin, width: width - 2 * margin, height: height - 2 * margin };
+};
+
+/*
+ *	The visible isolines as pens of polylines on the paper, in mm.
+ *	Returns a list of { pen, name, lines } in the order to plot them.
+ *
+ *	options (also those of projectLines):
+ *	- paper: "A5", "A4", "A3", "letter", "tabloid" or { width, height } (default "A4")
+ *	- landscape: default true
+ *	- margin: in mm (default 10)
+ *	- aspect: width / height of the view (default the camera's, or 1)
+ *	- separatePens: U curves with pen 1 and V curves with pen 2 (default false)
+ *	- optimize: order lines to cut pen-up travel (default true)
+ */
+const plot = (surface, camera, options = {}) => {
+
+	const {
+		aspect = camera.isOrthographicCamera ? (camera.right - camera.left) / (camera.top - camera.bottom) : camera.aspect || 1,
+		separatePens = false,
+		optimize = true
+	} = options;
+
+	const area = printable(options);
+
+	// fit the view in the printable area, centered
+	const scale = Math.min(area.width / aspect, area.height);
+	const w = scale * aspect;
+	const h = scale;
+	const x0 = area.x + (area.width - w) / 2;
+	const y0 = area.y + (area.height - h) / 2;
+
+	const toPaper = ({ x, y }) => ({ x: x0 + (x + 1) / 2 * w, y: y0 + (y + 1) / 2 * h });
+
+	const projected = projectLines(surface, camera, Object.assign({}, options, { axes: false }));
+	const onPaper = lines => _.flatMap(lines, clip).map(line => line.map(toPaper));
+
+	const pens = separatePens ? [
+		{ pen: 1, name: "U curves", lines: onPaper(projected.u.visible) },
+		{ pen: 2, name: "V curves", lines: onPaper(projected.v.visible) }
+	] : [
+		{ pen: 1, name: "curves", lines: onPaper(projected.u.visible.concat(projected.v.visible)) }
+	];
+
+	if (!optimize) return pens;
+
+	// each pen starts from where the last one left off
+	let at = { x: 0, y: 0 };
+
+	return pens.map(({ pen, name, lines }) => {
+		const ordered = optimizeOrder(lines, at);
+		if (ordered.length > 0) at = _.last(_.last(ordered));
+		return { pen, name, lines: ordered };
+	});
+};
+
+/*
+ *	HPGL for a plotter, in plotter units of 0.025 mm.
+ */
+const toHPGL = (surface, camera, options = {}) => {
+
+	const unit = x => Math.round(x * HPGL_UNITS);
+	const point = p => `${unit(p.x)},${unit(p.y)}`;
+
+	const commands = ['IN;'];
+
+	plot(surface, camera, options).forEach(({ pen, lines }) => {
+		commands.push(`SP${pen};`);
+		lines.forEach((line) => {
+			commands.push(`PU${point(line[0])};`);
+			commands.push(`PD${line.slice(1).map(point).join(',')};`);
+		});
+	});
+
+	commands.push('PU;', 'SP0;');
+
+	return commands.join('\n') + '\n';
+};
+
+/*
+ *	G-code for a pen plotter (or a pen in a CNC machine / 3D printer).
+ *	Raising and lowering the pen differs between machines, so both are
+ *	options. Between pens the machine pauses (M0) for the pen to be changed.
+ *
+ *	options (also those of plot):
+ *	- penUp: default "G0 Z5"
+ *	- penDown: default "G1 Z0 F1000"
+ *	- feedRate: drawing speed in mm/min (default 1500)
+ */
+const toGCode = (surface, camera, options = {}) => {
+
+	const {
+		penUp = 'G0 Z5',
+		penDown = 'G1 Z0 F1000',
+		feedRate = 1500
+	} = options;
+
+	const round = x => Math.round(x * 1000) / 1000;
+	const point = p => `X${round(p.x)} Y${round(p.y)}`;
+
+	const pens = plot(surface, camera, options);
+
+	const commands = [
+		'; Coons patch isolines',
+		'G21 ; millimeters',
+		'G90 ; absolute positions',
+		penUp
+	];
+
+	pens.forEach(({ pen, name, lines }, i) => {
+
+		if (pens.length > 1) {
+			commands.push(`; pen ${pen}: ${name}`);
+			if (i > 0) commands.push('G0 X0 Y0', `M0 ; change to pen ${pen}`);
+		}
+
+		lines.forEach((line) => {
+			commands.push(`G0 ${point(line[0])}`, penDown);
+			line.slice(1).forEach(p => commands.push(`G1 ${point(p)} F${feedRate}`));
+			commands.push(penUp);
+		});
+	});
+
+	commands.push('G0 X0 Y0');
+
+	return commands.join('\n') + '\n';
+};
+
+export {
+	PAPER,
+	clip,
+	optimizeOrder,
+	penUpDistance,
+	plot,
+	toHPGL,
+	toGCode
+};
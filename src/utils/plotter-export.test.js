@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import _ from 'lodash';
+import Surface from '../Surface';
+import { clip, optimizeOrder, penUpDistance, plot, toHPGL, toGCode } from './plotter-export';
+
+const camera = () => {
+  const c = new THREE.PerspectiveCamera(45, 1.5, 0.1, 100);
+  c.position.set(2, 1, 1.5);
+  c.lookAt(new THREE.Vector3(0, 0, 0));
+  return c;
+};
+
+describe('plotter export', () => {
+
+  it('clips lines to the view', () => {
+    const lines = clip([{ x: -2, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 2 }, { x: 0.5, y: 2 }, { x: 0.5, y: 0 }]);
+    expect(lines).toEqual([
+      [{ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }],
+      [{ x: 0.5, y: 1 }, { x: 0.5, y: 0 }]
+    ]);
+  });
+
+  it('orders and reverses lines to cut pen-up travel', () => {
+    const lines = [
+      [{ x: 10, y: 0 }, { x: 20, y: 0 }],
+      [{ x: 1, y: 0 }, { x: 0, y: 0 }],
+      [{ x: 10, y: 1 }, { x: 2, y: 1 }]
+    ];
+    const ordered = optimizeOrder(lines);
+    expect(ordered).toEqual([
+      [{ x: 0, y: 0 }, { x: 1, y: 0 }],
+      [{ x: 2, y: 1 }, { x: 10, y: 1 }],
+      [{ x: 10, y: 0 }, { x: 20, y: 0 }]
+    ]);
+    expect(penUpDistance(ordered)).toBeLessThan(penUpDistance(lines));
+  });
+
+  it('fits the drawing inside the margins of the paper', () => {
+    const pens = plot(new Surface(), camera(), { paper: "A4", landscape: true, margin: 20 });
+    const points = _.flattenDeep(pens.map(p => p.lines));
+    expect(points.length).toBeGreaterThan(0);
+    points.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(20 - 1e-9);
+      expect(x).toBeLessThanOrEqual(297 - 20 + 1e-9);
+      expect(y).toBeGreaterThanOrEqual(20 - 1e-9);
+      expect(y).toBeLessThanOrEqual(210 - 20 + 1e-9);
+    });
+
+    expect(() => plot(new Surface(), camera(), { paper: "B7" })).toThrow(/paper/);
+    expect(() => plot(new Surface(), camera(), { margin: 200 })).toThrow(/margin/);
+  });
+
+  it('uses separate pens for U and V curves if asked', () => {
+    const surface = new Surface();
+    expect(plot(surface, camera()).map(p => p.pen)).toEqual([1]);
+
+    const pens = plot(surface, camera(), { separatePens: true });
+    expect(pens.map(p => p.pen)).toEqual([1, 2]);
+
+    const hpgl = toHPGL(surface, camera(), { separatePens: true }).split('\n');
+    expect(hpgl[0]).toBe('IN;');
+    expect(hpgl.filter(c => /^SP[12];$/.test(c))).toEqual(['SP1;', 'SP2;']);
+    expect(hpgl.filter(c => c.startsWith('PU') && c !== 'PU;').length).toBe(pens[0].lines.length + pens[1].lines.length);
+
+    const gcode = toGCode(surface, camera(), { separatePens: true });
+    expect(gcode).toMatch(/^G21/m);
+    expect(gcode.match(/^M0 /gm).length).toBe(1);
+    expect(gcode.match(/^G1 Z0/gm).length).toBe(pens[0].lines.length + pens[1].lines.length);
+  });
+
+  it('keeps the proportions of an orthographic view', () => {
+    const c = new THREE.OrthographicCamera(-1.5, 1.5, 1, -1, 0.1, 100);
+    c.position.set(0, 0, 5);
+    c.lookAt(new THREE.Vector3(0, 0, 0));
+    c.updateMatrixWorld();
+
+    const points = _.flattenDeep(plot(new Surface(), c).map(p => p.lines));
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+
+    // the default surface is a square, seen straight on
+    expect(_.max(xs) - _.min(xs)).toBeCloseTo(_.max(ys) - _.min(ys), 6);
+  });
+});
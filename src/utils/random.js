@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import _ from 'lodash';
+
+/*
+ *	Seeded random numbers, so that a random surface can be made again
+ *	from its seed: a whole number from 0 to MAX_SEED.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+const AXES = ["x", "y", "z"];
+
+// a new seed, for when none is given
+const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+/*
+ *	A function returning numbers from 0 (inclusive) to 1 (exclusive),
+ *	like Math.random, always the same sequence for the same seed
+ *	(the mulberry32 generator).
+ */
+const generator = (seed) => {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+/*
+ *	Seeds typed in or passed in the URL, separated by commas or spaces.
+ *	Returns `{ seeds, error }`, with no seeds if any of them is invalid,
+ *	and the error as `{ key, values }` of a message in the locale bundles
+ *	(see utils/locale.js).
+ */
+const parseSeeds = (text) => {
+
+	const parts = _.compact(String(text).split(/[\s,]+/));
+
+	if (parts.length === 0) return { seeds: [], error: { key: "seedMissing", values: {} } };
+
+	const invalid = parts.find(p => !/^\d+$/.test(p) || Number(p) > MAX_SEED);
+
+	if (!_.isUndefined(invalid)) {
+		return { seeds: [], error: { key: "seedInvalid", values: { seed: invalid, max: MAX_SEED } } };
+	}
+
+	return { seeds: parts.map(Number), error: null };
+};
+
+/*
+ *	Check the amplitude and per-axis constraints for randomizing,
+ *	throwing an Error if they are invalid. `axes` scales the amplitude
+ *	along each of x, y and z (default 1); 0 keeps points from moving
+ *	along that axis.
+ */
+const checkRandomOptions = ({ amplitude, axes = {} }) => {
+
+	if (!_.isFinite(amplitude) || amplitude < 0) {
+		throw new Error(`The amplitude must be a number, at least 0 (got ${amplitude}).`);
+	}
+
+	_.forEach(axes, (scale, axis) => {
+		if (AXES.indexOf(axis) === -1) throw new Error(`Unknown axis "${axis}" (expected x, y or z).`);
+		if (!_.isFinite(scale) || scale < 0) throw new Error(`The scale for the ${axis} axis must be a number, at least 0 (got ${scale}).`);
+	});
+};
+
+/*
+ *	A random offset with each of x, y and z from -amplitude to amplitude,
+ *	times the scale for that axis. Takes three numbers from `random`
+ *	even for axes that can't move, so that the same seed moves the
+ *	others the same way.
+ */
+const jitter = (random, amplitude, axes = {}) => {
+	const [x, y, z] = AXES.map(k => (2 * random() - 1) * amplitude * _.get(axes, k, 1));
+	return new THREE.Vector3(x, y, z);
+};
+
+export {
+	MAX_SEED,
+	randomSeed,
+	generator,
+	parseSeeds,
+	checkRandomOptions,
+	jitter
+};
@@ -0,0 +1,38 @@
+import { MAX_SEED, generator, parseSeeds, jitter } from './random';
+
+describe('random', () => {
+
+  it('repeats the same numbers for the same seed', () => {
+    const a = generator(42);
+    const b = generator(42);
+    const c = generator(43);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect(c()).not.toBe(first[0]);
+    first.forEach((x) => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    });
+  });
+
+  it('parses seeds separated by commas or spaces', () => {
+    expect(parseSeeds("12, 34 56")).toEqual({ seeds: [12, 34, 56], error: null });
+    expect(parseSeeds(String(MAX_SEED)).seeds).toEqual([MAX_SEED]);
+    expect(parseSeeds("").error).toEqual({ key: "seedMissing", values: {} });
+    expect(parseSeeds("12, -3").error).toEqual({ key: "seedInvalid", values: { seed: "-3", max: MAX_SEED } });
+    expect(parseSeeds(String(MAX_SEED + 1)).seeds).toEqual([]);
+    expect(parseSeeds("1.5").error.values.seed).toBe("1.5");
+  });
+
+  it('jitters within the amplitude, taking three numbers either way', () => {
+    const a = generator(1);
+    const b = generator(1);
+    const free = jitter(a, 0.2);
+    const flat = jitter(b, 0.2, { z: 0 });
+    expect(flat.x).toBe(free.x);
+    expect(flat.y).toBe(free.y);
+    expect(flat.z).toBe(0);
+    expect(a()).toBe(b());
+    [free.x, free.y, free.z].forEach(x => expect(Math.abs(x)).toBeLessThanOrEqual(0.2));
+  });
+});
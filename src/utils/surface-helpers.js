@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 
+import { lineGeometryFrom } from './line-geometry';
+
 // helper for new vec3
 const p = (x, y, z = 0.5) => new THREE.Vector3(x - 0.5, y - 0.5, z - 0.5);
 
@@ -28,24 +30,37 @@ const controlPtMaterial = new THREE.MeshBasicMaterial({
 const activeControlPointMaterial = controlPtMaterial.clone();
 activeControlPointMaterial.transparent = false;
 
-const axisLength = 0.2;
+const surfaceMaterial = new THREE.MeshPhongMaterial({
+	color: 0x8899aa,
+	specular: 0x222222,
+	shininess: 20,
+	side: THREE.DoubleSide,
+	// push the faces back a little so that isolines drawn
+	// on top of them don't flicker
+	polygonOffset: true,
+	polygonOffsetFactor: 1,
+	polygonOffsetUnits: 1
+});
+
+const curvatureMaterial = surfaceMaterial.clone();
+curvatureMaterial.color.set(0xffffff);
+curvatureMaterial.vertexColors = THREE.VertexColors;
 
-const axisGeoX = new THREE.Geometry();
-const axisGeoY = new THREE.Geometry();
-const axisGeoZ = new THREE.Geometry();
+const axisLength = 0.2;
 
-axisGeoX.vertices.push(
+// dashed, so with line distances
+const axisGeoX = lineGeometryFrom([
 	new THREE.Vector3(-axisLength, 0, 0),
 	new THREE.Vector3( axisLength, 0, 0)
-);
-axisGeoY.vertices.push(
+], true);
+const axisGeoY = lineGeometryFrom([
 	new THREE.Vector3(0, -axisLength, 0),
 	new THREE.Vector3(0,  axisLength, 0)
-);
-axisGeoZ.vertices.push(
+], true);
+const axisGeoZ = lineGeometryFrom([
 	new THREE.Vector3(0, 0, -axisLength),
 	new THREE.Vector3(0, 0,  axisLength)
-);
+], true);
 
 const axisMaterial = new THREE.LineDashedMaterial({
 	color: 0xffffff,
@@ -94,9 +109,6 @@ arrowTwoZ.position.set(0, 0, -axisLength);
 const lineX = new THREE.Line(axisGeoX, axisMaterial.clone());
 const lineY = new THREE.Line(axisGeoY, axisMaterial.clone());
 const lineZ = new THREE.Line(axisGeoZ, axisMaterial.clone());
-lineX.computeLineDistances();
-lineY.computeLineDistances();
-lineZ.computeLineDistances();
 
 axisX.add(lineX);
 axisX.add(arrowOneX);
@@ -117,6 +129,8 @@ export {
 	controlMaterial,
 	controlPtMaterial,
 	activeControlPointMaterial,
+	surfaceMaterial,
+	curvatureMaterial,
 	axisX,
 	axisY,
 	axisZ
@@ -0,0 +1,165 @@
+import _ from 'lodash';
+import * as THREE from 'three';
+
+/*
+ *	Adaptive sampling of curves, for drawing isolines with as many
+ *	vertices as their shape needs. Each curve starts as `minSegments`
+ *	equal segments. Then the segment straying furthest from a straight
+ *	line -- by the distance from the curve at its middle to the middle
+ *	of its chord -- is split in two, and so on until none strays more
+ *	than `tolerance`, or there are `maxVertices` in all.
+ */
+
+const MODES = ["adaptive", "fixed"];
+
+/*
+ *	The tolerance (in world units) for a quality from 0 to 1:
+ *	0.02 at 0, down to 0.0002 at 1.
+ */
+const toleranceFor = quality => 0.02 * Math.pow(0.01, quality);
+
+/*
+ *	Check tessellation options for a surface, throwing an Error if
+ *	any is invalid:
+ *	- mode: "adaptive", or "fixed" for a vertex every stepSize
+ *	- quality: from 0 to 1
+ *	- maxVertices: a whole number, at least 1
+ */
+const checkTessellation = ({ mode, quality, maxVertices }) => {
+
+	if (MODES.indexOf(mode) === -1) {
+		throw new Error(`Unknown tessellation mode "${mode}" (use ${MODES.join(" or ")}).`);
+	}
+
+	if (!_.isFinite(quality) || quality < 0 || quality > 1) {
+		throw new Error(`The quality must be a number from 0 to 1 (got ${quality}).`);
+	}
+
+	if (!Number.isInteger(maxVertices) || maxVertices < 1) {
+		throw new Error(`The vertex budget must be a whole number, at least 1 (got ${maxVertices}).`);
+	}
+};
+
+/*
+ *	A binary heap of segments, the one with the largest error on top.
+ */
+class Heap {
+
+	constructor() {
+		this.items = [];
+	}
+
+	size() { return this.items.length; }
+
+	peek() { return this.items[0]; }
+
+	push(item) {
+		const { items } = this;
+		let i = items.push(item) - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (items[parent].error >= item.error) break;
+			items[i] = items[parent];
+			i = parent;
+		}
+		items[i] = item;
+	}
+
+	pop() {
+
+		const { items } = this;
+		const top = items[0];
+		const last = items.pop();
+
+		if (items.length === 0) return top;
+
+		let i = 0;
+		for (;;) {
+			const left = 2 * i + 1;
+			const right = left + 1;
+			let largest = i;
+			let error = last.error;
+			if (left < items.length && items[left].error > error) [largest, error] = [left, items[left].error];
+			if (right < items.length && items[right].error > error) largest = right;
+			if (largest === i) break;
+			items[i] = items[largest];
+			i = largest;
+		}
+		items[i] = last;
+
+		return top;
+	}
+}
+
+// the middle of a chord, reused
+const chordMiddle = new THREE.Vector3();
+
+/*
+ *	Sample `curves`, each a function from t (0 to 1), and a vector it
+ *	may set, to a THREE.Vector3. Returns, for each curve, its samples as
+ *	{ t, point } in order of t. No curve has fewer than minSegments + 1,
+ *	even if that is over budget.
+ *
+ *	Given a `pool` (an array, empty to start with), samples are taken
+ *	from it -- and added to it, as needed -- rather than made anew, so
+ *	that sampling the same curves again allocates no vectors. They then
+ *	only hold until the pool is next used.
+ */
+const tessellate = (curves, { tolerance, maxVertices = Infinity, minSegments = 4, pool = null }) => {
+
+	if (!(tolerance > 0)) throw new Error(`The tolerance must be greater than 0 (got ${tolerance}).`);
+
+	const heap = new Heap();
+	const samples = curves.map(() => []);
+	let vertices = 0;
+	let pooled = 0;
+
+	const sample = (c, t) => {
+
+		let s;
+		if (_.isNil(pool)) {
+			s = { t, point: new THREE.Vector3() };
+		} else {
+			if (pooled === pool.length) pool.push({ t, point: new THREE.Vector3() });
+			s = pool[pooled++];
+		}
+
+		s.t = t;
+		s.point = curves[c](t, s.point);
+		return s;
+	};
+
+	const add = (c, s) => {
+		samples[c].push(s);
+		vertices++;
+	};
+
+	// a segment, with its midpoint ready in case it is split
+	const segment = (c, a, b) => {
+		const mid = sample(c, (a.t + b.t) / 2);
+		const error = mid.point.distanceTo(chordMiddle.copy(a.point).add(b.point).multiplyScalar(0.5));
+		heap.push({ c, a, b, mid, error });
+	};
+
+	curves.forEach((curve, c) => {
+		const start = _.range(minSegments + 1).map(i => sample(c, i / minSegments));
+		start.forEach(s => add(c, s));
+		for (let i = 0; i < minSegments; i++) segment(c, start[i], start[i + 1]);
+	});
+
+	while (vertices < maxVertices && heap.size() > 0 && heap.peek().error > tolerance) {
+		const { c, a, b, mid } = heap.pop();
+		add(c, mid);
+		segment(c, a, mid);
+		segment(c, mid, b);
+	}
+
+	return samples.map(list => list.sort((a, b) => a.t - b.t));
+};
+
+export {
+	MODES,
+	toleranceFor,
+	checkTessellation,
+	tessellate
+};
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+import { toleranceFor, checkTessellation, tessellate } from './tessellate';
+
+const line = t => new THREE.Vector3(t, 2 * t, 0);
+const circle = t => new THREE.Vector3(Math.cos(2 * Math.PI * t), Math.sin(2 * Math.PI * t), 0);
+
+// the largest distance from the curve to the polyline through its samples
+const chordError = (curve, samples) => {
+	let worst = 0;
+	for (let i = 0; i < samples.length - 1; i++) {
+		const a = samples[i];
+		const b = samples[i + 1];
+		for (let k = 1; k < 8; k++) {
+			const s = k / 8;
+			const on = curve(a.t + s * (b.t - a.t));
+			worst = Math.max(worst, on.distanceTo(a.point.clone().lerp(b.point, s)));
+		}
+	}
+	return worst;
+};
+
+describe('tessellate', () => {
+
+	it('leaves straight curves with just their first segments', () => {
+		const [samples] = tessellate([line], { tolerance: 1e-4 });
+		expect(samples.map(s => s.t)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+		expect(samples[2].point.toArray()).toEqual([0.5, 1, 0]);
+	});
+
+	it('adds vertices where curves bend, to within the tolerance', () => {
+		const bend = t => new THREE.Vector3(t, Math.exp(-200 * (t - 0.3) * (t - 0.3)), 0);
+		const [samples] = tessellate([bend], { tolerance: 1e-3 });
+
+		expect(chordError(bend, samples)).toBeLessThan(2e-3);
+
+		// most of them around the bump
+		const near = samples.filter(s => Math.abs(s.t - 0.3) < 0.2).length;
+		expect(near).toBeGreaterThan(samples.length * 0.7);
+
+		const ts = samples.map(s => s.t);
+		expect(ts).toEqual(ts.slice().sort((a, b) => a - b));
+	});
+
+	it('uses more vertices for a smaller tolerance', () => {
+		const coarse = tessellate([circle], { tolerance: toleranceFor(0) })[0];
+		const fine = tessellate([circle], { tolerance: toleranceFor(1) })[0];
+		expect(fine.length).toBeGreaterThan(3 * coarse.length);
+		expect(chordError(circle, fine)).toBeLessThan(chordError(circle, coarse));
+	});
+
+	it('keeps within the vertex budget, spending it where it is needed', () => {
+		const [flat, round] = tessellate([line, circle], { tolerance: 1e-6, maxVertices: 100 });
+		expect(flat.length + round.length).toBe(100);
+		expect(flat.length).toBe(5);
+	});
+
+	it('never goes below the starting segments', () => {
+		const result = tessellate([line, circle, circle], { tolerance: 1e-3, maxVertices: 1, minSegments: 2 });
+		expect(result.map(r => r.length)).toEqual([3, 3, 3]);
+	});
+
+	it('reuses the samples in a pool, setting their points in place', () => {
+		const pool = [];
+		const set = (t, target) => target.set(Math.cos(2 * Math.PI * t), Math.sin(2 * Math.PI * t), 0);
+		const [first] = tessellate([set], { tolerance: 1e-3, pool });
+		const points = first.map(s => s.point);
+		const size = pool.length;
+
+		const [again] = tessellate([set], { tolerance: 1e-3, pool });
+		expect(pool.length).toBe(size);
+		expect(again.map(s => s.point)).toEqual(points);
+		again.forEach(s => expect(points.indexOf(s.point)).toBeGreaterThan(-1));
+		expect(again.map(s => s.t)).toEqual(tessellate([circle], { tolerance: 1e-3 })[0].map(s => s.t));
+	});
+
+	it('checks its options', () => {
+		expect(() => tessellate([line], { tolerance: 0 })).toThrow(/tolerance/);
+		const valid = { mode: "adaptive", quality: 0.5, maxVertices: 100 };
+		expect(() => checkTessellation(valid)).not.toThrow();
+		expect(() => checkTessellation(Object.assign({}, valid, { mode: "smooth" }))).toThrow(/mode "smooth"/);
+		expect(() => checkTessellation(Object.assign({}, valid, { quality: 2 }))).toThrow(/quality/);
+		expect(() => checkTessellation(Object.assign({}, valid, { maxVertices: 0.5 }))).toThrow(/vertex budget/);
+	});
+});
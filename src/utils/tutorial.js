@@ -0,0 +1,114 @@
+import _ from 'lodash';
+
+/*
+ *	Tutorial steps, as in src/tutorial/steps.json. Each is an object:
+ *
+ *	- id: a name for the step, its own
+ *	- hide: true for no overlay, leaving the screen to try things on
+ *	- lockKeys: true to ignore every key but TUTORIAL and EXIT
+ *	- restore: true to restore the surface when the step starts
+ *	- highlight: CSS selectors of things on screen to point out
+ *	- until: a condition that, once met, moves on to the next step:
+ *	  { "action": id } once that action is taken,
+ *	  { "moved": distance } once a control point is further than
+ *	  that from where it was, or { "rotated": degrees } once the
+ *	  camera has turned that far around and up or down from where it was
+ *
+ *	The words of a step -- a `title` and `text` (paragraphs of HTML) for
+ *	the overlay, and `helperText` to show during it -- are in the locale
+ *	bundles, by the step's id (see utils/locale.js).
+ *
+ *	A step that can't be shown or met is left out, with a message
+ *	saying why, rather than stopping the tutorial.
+ */
+
+const CONDITIONS = ["action", "moved", "rotated"];
+
+// how far the camera has turned from `a` to `b` (each { azimuth, altitude },
+// see CanvasView), in degrees: around (the shorter way) and up or down together
+const turnBetween = (a, b) => {
+	const around = b.azimuth - a.azimuth;
+	const shorter = around - 2 * Math.PI * Math.round(around / (2 * Math.PI));
+	return Math.sqrt(shorter * shorter + Math.pow(b.altitude - a.altitude, 2)) * 180 / Math.PI;
+};
+
+const checkCondition = (until, actions) => {
+
+	const keys = _.keys(until);
+
+	if (!_.isPlainObject(until) || keys.length !== 1 || CONDITIONS.indexOf(keys[0]) === -1) {
+		return `must be one of ${CONDITIONS.map(c => `{ "${c}": ... }`).join(", ")}`;
+	}
+
+	if ("action" in until && actions.indexOf(until.action) === -1) return `has unknown action "${until.action}"`;
+	if ("moved" in until && !(until.moved > 0)) return "must move a distance greater than 0";
+	if ("rotated" in until && !(until.rotated > 0 && until.rotated <= 180)) return "must rotate from 0 to 180 degrees";
+
+	return null;
+};
+
+/*
+ *	Read tutorial steps (already parsed), with `actions` the known
+ *	action ids. Returns `{ steps, errors }`, with only the valid steps.
+ */
+const loadSteps = (steps, actions) => {
+
+	if (!_.isArray(steps)) return { steps: [], errors: ["The tutorial has no steps."] };
+
+	const errors = [];
+	const ids = [];
+
+	const valid = steps.filter((step, i) => {
+
+		const name = _.isPlainObject(step) && _.isString(step.id) ? `"${step.id}"` : `${i + 1}`;
+		const error = (message) => {
+			errors.push(`Tutorial step ${name} ${message}.`);
+			return false;
+		};
+
+		if (!_.isPlainObject(step) || !_.isString(step.id)) return error("must be an object with an id");
+		if (ids.indexOf(step.id) > -1) return error("comes twice");
+		ids.push(step.id);
+
+		if (!_.isNil(step.highlight) && !(_.isArray(step.highlight) && step.highlight.every(_.isString))) return error("must highlight a list of CSS selectors");
+
+		if (!_.isNil(step.until)) {
+			const problem = checkCondition(step.until, actions);
+			if (problem) return error(`condition ${problem}`);
+		}
+
+		return true;
+	});
+
+	return { steps: valid, errors };
+};
+
+/*
+ *	A step's `until` condition, from where things stood when it started:
+ *	a function taking where they stand now, and telling whether it is met.
+ *	Each of `start` and `now` is
+ *
+ *	{ actions, points, camera }
+ *
+ *	with `actions` the ids of actions taken since the step started,
+ *	`points` the control points (THREE.Vector3s, in order) and `camera`
+ *	{ azimuth, altitude }.
+ */
+const condition = (until, start) => {
+
+	if ("action" in until) return now => now.actions.indexOf(until.action) > -1;
+
+	if ("moved" in until) {
+		const points = start.points.map(pt => pt.clone());
+		return now => now.points.some((pt, i) => i < points.length && pt.distanceTo(points[i]) > until.moved);
+	}
+
+	const camera = _.clone(start.camera);
+	return now => turnBetween(camera, now.camera) >= until.rotated;
+};
+
+export {
+	CONDITIONS,
+	loadSteps,
+	condition
+};
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { loadSteps, condition } from './tutorial';
+import stepsFile from '../tutorial/steps.json';
+
+const actions = ["MORPH", "TUTORIAL", "ZOOM"];
+
+describe('Tutorial', () => {
+
+  it('ships steps that all load', () => {
+    const { steps, errors } = loadSteps(stepsFile, actions);
+    expect(errors).toEqual([]);
+    expect(steps.length).toBe(stepsFile.length);
+  });
+
+  it('leaves out steps whose condition could never be met', () => {
+    const { steps, errors } = loadSteps([
+      { id: "a", until: { action: "SPIN" } },
+      { id: "b", until: { moved: 0.2, rotated: 90 } },
+      { id: "c", until: { moved: 0 } },
+      { id: "d", until: { rotated: 270 } },
+      { id: "e", until: { rotated: 180 } },
+      { id: "f", until: { action: "MORPH" } }
+    ], actions);
+
+    expect(steps.map(step => step.id)).toEqual(["e", "f"]);
+    expect(errors).toEqual([
+      'Tutorial step "a" condition has unknown action "SPIN".',
+      'Tutorial step "b" condition must be one of { "action": ... }, { "moved": ... }, { "rotated": ... }.',
+      'Tutorial step "c" condition must move a distance greater than 0.',
+      'Tutorial step "d" condition must rotate from 0 to 180 degrees.'
+    ]);
+  });
+
+  it('highlights lists of selectors only', () => {
+    const { steps, errors } = loadSteps([
+      { id: "a", highlight: ".action" },
+      { id: "b", highlight: [".action", 3] },
+      { id: "c", highlight: [".action", ".coordinates"] }
+    ], actions);
+
+    expect(steps.map(step => step.id)).toEqual(["c"]);
+    expect(errors.length).toBe(2);
+    expect(errors[0]).toBe('Tutorial step "a" must highlight a list of CSS selectors.');
+  });
+
+  it('keeps the first of two steps with one id, and numbers steps without', () => {
+    const { steps, errors } = loadSteps([
+      { id: "a", hide: true },
+      { id: "a" },
+      { title: "No id" }
+    ], actions);
+
+    expect(steps).toEqual([{ id: "a", hide: true }]);
+    expect(errors).toEqual(['Tutorial step "a" comes twice.', 'Tutorial step 3 must be an object with an id.']);
+    expect(loadSteps({}, actions).errors).toEqual(["The tutorial has no steps."]);
+  });
+
+  // where things stand, as CanvasView.tutorialState() has it
+  const state = (changes = {}) => Object.assign({
+    actions: [],
+    points: [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0)],
+    camera: { azimuth: 0, altitude: 0 }
+  }, changes);
+
+  it('is met once the action is taken', () => {
+    const met = condition({ action: "MORPH" }, state());
+    expect(met(state({ actions: ["ZOOM"] }))).toBe(false);
+    expect(met(state({ actions: ["ZOOM", "MORPH"] }))).toBe(true);
+  });
+
+  it('is met once a control point moves far enough from where it was', () => {
+    const start = state();
+    const met = condition({ moved: 0.2 }, start);
+
+    // moving the start's own points doesn't move where they were
+    start.points[1].x = 1.1;
+    expect(met(start)).toBe(false);
+
+    expect(met(state({ points: [new THREE.Vector3(0, 0.15, 0), new THREE.Vector3(1, 0, 0)] }))).toBe(false);
+    expect(met(state({ points: [new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0.25)] }))).toBe(true);
+  });
+
+  it('is met once the camera turns far enough, either way', () => {
+    const met = condition({ rotated: 90 }, state());
+    expect(met(state({ camera: { azimuth: 1.5, altitude: 0 } }))).toBe(false);
+    expect(met(state({ camera: { azimuth: -Math.PI / 2 - 0.01, altitude: 0 } }))).toBe(true);
+    expect(met(state({ camera: { azimuth: 0, altitude: Math.PI / 2 } }))).toBe(true);
+    expect(met(state({ camera: { azimuth: 2 * Math.PI, altitude: 0 } }))).toBe(false);
+  });
+
+  it('counts a quarter turn around as 90 degrees, however high the camera is', () => {
+    const high = { azimuth: Math.PI / 8, altitude: Math.PI / 4 };
+    const met = condition({ rotated: 90 }, state({ camera: high }));
+    expect(met(state({ camera: { azimuth: high.azimuth + 1.5, altitude: high.altitude } }))).toBe(false);
+    expect(met(state({ camera: { azimuth: high.azimuth + Math.PI / 2, altitude: high.altitude } }))).toBe(true);
+  });
+});
@@ -0,0 +1,185 @@
+import _ from 'lodash';
+
+import { SCHEMA_VERSION } from '../Surface';
+
+/*
+ *	The surface (or patch network) and camera, packed into a short code
+ *	for the URL hash, so that a design can be shared by its link.
+ *
+ *	The code is a list of whole numbers -- coordinates are rounded to
+ *	PRECISION -- each written as a variable-length integer, in URL-safe
+ *	base64. In order:
+ *
+ *	FORMAT, kind (0 patch, 1 network), display, blending, continuity,
+ *	cols, rows, azimuth, altitude, zoom, then for each patch the degrees
+ *	of u0, u1, v0, v1, their control points and their tangent offsets.
+ *
+ *	Decoding gives back JSON in the form of Surface.toJSON() or
+ *	PatchNetwork.toJSON(), to be checked and loaded by fromJSON().
+ */
+
+const FORMAT = 1;
+
+// coordinates and camera settings are rounded to this
+const PRECISION = 1e-4;
+
+const BOUNDARIES = ["u0", "u1", "v0", "v1"];
+const BLENDINGS = ["bilinear", "hermite"];
+const CONTINUITIES = ["G0", "G1"];
+
+// tangent offsets per boundary curve (see Surface)
+const TANGENTS = 2;
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const damaged = () => new Error("This link is damaged or incomplete.");
+
+/*
+ *	Whole numbers as URL-safe text: each zigzag encoded (so small
+ *	negative numbers stay short) and written 5 bits to a character,
+ *	with the 6th bit set on all but the last character of a number.
+ */
+const pack = (numbers) => {
+	return numbers.map((n) => {
+		let z = n < 0 ? -2 * n - 1 : 2 * n;
+		let out = '';
+		while (z >= 32) {
+			out += BASE64[32 + (z % 32)];
+			z = Math.floor(z / 32);
+		}
+		return out + BASE64[z];
+	}).join('');
+};
+
+const unpack = (text) => {
+
+	const numbers = [];
+	let z = 0;
+	let scale = 1;
+
+	for (let c of text) {
+
+		const d = BASE64.indexOf(c);
+		if (d === -1) throw damaged();
+
+		z += (d % 32) * scale;
+		scale *= 32;
+
+		if (d < 32) {
+			numbers.push(z % 2 === 0 ? z / 2 : -(z + 1) / 2);
+			z = 0;
+			scale = 1;
+		}
+	}
+
+	if (scale !== 1) throw damaged();
+
+	return numbers;
+};
+
+const quantize = x => Math.round(x / PRECISION);
+
+/*
+ *	The code for a surface or network (anything with .toJSON() like
+ *	theirs) and `camera`, { azimuth, altitude, zoom }.
+ */
+const encodeState = (surface, { azimuth, altitude, zoom }) => {
+
+	const json = surface.toJSON();
+	const network = json.type === "network";
+	const patches = network ? json.patches : [json];
+
+	const numbers = [
+		FORMAT,
+		network ? 1 : 0,
+		json.display,
+		Math.max(0, BLENDINGS.indexOf(json.blending)),
+		network ? Math.max(0, CONTINUITIES.indexOf(json.continuity)) : 0,
+		network ? json.cols : 1,
+		network ? json.rows : 1,
+		quantize(azimuth),
+		quantize(altitude),
+		quantize(zoom)
+	];
+
+	patches.forEach(({ curves, tangents }) => {
+		BOUNDARIES.forEach(k => numbers.push(curves[k].length - 1));
+		BOUNDARIES.forEach(k => curves[k].forEach(pt => pt.forEach(x => numbers.push(quantize(x)))));
+		BOUNDARIES.forEach(k => tangents[k].forEach(t => t.forEach(x => numbers.push(quantize(x)))));
+	});
+
+	return pack(numbers);
+};
+
+/*
+ *	The surface JSON and camera from a code. Throws an Error if
+ *	the code is damaged (which includes a zoom that isn't above 0)
+ *	or from a newer version.
+ */
+const decodeState = (code) => {
+
+	const numbers = unpack(code);
+	let i = 0;
+
+	const next = () => {
+		if (i >= numbers.length) throw damaged();
+		return numbers[i++];
+	};
+
+	const format = next();
+	if (format > FORMAT) throw new Error("This link is from a newer version of the app.");
+	if (format < 1) throw damaged();
+
+	const network = next() === 1;
+	const display = next();
+	const blending = BLENDINGS[next()];
+	const continuity = CONTINUITIES[next()];
+	const cols = next();
+	const rows = next();
+
+	if (_.isUndefined(blending) || _.isUndefined(continuity)) throw damaged();
+
+	// each patch takes at least a few numbers, which also keeps
+	// a damaged code from asking for millions of them
+	if (cols < 1 || rows < 1 || cols * rows > numbers.length || (!network && cols * rows !== 1)) throw damaged();
+
+	// kept from looking past straight up or down, as CanvasView does
+	const camera = {
+		azimuth: next() * PRECISION,
+		altitude: _.clamp(next() * PRECISION, -Math.PI / 2, Math.PI / 2),
+		zoom: next() * PRECISION
+	};
+
+	// zooming only multiplies, so there'd be no coming back from 0
+	if (camera.zoom <= 0) throw damaged();
+
+	const vector = () => [next(), next(), next()].map(x => x * PRECISION);
+
+	const patches = _.range(cols * rows).map(() => {
+
+		const degrees = BOUNDARIES.map(next);
+		if (degrees.some(d => d < 1 || d > numbers.length)) throw damaged();
+
+		const curves = _.zipObject(BOUNDARIES, degrees.map(d => _.range(d + 1).map(vector)));
+		const tangents = _.zipObject(BOUNDARIES, BOUNDARIES.map(() => _.range(TANGENTS).map(vector)));
+
+		return { curves, tangents };
+	});
+
+	if (i !== numbers.length) throw damaged();
+
+	const settings = { version: SCHEMA_VERSION, display, blending };
+
+	const surface = network ?
+		Object.assign(settings, { type: "network", cols, rows, continuity, patches }) :
+		Object.assign(settings, patches[0]);
+
+	return { surface, camera };
+};
+
+export {
+	pack,
+	unpack,
+	encodeState,
+	decodeState
+};
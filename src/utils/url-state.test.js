@@ -0,0 +1,72 @@
+import Surface from '../Surface';
+import PatchNetwork, { fromJSON } from '../PatchNetwork';
+import { pack, unpack, encodeState, decodeState } from './url-state';
+
+const camera = { azimuth: 0.3927, altitude: -0.7854, zoom: 1.21 };
+
+describe('URL state', () => {
+
+  it('packs whole numbers as URL-safe text', () => {
+    const numbers = [0, 1, -1, 15, -16, 16, 1000, -123456, 2 ** 40];
+    const text = pack(numbers);
+    expect(text).toMatch(/^[\w-]+$/);
+    expect(unpack(text)).toEqual(numbers);
+    expect(pack([0, 1, -1])).toBe('ACB');
+  });
+
+  it('round-trips a patch and the camera', () => {
+    const s = new Surface();
+    s.u0.__bez.v1.set(0.12345, -0.5, 0.25);
+    s.tangents.v1[0].set(0, 0.1, 0);
+    s.display = 4;
+    s.blending = "hermite";
+
+    const { surface, camera: c } = decodeState(encodeState(s, camera));
+    const t = fromJSON(surface);
+
+    expect(t).toBeInstanceOf(Surface);
+    expect(t.display).toBe(4);
+    expect(t.blending).toBe("hermite");
+    expect(t.tangents.v1[0].y).toBeCloseTo(0.1, 9);
+    expect(t.patch(0.3, 0.6).distanceTo(s.patch(0.3, 0.6))).toBeLessThan(1e-4);
+    expect(c).toEqual({ azimuth: expect.any(Number), altitude: expect.any(Number), zoom: expect.any(Number) });
+    expect(c.azimuth).toBeCloseTo(camera.azimuth, 9);
+    expect(c.altitude).toBeCloseTo(camera.altitude, 9);
+    expect(c.zoom).toBeCloseTo(camera.zoom, 9);
+  });
+
+  it('round-trips a patch network of a higher degree', () => {
+    const n = new PatchNetwork(3, 2, 4);
+    n.patches[1][1].u0.__bez.v2.z = 0.3;
+    n.continuity = "G1";
+
+    const code = encodeState(n, camera);
+    const t = fromJSON(decodeState(code).surface);
+
+    expect(t).toBeInstanceOf(PatchNetwork);
+    expect([t.cols, t.rows, t.degree(), t.continuity]).toEqual([3, 2, 4, "G1"]);
+    expect(t.patches[1][1].u0.__bez.v2.z).toBeCloseTo(0.3, 9);
+  });
+
+  it('is short enough for a link', () => {
+    expect(encodeState(new Surface(), camera).length).toBeLessThan(250);
+  });
+
+  it('rejects damaged codes and newer formats', () => {
+    const code = encodeState(new Surface(), camera);
+    expect(() => decodeState(code.slice(0, -3))).toThrow(/damaged/);
+    expect(() => decodeState(code + 'A')).toThrow(/damaged/);
+    expect(() => decodeState(code.replace(/^./, '*'))).toThrow(/damaged/);
+    expect(() => decodeState(pack([9]) + code.slice(1))).toThrow(/newer version/);
+  });
+
+  it('rejects a camera zoomed to nothing', () => {
+    expect(() => decodeState(encodeState(new Surface(), { azimuth: 0, altitude: 0, zoom: 0 }))).toThrow(/damaged/);
+    expect(() => decodeState(encodeState(new Surface(), { azimuth: 0, altitude: 0, zoom: -2 }))).toThrow(/damaged/);
+  });
+
+  it('keeps the camera from turning over', () => {
+    expect(decodeState(encodeState(new Surface(), { azimuth: 0, altitude: 2, zoom: 1 })).camera.altitude).toBe(Math.PI / 2);
+    expect(decodeState(encodeState(new Surface(), { azimuth: 0, altitude: -4, zoom: 1 })).camera.altitude).toBe(-Math.PI / 2);
+  });
+});
@@ -0,0 +1,336 @@
+import * as THREE from 'three';
+import _ from 'lodash';
+
+/*
+ *	Vector drawings of a surface (or patch network) as seen by a camera,
+ *	with hidden lines removed, computed without WebGL or the DOM.
+ *
+ *	The surface is sampled into a triangle mesh whose edges include every
+ *	isoline, so points along the isolines lie exactly on the mesh. A point
+ *	is hidden if some triangle covers it on screen and is nearer to the
+ *	camera there.
+ */
+
+// how many triangles to a cell of the occlusion grid, roughly
+const TRIANGLES_PER_CELL = 4;
+
+// bisection steps to find where a line passes behind the surface
+const BISECTIONS = 8;
+
+/*
+ *	A function taking a world-space point to { x, y, depth }, where x and y
+ *	are normalized device coordinates (-1 to 1 across the view) and depth
+ *	is the distance in front of the camera. Returns null for points behind
+ *	a perspective camera.
+ */
+const projector = (camera) => {
+
+	camera.updateMatrixWorld();
+
+	const view = new THREE.Matrix4().getInverse(camera.matrixWorld);
+	const perspective = !camera.isOrthographicCamera;
+
+	return (p) => {
+		const v = p.clone().applyMatrix4(view);
+		const depth = -v.z;
+		if (perspective && depth <= camera.near) return null;
+		v.applyMatrix4(camera.projectionMatrix);
+		return { x: v.x, y: v.y, depth };
+	};
+};
+
+/*
+ *	The u (or v) values of the isolines, `values`, with each interval
+ *	between them split evenly into `refine` cells.
+ */
+const refineValues = (values, refine) => {
+	const inner = _.flatMap(_.initial(values), (a, k) => _.range(refine).map(r => a + (values[k + 1] - a) * r / refine));
+	return inner.concat(_.last(values));
+};
+
+/*
+ *	The patches of a surface sampled at `values` along both u and v.
+ *	Returns the grid of world-space points for each patch, indexed
+ *	[i][j] along u and v.
+ */
+const grids = (surface, values) => {
+
+	const patches = _.isFunction(surface.surfaces) ? surface.surfaces() : [surface];
+
+	return patches.map(s => values.map(u => values.map(v => s.patch(u, v))));
+};
+
+/*
+ *	Returns a function telling whether a projected point is hidden by any
+ *	of the (projected) triangles. Triangles are bucketed in a screen-space
+ *	grid so that each point is only tested against those near it.
+ */
+const occluder = (triangles, perspective, epsilon) => {
+
+	// 1 / depth varies linearly across a projected triangle in perspective,
+	// depth itself in orthographic projection
+	const linear = perspective ? d => 1 / d : d => d;
+
+	const box = new THREE.Box2();
+	triangles.forEach(t => t.forEach(p => box.expandByPoint(new THREE.Vector2(p.x, p.y))));
+
+	const size = box.getSize(new THREE.Vector2());
+	const cells = Math.max(1, Math.round(Math.sqrt(triangles.length / TRIANGLES_PER_CELL)));
+	const cellX = x => _.clamp(Math.floor((x - box.min.x) / (size.x || 1) * cells), 0, cells - 1);
+	const cellY = y => _.clamp(Math.floor((y - box.min.y) / (size.y || 1) * cells), 0, cells - 1);
+
+	const buckets = _.range(cells * cells).map(() => []);
+
+	triangles.forEach((t) => {
+
+		const xs = t.map(p => p.x);
+		const ys = t.map(p => p.y);
+
+		for (let i = cellX(_.min(xs)); i <= cellX(_.max(xs)); i++) {
+			for (let j = cellY(_.min(ys)); j <= cellY(_.max(ys)); j++) {
+				buckets[i * cells + j].push(t);
+			}
+		}
+	});
+
+	return (p) => {
+
+		if (p.x < box.min.x || p.x > box.max.x || p.y < box.min.y || p.y > box.max.y) return false;
+
+		return buckets[cellX(p.x) * cells + cellY(p.y)].some(([a, b, c]) => {
+
+			// barycentric coordinates of p in the projected triangle
+			const det = (b.y - c.y) * (a.x - c.x) + (c.x - b.x) * (a.y - c.y);
+			if (det === 0) return false;
+
+			const l1 = ((b.y - c.y) * (p.x - c.x) + (c.x - b.x) * (p.y - c.y)) / det;
+			const l2 = ((c.y - a.y) * (p.x - c.x) + (a.x - c.x) * (p.y - c.y)) / det;
+			const l3 = 1 - l1 - l2;
+
+			if (l1 < 0 || l2 < 0 || l3 < 0) return false;
+
+			const k = l1 * linear(a.depth) + l2 * linear(b.depth) + l3 * linear(c.depth);
+			const depth = perspective ? 1 / k : k;
+
+			return depth < p.depth * (1 - epsilon);
+		});
+	};
+};
+
+/*
+ *	Project the isolines (and optionally the axes) of a surface, splitting
+ *	them into visible and hidden runs. Returns `{ u, v, axes }`, each
+ *	`{ visible, hidden }` lists of polylines of { x, y } in normalized
+ *	device coordinates (-1 to 1, y up).
+ *
+ *	options:
+ *	- u, v: whether to include the u and v isolines (default true)
+ *	- axes: whether to include the x, y and z axes (default false)
+ *	- axisLength: how far the axes extend from the origin (default 10)
+ *	- refine: mesh cells per interval between isolines, which are
+ *	  where the surface draws them (see Surface.isolineValues()) (default 2)
+ *	- samples: visibility samples per mesh edge (default 4)
+ *	- epsilon: relative depth below which a point is not hidden by
+ *	  the surface it lies on (default 1e-4)
+ */
+const projectLines = (surface, camera, {
+	u = true,
+	v = true,
+	axes = false,
+	axisLength = 10,
+	refine = 2,
+	samples = 4,
+	epsilon = 1e-4
+} = {}) => {
+
+	if (!Number.isInteger(refine) || refine < 1) {
+		throw new Error(`refine must be a positive integer (got ${refine}).`);
+	}
+
+	if (!Number.isInteger(samples) || samples < 1) {
+		throw new Error(`samples must be a positive integer (got ${samples}).`);
+	}
+
+	const patches = _.isFunction(surface.surfaces) ? surface.surfaces() : [surface];
+	const values = refineValues(patches[0].isolineValues(), refine);
+	const resolution = values.length - 1;
+	const n = resolution / refine;
+
+	const project = projector(camera);
+	const perspective = !camera.isOrthographicCamera;
+
+	// the mesh, and the isolines along its edges, in world space
+	const triangles = [];
+	const lines = [];
+
+	grids(surface, values).forEach((grid) => {
+
+		const projected = grid.map(row => row.map(project));
+
+		for (let i = 0; i < resolution; i++) {
+			for (let j = 0; j < resolution; j++) {
+				const a = projected[i][j];
+				const b = projected[i + 1][j];
+				const c = projected[i + 1][j + 1];
+				const d = projected[i][j + 1];
+				// skip triangles reaching behind the camera
+				if (a && b && c) triangles.push([a, b, c]);
+				if (a && c && d) triangles.push([a, c, d]);
+			}
+		}
+
+		for (let k = 0; k <= n; k++) {
+			if (u) lines.push({ family: 'u', points: grid[k * refine], samples });
+			if (v) lines.push({ family: 'v', points: grid.map(row => row[k * refine]), samples });
+		}
+	});
+
+	if (axes) {
+		[new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)].forEach((axis) => {
+			const end = axis.multiplyScalar(axisLength);
+			lines.push({ family: 'axes', points: [end.clone().negate(), end], samples: 64 * samples });
+		});
+	}
+
+	const hides = occluder(triangles, perspective, epsilon);
+
+	// 'visible', 'hidden', or null for a point behind the camera
+	const state = (p) => {
+		const q = project(p);
+		if (_.isNil(q)) return { q, seen: null };
+		return { q, seen: hides(q) ? 'hidden' : 'visible' };
+	};
+
+	const result = {
+		u: { visible: [], hidden: [] },
+		v: { visible: [], hidden: [] },
+		axes: { visible: [], hidden: [] }
+	};
+
+	lines.forEach(({ family, points, samples }) => {
+
+		const finish = (run, seen) => {
+			if (run.length < 2) return;
+			result[family][seen].push(run.map(({ x, y }) => ({ x, y })));
+		};
+
+		let run = [];
+		let last = null;
+
+		for (let i = 0; i < points.length - 1; i++) {
+
+			const a = points[i];
+			const b = points[i + 1];
+
+			for (let s = i === 0 ? 0 : 1; s <= samples; s++) {
+
+				const p = a.clone().lerp(b, s / samples);
+				const current = state(p);
+
+				if (!_.isNil(last) && current.seen !== last.seen && !_.isNil(current.seen) && !_.isNil(last.seen)) {
+
+					// find where the line passes behind (or out from behind) the surface
+					let lo = last.p;
+					let hi = p;
+
+					for (let k = 0; k < BISECTIONS; k++) {
+						const mid = lo.clone().lerp(hi, 0.5);
+						if (state(mid).seen === last.seen) lo = mid;
+						else hi = mid;
+					}
+
+					const edge = project(lo.clone().lerp(hi, 0.5));
+					run.push(edge);
+					finish(run, last.seen);
+					run = [edge];
+
+				} else if (current.seen !== (last && last.seen)) {
+
+					finish(run, last && last.seen);
+					run = [];
+				}
+
+				if (!_.isNil(current.seen)) run.push(current.q);
+
+				last = { p, seen: current.seen };
+			}
+		}
+
+		finish(run, last && last.seen);
+	});
+
+	return result;
+};
+
+// round to 3 decimal places, as for the SVG
+const round = x => Math.round(x * 1000) / 1000;
+
+/*
+ *	A standalone SVG document (as a string) of the surface seen by the
+ *	camera, `width` x `height` units. Takes the options of projectLines,
+ *	and:
+ *	- hiddenLines: "remove" (default) or "dashed"
+ *	- stroke, background: colors (default white on black; null for
+ *	  no background)
+ *	- strokeWidth: width of the isolines (default 1; axes are half)
+ */
+const toSVG = (surface, camera, options = {}) => {
+
+	const {
+		width = 800,
+		height = 600,
+		hiddenLines = "remove",
+		stroke = '#fff',
+		background = 'black',
+		strokeWidth = 1,
+		axes = true
+	} = options;
+
+	if (["remove", "dashed"].indexOf(hiddenLines) === -1) {
+		throw new Error(`hiddenLines must be "remove" or "dashed" (got ${hiddenLines}).`);
+	}
+
+	const toPath = (line) => {
+		return line.map(({ x, y }, i) => {
+			return `${i === 0 ? 'M' : 'L'} ${round((x + 1) / 2 * width)} ${round((1 - y) / 2 * height)}`;
+		}).join(' ');
+	};
+
+	const group = (lines, attributes) => {
+		if (lines.length === 0) return [];
+		return [
+			`<g fill="none" stroke="${stroke}" ${attributes}>`,
+			...lines.map(line => `<path d="${toPath(line)}"/>`),
+			'</g>'
+		];
+	};
+
+	const lines = projectLines(surface, camera, Object.assign({}, options, { axes }));
+	const isolines = seen => lines.u[seen].concat(lines.v[seen]);
+
+	const dashed = `stroke-dasharray="${round(4 * strokeWidth)} ${round(4 * strokeWidth)}" stroke-opacity="0.5"`;
+
+	const svg = [
+		`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`,
+		background ? `<rect x="0" y="0" width="${width}" height="${height}" fill="${background}"/>` : null,
+		...group(lines.axes.visible, `stroke-width="${strokeWidth / 2}"`),
+		...group(isolines('visible'), `stroke-width="${strokeWidth}"`)
+	];
+
+	if (hiddenLines === "dashed") {
+		svg.push(
+			...group(lines.axes.hidden, `stroke-width="${strokeWidth / 2}" ${dashed}`),
+			...group(isolines('hidden'), `stroke-width="${strokeWidth}" ${dashed}`)
+		);
+	}
+
+	svg.push('</svg>');
+
+	return _.compact(svg).join('\n') + '\n';
+};
+
+export {
+	projector,
+	projectLines,
+	toSVG
+};
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import _ from 'lodash';
+import Surface from '../Surface';
+import PatchNetwork from '../PatchNetwork';
+import { projectLines, toSVG } from './vector-export';
+
+// a flat square patch at height z, from -size to size in x and y
+const plane = (z, size = 1) => ({
+  isolineValues: () => [0, 0.25, 0.5, 0.75, 1],
+  patch: (u, v) => new THREE.Vector3((2 * u - 1) * size, (2 * v - 1) * size, z)
+});
+
+// two patches, as a network would have them
+const network = (...patches) => ({ surfaces: () => patches });
+
+const lookingDown = () => {
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 100);
+  camera.position.set(0, 0, 5);
+  camera.lookAt(new THREE.Vector3(0, 0, 0));
+  return camera;
+};
+
+const count = lines => lines.u.visible.length + lines.v.visible.length;
+const hidden = lines => lines.u.hidden.length + lines.v.hidden.length;
+
+describe('vector export', () => {
+
+  it('draws every isoline of a surface facing the camera', () => {
+    const lines = projectLines(plane(0), lookingDown());
+    // 5 isolines each way, not broken up
+    expect(lines.u.visible.length).toBe(5);
+    expect(lines.v.visible.length).toBe(5);
+    expect(hidden(lines)).toBe(0);
+  });
+
+  it('hides lines behind another patch', () => {
+    const lines = projectLines(network(plane(1), plane(0, 0.5)), lookingDown());
+    expect(count(lines)).toBe(10);
+    expect(hidden(lines)).toBe(10);
+  });
+
+  it('splits lines where they pass behind the surface', () => {
+    const front = { isolineValues: plane(0).isolineValues, patch: (u, v) => new THREE.Vector3(u - 1, 2 * v - 1, 1) };
+    const lines = projectLines(network(front, plane(0)), lookingDown());
+
+    // the back plane's lines across x are hidden up to the front patch's
+    // edge, which (at x = 0) is at the center of the view
+    const across = lines.v.visible.filter(l => _.maxBy(l, 'x').x > 0.1);
+    expect(across.length).toBe(5);
+    across.forEach(l => expect(_.minBy(l, 'x').x).toBeCloseTo(0, 2));
+
+    // and still drawn, up to there, as hidden lines
+    expect(lines.v.hidden.length).toBe(5);
+  });
+
+  it('draws the isolines where the surface does', () => {
+    // 3 x 3 patches, with isolines every 0.12 and the last 0.04 from the edge
+    const n = new PatchNetwork(3, 3);
+    n.controlPointFromIndex(5).z = 0.2;
+    const values = n.patches[0][0].isolineValues();
+    expect(values.slice(-2)).toEqual([0.96, 1]);
+
+    const camera = new THREE.OrthographicCamera(-3, 3, 3, -3, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    camera.lookAt(new THREE.Vector3(0, 0, 0));
+
+    const starts = projectLines(n, camera, { v: false }).u.visible.slice(0, values.length).map(line => line[0]);
+    starts.forEach((start, k) => {
+      const expected = n.patches[0][0].patch(values[k], 0).project(camera);
+      expect(start.x).toBeCloseTo(expected.x, 6);
+      expect(start.y).toBeCloseTo(expected.y, 6);
+    });
+  });
+
+  it('works with an orthographic camera', () => {
+    const camera = new THREE.OrthographicCamera(-2, 2, 2, -2, 0.1, 100);
+    camera.position.set(0, 0, 5);
+    camera.lookAt(new THREE.Vector3(0, 0, 0));
+    const lines = projectLines(network(plane(1), plane(0, 0.5)), camera);
+    expect(hidden(lines)).toBe(10);
+  });
+
+  it('writes standalone SVG, optionally with dashed hidden lines', () => {
+    const camera = lookingDown();
+    const both = network(plane(1), plane(0, 0.5));
+
+    const removed = toSVG(both, camera, { width: 100, height: 100, axes: false });
+    expect(removed).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 100 100"/);
+    expect(removed.match(/<path/g).length).toBe(10);
+    expect(removed).not.toMatch(/dasharray/);
+
+    const dashed = toSVG(both, camera, { width: 100, height: 100, axes: false, hiddenLines: "dashed" });
+    expect(dashed.match(/<path/g).length).toBe(20);
+    expect(dashed).toMatch(/dasharray/);
+
+    expect(() => toSVG(both, camera, { hiddenLines: "dotted" })).toThrow(/hiddenLines/);
+  });
+
+  it('exports a Surface with its axes', () => {
+    const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 100);
+    camera.position.set(2, 1, 1.5);
+    camera.lookAt(new THREE.Vector3(0, 0, 0));
+    const lines = projectLines(new Surface(), camera, { axes: true });
+    // the default surface is flat, so it can't hide any of itself
+    expect(count(lines)).toBe(52);
+    expect(hidden(lines)).toBe(0);
+    expect(lines.axes.visible.length).toBeGreaterThan(2);
+  });
+});